@@ -0,0 +1,140 @@
+/**
+ * Page-side client for the AI worker (see ai-protocol.js for the messages)
+ * Runs one search or analysis at a time; starting a new one cancels the previous one
+ */
+export class AIWorkerClient {
+    /**
+     * @param {Worker} worker - A browser Worker or Node worker_threads Worker running the AI protocol
+     */
+    constructor(worker) {
+        this.worker = worker;
+        this.nextId = 1;
+        this.pending = null;
+        
+        const onMessage = (message) => this.handleMessage(message);
+        if (typeof worker.on === 'function') {
+            // Node worker_threads deliver the message itself, and an Error when something fails
+            worker.on('message', onMessage);
+            worker.on('error', (error) => this.fail(error));
+            worker.on('messageerror', (error) => this.fail(error));
+        } else {
+            worker.addEventListener('message', (event) => onMessage(event.data));
+            worker.addEventListener('error', (event) => this.fail(new Error(event.message || 'The AI worker failed')));
+            worker.addEventListener('messageerror', () => this.fail(new Error('A message from the AI worker could not be read')));
+        }
+    }
+    
+    /**
+     * Ask the worker for a move
+     * @param {TicTacToe} game - Position to search
+     * @param {Object} settings - { difficulty, engine, options } for the computer player
+     * @param {Function} [onProgress] - Called with every progress message
+     * @returns {Promise<Object|null>} The result message, or null if the search was cancelled
+     */
+    think(game, { difficulty = 'medium', engine = 'auto', options = {} } = {}, onProgress = null) {
+        return this.request({ type: 'think', game: game.toJSON(), difficulty, engine, options }, onProgress);
+    }
+    
+    /**
+     * Send a search request, cancelling the one in progress
+     * @param {Object} message - Request without its id
+     * @param {Function|null} onProgress - Called with every progress message
+     * @returns {Promise<Object|null>} The result message, or null if the search was cancelled
+     */
+    request(message, onProgress) {
+        this.cancel();
+        
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending = { id, resolve, reject, onProgress };
+            this.worker.postMessage({ ...message, id });
+        });
+    }
+    
+    /**
+     * Ask the worker to score every legal move for the player to move
+     * @param {TicTacToe} game - Position to analyze
+     * @param {number} [depth=2] - Search depth per move
+     * @param {Function} [onProgress] - Called with every progress message ({ scored, total })
+     * @returns {Promise<Object|null>} The result message ({ moves: [{ move, score }] }), or null if cancelled
+     */
+    analyze(game, depth = 2, onProgress = null) {
+        return this.request({ type: 'analyze', game: game.toJSON(), depth }, onProgress);
+    }
+    
+    /**
+     * Abandon the running search; its promise resolves with null
+     */
+    cancel() {
+        if (!this.pending) return;
+        
+        const { id, resolve } = this.pending;
+        this.pending = null;
+        this.worker.postMessage({ type: 'cancel', id });
+        resolve(null);
+    }
+    
+    /**
+     * @returns {boolean} True while a search is running
+     */
+    isThinking() {
+        return this.pending !== null;
+    }
+    
+    /**
+     * Cancel any search and stop the worker
+     */
+    terminate() {
+        this.cancel();
+        this.worker.terminate();
+    }
+    
+    /**
+     * Fail the running search when the worker crashes or sends a message that can't be read,
+     * instead of leaving its promise waiting for a result that will never come
+     * @param {Error} error - What went wrong
+     */
+    fail(error) {
+        const pending = this.pending;
+        if (!pending) return;
+        
+        this.pending = null;
+        pending.reject(error);
+    }
+    
+    /**
+     * Route a message from the worker to the search it belongs to
+     * @param {Object} message - Message from the worker
+     */
+    handleMessage(message) {
+        const pending = this.pending;
+        // Ignore late messages from searches that were already cancelled
+        if (!pending || message.id !== pending.id) return;
+        
+        switch (message.type) {
+            case 'progress':
+                pending.onProgress?.(message);
+                break;
+            case 'result':
+                this.pending = null;
+                pending.resolve(message);
+                break;
+            case 'cancelled':
+                this.pending = null;
+                pending.resolve(null);
+                break;
+            case 'error':
+                this.pending = null;
+                pending.reject(new Error(message.message));
+                break;
+        }
+    }
+}
+
+/**
+ * Start the browser AI worker
+ * @returns {AIWorkerClient} Client connected to a new worker
+ */
+export function createAIWorkerClient() {
+    return new AIWorkerClient(new Worker(new URL('./ai-worker.js', import.meta.url), { type: 'module' }));
+}
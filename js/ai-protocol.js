@@ -0,0 +1,116 @@
+import { TicTacToe } from './game.js';
+import { createComputerPlayer } from './ai.js';
+
+/**
+ * Message protocol between the page and the AI worker
+ *
+ * Page -> worker:
+ *   { type: 'think', id, game, difficulty, engine, options }
+ *       Search the position `game` (TicTacToe.toJSON() output). Starting a new search
+ *       cancels any search still running.
+ *   { type: 'analyze', id, game, depth }
+ *       Score every legal move of `game` for the player to move, searching each
+ *       `depth` plies deep. Like 'think', this replaces any running search.
+ *   { type: 'cancel', id }
+ *       Abandon the search with this id (or the running search if id is omitted).
+ *
+ * Worker -> page:
+ *   { type: 'progress', id, move, ... }  Best move so far, sent between search steps
+ *   { type: 'result', id, move, ... }    Final choice (move is null if the game is over)
+ *   { type: 'result', id, moves }        Analysis: [{ move, score }] with the best move first
+ *   { type: 'cancelled', id }            The search was abandoned
+ *   { type: 'error', id, message }       The request could not be handled
+ *
+ * The extra fields of progress and result messages are those returned by the engine's
+ * think() generator, e.g. score and depth for minimax or visit statistics for MCTS.
+ */
+
+// Delay between search steps, giving queued messages (such as cancel) a chance to arrive
+const STEP_DELAY = 0;
+
+/**
+ * Create the message handler that runs inside an AI worker
+ * The handler is transport-agnostic so it can serve both browser Web Workers and Node worker_threads
+ * @param {Function} post - Sends a message back to the page
+ * @returns {Function} Handler to call with every message received from the page
+ */
+export function createAIWorkerHandler(post) {
+    // Computer players are kept between searches so their transposition tables are reused
+    const players = new Map();
+    let current = null;
+    
+    const getPlayer = (game, { difficulty = 'medium', engine = 'auto', options = {} }) => {
+        const key = `${difficulty}:${engine}:${game.totalCells}:${JSON.stringify(game.getOptions())}:${JSON.stringify(options)}`;
+        if (!players.has(key)) {
+            players.set(key, createComputerPlayer(game, difficulty, { engine, ...options }));
+        }
+        return players.get(key);
+    };
+    
+    // Wrap a player's search so the result always carries a move field (null once the game is over)
+    function* thinkFor(player, game) {
+        const result = yield* player.think(game);
+        return { move: null, ...result };
+    }
+    
+    const step = (job) => {
+        // Stop quietly if this search was cancelled or replaced in the meantime
+        if (current !== job) return;
+        
+        let next;
+        try {
+            next = job.search.next();
+        } catch (e) {
+            current = null;
+            post({ type: 'error', id: job.id, message: e.message });
+            return;
+        }
+        
+        if (next.done) {
+            current = null;
+            post({ type: 'result', id: job.id, ...next.value });
+            return;
+        }
+        
+        post({ type: 'progress', id: job.id, ...next.value });
+        setTimeout(() => step(job), STEP_DELAY);
+    };
+    
+    const cancel = (id) => {
+        if (current && (id === undefined || current.id === id)) {
+            post({ type: 'cancelled', id: current.id });
+            current = null;
+        }
+    };
+    
+    return function onMessage(message) {
+        switch (message?.type) {
+            case 'think':
+            case 'analyze': {
+                cancel();
+                
+                let game;
+                try {
+                    game = TicTacToe.fromJSON(message.game);
+                } catch (e) {
+                    post({ type: 'error', id: message.id, message: e.message });
+                    return;
+                }
+                
+                // Analysis always uses the minimax evaluator, which scores moves individually
+                const search = message.type === 'think'
+                    ? thinkFor(getPlayer(game, message), game)
+                    : getPlayer(game, { difficulty: 'hard', engine: 'minimax' }).evaluateMoves(game, message.depth);
+                
+                current = { id: message.id, search };
+                step(current);
+                break;
+            }
+            case 'cancel':
+                cancel(message.id);
+                break;
+            default:
+                post({ type: 'error', id: message?.id, message: `Unknown message type: ${message?.type}` });
+        }
+    };
+}
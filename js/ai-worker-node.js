@@ -0,0 +1,7 @@
+// Node worker_threads entry point for the AI, used to run the worker protocol outside a browser
+import { parentPort } from 'node:worker_threads';
+import { createAIWorkerHandler } from './ai-protocol.js';
+
+const handleMessage = createAIWorkerHandler((message) => parentPort.postMessage(message));
+
+parentPort.on('message', handleMessage);
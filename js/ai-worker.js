@@ -0,0 +1,6 @@
+// Browser Web Worker entry point for the AI (see ai-protocol.js for the messages)
+import { createAIWorkerHandler } from './ai-protocol.js';
+
+const handleMessage = createAIWorkerHandler((message) => self.postMessage(message));
+
+self.addEventListener('message', (event) => handleMessage(event.data));
@@ -0,0 +1,418 @@
+import { MCTSAI } from './mcts.js';
+
+/**
+ * Computer opponent for TicTacToe using negamax search with alpha-beta pruning
+ * and a transposition table. Works for any board size and win length; the search
+ * deepens iteratively until it runs out of depth or time.
+ */
+
+/**
+ * Search settings for each difficulty level
+ * - maxDepth: deepest search in plies
+ * - timeLimit: time budget per move in milliseconds
+ * - mistakeRate: chance (0-1) of deliberately not playing the best move
+ * - mistakeCandidates: how many of the top-ranked moves a mistake picks from
+ */
+export const DIFFICULTY_SETTINGS = {
+    easy: { maxDepth: 1, timeLimit: 250, mistakeRate: 0.45, mistakeCandidates: Infinity },
+    medium: { maxDepth: 3, timeLimit: 750, mistakeRate: 0.2, mistakeCandidates: 3 },
+    hard: { maxDepth: 12, timeLimit: 2000, mistakeRate: 0, mistakeCandidates: 1 }
+};
+
+// Boards with more cells than this are played by MCTS, which copes better with the branching factor
+const MINIMAX_MAX_CELLS = 64;
+
+// Score for a won position; wins found at a shallower ply score higher
+const WIN_SCORE = 1000000;
+// Scores above this are treated as forced wins/losses rather than heuristic values
+const WIN_THRESHOLD = WIN_SCORE - 1000;
+
+// Transposition table entry types
+const EXACT = 0;
+const LOWER_BOUND = 1;
+const UPPER_BOUND = 2;
+
+// Thrown inside the search to unwind it once the time budget is spent
+const TIMEOUT = Symbol('timeout');
+
+/**
+ * Create the computer player best suited to a board
+ * @param {TicTacToe} game - Game the player will play in
+ * @param {string} difficulty - 'easy', 'medium' or 'hard'
+ * @param {Object} [options] - Extra options passed to the player
+ * @param {string} [options.engine='auto'] - 'minimax', 'mcts' or 'auto' (minimax for two players on boards up to 4x4x4)
+ * @returns {MinimaxAI|MCTSAI} The computer player
+ */
+export function createComputerPlayer(game, difficulty, { engine = 'auto', ...options } = {}) {
+    const useMinimax = engine === 'minimax' ||
+        (engine === 'auto' && game.players.length === 2 && game.totalCells <= MINIMAX_MAX_CELLS);
+    return useMinimax
+        ? new MinimaxAI({ difficulty, ...options })
+        : new MCTSAI({ difficulty, ...options });
+}
+
+/**
+ * Minimax computer player
+ */
+export class MinimaxAI {
+    /**
+     * @param {Object} options - Search options
+     * @param {string} [options.difficulty='medium'] - 'easy', 'medium' or 'hard'
+     * @param {Function} [options.random=Math.random] - Random source used for deliberate mistakes
+     * Any field of DIFFICULTY_SETTINGS (maxDepth, timeLimit, ...) can also be given to override the level
+     */
+    constructor({ difficulty = 'medium', random = Math.random, ...overrides } = {}) {
+        if (!DIFFICULTY_SETTINGS[difficulty]) {
+            throw new Error(`Unknown difficulty: ${difficulty}`);
+        }
+        
+        this.difficulty = difficulty;
+        this.random = random;
+        this.settings = { ...DIFFICULTY_SETTINGS[difficulty], ...overrides };
+        this.table = new Map();
+    }
+    
+    /**
+     * Pick a move for the player whose turn it is
+     * @param {TicTacToe} game - The game to move in (left unchanged)
+     * @returns {Object|null} { move: [x, y, z] (1-based), score, depth, nodes } or null if no move is possible
+     */
+    chooseMove(game) {
+        const search = this.think(game);
+        let step = search.next();
+        while (!step.done) step = search.next();
+        return step.value;
+    }
+    
+    /**
+     * Search for a move step by step, pausing after every completed depth
+     * Lets a caller (such as the AI worker) report progress or abandon the search between steps
+     * @param {TicTacToe} game - The game to move in (left unchanged)
+     * @yields {Object} Progress: { depth, move, score, nodes } for the deepest finished search
+     * @returns {Object|null} Same result as chooseMove()
+     */
+    *think(game) {
+        const legalMoves = game.getLegalMoves();
+        if (legalMoves.length === 0) return null;
+        assertTwoPlayers(game);
+        
+        // Keep the transposition table from growing without bound over a long session
+        if (this.table.size > 200000) this.table.clear();
+        
+        // Search on a copy so the caller's game and history are never touched
+        this.game = game.clone();
+        this.player = this.game.currentPlayer;
+        this.lines = game.lineTable.lines;
+        this.rulesKey = `${game.dimensions.join('x')}:${game.winLength}:${JSON.stringify(game.getOptions())}`;
+        this.cellWeights = this.computeCellWeights();
+        this.deadline = Date.now() + this.settings.timeLimit;
+        this.nodes = 0;
+        
+        // Iterative deepening: keep the result of the deepest search that finished in time
+        let best = { move: this.orderMoves(legalMoves, null)[0], score: 0, depth: 0 };
+        const maxDepth = Math.min(this.settings.maxDepth, legalMoves.length);
+        
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            try {
+                best = { ...this.searchRoot(depth), depth };
+            } catch (e) {
+                if (e !== TIMEOUT) throw e;
+                break;
+            }
+            
+            // No point searching deeper once the outcome is forced
+            if (Math.abs(best.score) >= WIN_THRESHOLD) break;
+            
+            if (depth < maxDepth) {
+                yield { ...best, nodes: this.nodes };
+                // The budget may have run out while the caller held the search paused
+                if (Date.now() > this.deadline) break;
+            }
+        }
+        
+        if (this.settings.mistakeRate > 0 && this.random() < this.settings.mistakeRate) {
+            best = this.chooseMistake(legalMoves, best);
+        }
+        
+        this.game = null;
+        return { ...best, nodes: this.nodes };
+    }
+    
+    /**
+     * Score every legal move of the current position from the current player's point of view
+     * @param {TicTacToe} game - The position to analyze (left unchanged)
+     * @param {number} [depth] - Search depth per move (defaults to the level's maxDepth, capped at 3)
+     * @returns {Array<Object>} { move: [x, y, z], score } entries, best first
+     */
+    analyze(game, depth) {
+        const analysis = this.evaluateMoves(game, depth);
+        let step = analysis.next();
+        while (!step.done) step = analysis.next();
+        return step.value.moves;
+    }
+    
+    /**
+     * Score the legal moves one at a time, pausing after each
+     * Lets a caller (such as the AI worker) report progress or abandon the analysis between moves
+     * @param {TicTacToe} game - The position to analyze (left unchanged)
+     * @param {number} [depth] - Search depth per move (defaults to the level's maxDepth, capped at 3)
+     * @yields {Object} Progress: { scored, total }
+     * @returns {Object} { moves: [{ move: [x, y, z], score }] } with the best move first
+     */
+    *evaluateMoves(game, depth = Math.min(this.settings.maxDepth, 3)) {
+        assertTwoPlayers(game);
+        this.game = game.clone();
+        this.player = this.game.currentPlayer;
+        this.lines = game.lineTable.lines;
+        this.rulesKey = `${game.dimensions.join('x')}:${game.winLength}:${JSON.stringify(game.getOptions())}`;
+        this.cellWeights = this.computeCellWeights();
+        this.deadline = Infinity;
+        this.nodes = 0;
+        
+        const legalMoves = game.getLegalMoves();
+        const moves = [];
+        for (const move of legalMoves) {
+            moves.push(this.scoreMoves([move], depth)[0]);
+            if (moves.length < legalMoves.length) {
+                yield { scored: moves.length, total: legalMoves.length };
+            }
+        }
+        
+        this.game = null;
+        return { moves: moves.sort((a, b) => b.score - a.score) };
+    }
+    
+    /**
+     * Search all moves at the root and return the best one
+     * @param {number} depth - Search depth in plies
+     * @returns {Object} { move, score }
+     */
+    searchRoot(depth) {
+        const moves = this.orderMoves(this.game.getLegalMoves(), this.lookup()?.move);
+        let alpha = -Infinity;
+        let best = null;
+        
+        for (const move of moves) {
+            const score = this.searchMove(move, depth, alpha, Infinity);
+            if (best === null || score > alpha) {
+                alpha = score;
+                best = { move, score };
+            }
+        }
+        
+        this.store(depth, alpha, EXACT, best.move, 0);
+        return best;
+    }
+    
+    /**
+     * Play a root move, search the resulting position and take the move back
+     * @param {Array<number>} move - [x, y, z] coordinates (1-based)
+     * @param {number} depth - Search depth including the move itself
+     * @param {number} alpha - Lower bound of the search window for the player making the move
+     * @param {number} beta - Upper bound of the search window for the player making the move
+     * @returns {number} Score of the move for the player who made it
+     */
+    searchMove(move, depth, alpha, beta) {
+        const mover = this.game.currentPlayer;
+        this.game.makeMove(...move);
+        const score = -this.negamax(depth - 1, -beta, -alpha, 1, this.game.nextPlayer(mover));
+        this.game.undo();
+        return score;
+    }
+    
+    /**
+     * Negamax search with alpha-beta pruning
+     * @param {number} depth - Remaining depth in plies
+     * @param {number} alpha - Lower bound of the search window
+     * @param {number} beta - Upper bound of the search window
+     * @param {number} ply - Distance from the root
+     * @param {string} player - Player to move, whose point of view the score is from
+     * @returns {number} Position score
+     */
+    negamax(depth, alpha, beta, ply, player) {
+        this.nodes++;
+        if ((this.nodes & 1023) === 0 && Date.now() > this.deadline) {
+            throw TIMEOUT;
+        }
+        
+        const { winner } = this.game;
+        if (winner === 'draw') return 0;
+        if (winner) return winner === player ? WIN_SCORE - ply : -(WIN_SCORE - ply);
+        if (depth === 0) return this.evaluate(player);
+        
+        // Reuse earlier results for this position when they are deep enough
+        const alphaOrig = alpha;
+        const entry = this.lookup();
+        if (entry && entry.depth >= depth) {
+            const score = fromTableScore(entry.score, ply);
+            if (entry.flag === EXACT) return score;
+            if (entry.flag === LOWER_BOUND) alpha = Math.max(alpha, score);
+            if (entry.flag === UPPER_BOUND) beta = Math.min(beta, score);
+            if (alpha >= beta) return score;
+        }
+        
+        let bestScore = -Infinity;
+        let bestMove = null;
+        
+        for (const move of this.orderMoves(this.game.getLegalMoves(), entry?.move)) {
+            this.game.makeMove(...move);
+            const score = -this.negamax(depth - 1, -beta, -alpha, ply + 1, this.game.nextPlayer(player));
+            this.game.undo();
+            
+            if (score > bestScore) {
+                bestScore = score;
+                bestMove = move;
+            }
+            alpha = Math.max(alpha, score);
+            if (alpha >= beta) break;
+        }
+        
+        const flag = bestScore <= alphaOrig ? UPPER_BOUND : (bestScore >= beta ? LOWER_BOUND : EXACT);
+        this.store(depth, bestScore, flag, bestMove, ply);
+        
+        return bestScore;
+    }
+    
+    /**
+     * Heuristic value of a position: open lines count in favor of whoever can still complete them,
+     * weighted steeply by how many marks they already hold (against them under the misère rule)
+     * @param {string} player - Player whose point of view the score is from
+     * @returns {number} Position score
+     */
+    evaluate(player) {
+        const { cells } = this.game;
+        let score = 0;
+        
+        for (const line of this.lines) {
+            let mine = 0;
+            let theirs = 0;
+            
+            for (const index of line) {
+                const value = cells[index];
+                if (value === player) mine++;
+                else if (value) theirs++;
+            }
+            
+            // A line holding both players' marks can never be completed
+            if (mine > 0 && theirs === 0) score += Math.pow(10, mine - 1);
+            else if (theirs > 0 && mine === 0) score -= Math.pow(10, theirs - 1);
+        }
+        
+        return this.game.winRule === 'misere' ? -score : score;
+    }
+    
+    /**
+     * Score each move with a full-window search
+     * @param {Array<Array<number>>} moves - Moves to score
+     * @param {number} depth - Search depth per move
+     * @returns {Array<Object>} { move, score } entries, best first
+     */
+    scoreMoves(moves, depth) {
+        return moves
+            .map(move => ({ move, score: this.searchMove(move, Math.max(depth, 1), -Infinity, Infinity) }))
+            .sort((a, b) => b.score - a.score);
+    }
+    
+    /**
+     * Replace the best move with a deliberately weaker one, as the easier levels do
+     * @param {Array<Array<number>>} legalMoves - All legal moves
+     * @param {Object} best - The best move found by the search
+     * @returns {Object} The move to play instead
+     */
+    chooseMistake(legalMoves, best) {
+        const { mistakeCandidates } = this.settings;
+        
+        let candidates;
+        if (mistakeCandidates >= legalMoves.length) {
+            candidates = legalMoves.map(move => ({ move, score: null }));
+        } else {
+            // Rank the moves so the mistake stays among the better ones
+            this.deadline = Infinity;
+            candidates = this.scoreMoves(legalMoves, best.depth).slice(0, mistakeCandidates);
+        }
+        
+        const choice = candidates[Math.floor(this.random() * candidates.length)];
+        return { ...choice, depth: best.depth, mistake: true };
+    }
+    
+    /**
+     * Sort moves so the most promising are searched first: the remembered best move,
+     * then cells that lie on the most winning lines
+     * @param {Array<Array<number>>} moves - Moves to sort
+     * @param {Array<number>|null} firstMove - Move to try before all others
+     * @returns {Array<Array<number>>} Sorted moves
+     */
+    orderMoves(moves, firstMove) {
+        const weight = (move) => this.cellWeights[this.game.getCellIndex(move)];
+        const sorted = moves.slice().sort((a, b) => weight(b) - weight(a));
+        
+        if (firstMove) {
+            const index = sorted.findIndex(m => m.every((value, axis) => value === firstMove[axis]));
+            if (index > 0) sorted.unshift(sorted.splice(index, 1)[0]);
+        }
+        
+        return sorted;
+    }
+    
+    /**
+     * Count the winning lines through every cell
+     * @returns {Array<number>} Line counts indexed like the game's cell array
+     */
+    computeCellWeights() {
+        const weights = new Array(this.game.totalCells).fill(0);
+        this.lines.forEach(line => line.forEach(index => weights[index]++));
+        return weights;
+    }
+    
+    /**
+     * Key identifying the current position and player to move in the transposition table
+     * @returns {string} Position key
+     */
+    positionKey() {
+        return `${this.rulesKey}:${this.game.getHash()}`;
+    }
+    
+    /**
+     * @returns {Object|undefined} Transposition table entry for the current position
+     */
+    lookup() {
+        return this.table.get(this.positionKey());
+    }
+    
+    /**
+     * Remember a search result for the current position
+     * @param {number} depth - Depth the position was searched to
+     * @param {number} score - Score found
+     * @param {number} flag - EXACT, LOWER_BOUND or UPPER_BOUND
+     * @param {Array<number>|null} move - Best move found
+     * @param {number} ply - Distance of the position from the root
+     */
+    store(depth, score, flag, move, ply) {
+        this.table.set(this.positionKey(), { depth, score: toTableScore(score, ply), flag, move });
+    }
+}
+
+/**
+ * Minimax scores positions for one side against the other, so it cannot seat more players
+ * @param {TicTacToe} game - Game about to be searched
+ * @throws {Error} If the game has more than two players
+ */
+function assertTwoPlayers(game) {
+    if (game.players.length !== 2) {
+        throw new Error(`Minimax search needs a two-player game, this one has ${game.players.length} players`);
+    }
+}
+
+// Forced-win scores are stored relative to the stored position rather than the root,
+// so they stay correct when the position is reached at a different ply
+function toTableScore(score, ply) {
+    if (score >= WIN_THRESHOLD) return score + ply;
+    if (score <= -WIN_THRESHOLD) return score - ply;
+    return score;
+}
+
+function fromTableScore(score, ply) {
+    if (score >= WIN_THRESHOLD) return score - ply;
+    if (score <= -WIN_THRESHOLD) return score + ply;
+    return score;
+}
@@ -0,0 +1,107 @@
+/**
+ * Hint and position-analysis overlay
+ * Provides the Hint / Analysis buttons and paints evaluator results onto the board cells
+ */
+
+// Colors for the worst and best moves in analysis mode; moves in between blend through amber
+const WORST_COLOR = [0.9, 0.15, 0.1];
+const MIDDLE_COLOR = [0.9, 0.7, 0.1];
+const BEST_COLOR = [0.15, 0.9, 0.3];
+
+/**
+ * Creates the hint/analysis control bar shown in the bottom-right corner
+ * @param {Object} handlers - Callbacks for the controls
+ * @param {Function} handlers.onHint - Called when the player asks for a hint
+ * @param {Function} handlers.onToggleAnalysis - Called with true/false when analysis mode is switched
+ * @returns {Object} { container, setHintEnabled(enabled), setHintPending(pending), destroy() }
+ */
+export function createAnalysisControls({ onHint, onToggleAnalysis }) {
+    const container = document.createElement('div');
+    container.id = 'analysis-controls';
+    
+    const hintButton = document.createElement('button');
+    hintButton.className = 'history-button';
+    hintButton.textContent = 'Hint';
+    hintButton.title = 'Show the best move for the player to move';
+    
+    const analysisButton = document.createElement('button');
+    analysisButton.className = 'history-button';
+    analysisButton.textContent = 'Analysis';
+    analysisButton.title = 'Tint every empty cell by how good a move it is';
+    
+    container.append(hintButton, analysisButton);
+    document.body.appendChild(container);
+    
+    // Keep clicks on the controls from reaching the board's click handler
+    container.addEventListener('click', (e) => e.stopPropagation());
+    container.addEventListener('touchstart', (e) => e.stopPropagation());
+    
+    let analysisEnabled = false;
+    
+    hintButton.addEventListener('click', () => onHint());
+    analysisButton.addEventListener('click', () => {
+        analysisEnabled = !analysisEnabled;
+        analysisButton.classList.toggle('active', analysisEnabled);
+        onToggleAnalysis(analysisEnabled);
+    });
+    
+    return {
+        container,
+        
+        setHintEnabled(enabled) {
+            hintButton.disabled = !enabled;
+        },
+        
+        setHintPending(pending) {
+            hintButton.textContent = pending ? 'Thinking…' : 'Hint';
+        },
+        
+        destroy() {
+            container.remove();
+        }
+    };
+}
+
+/**
+ * Tint every analyzed cell from red (worst move) to green (best move)
+ * Scores are compressed logarithmically so forced wins and losses don't wash out the rest
+ * @param {Board} board - Board to paint
+ * @param {Array<Object>} moves - Analysis results: [{ move: [x, y, z], score }]
+ */
+export function showMoveValues(board, moves) {
+    if (moves.length === 0) return;
+    
+    const compress = (score) => Math.sign(score) * Math.log1p(Math.abs(score));
+    const values = moves.map(({ score }) => compress(score));
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    
+    moves.forEach(({ move }, i) => {
+        // All moves equal: show them all as neutral
+        const t = max > min ? (values[i] - min) / (max - min) : 0.5;
+        board.highlightCells([move], blendColor(t));
+    });
+}
+
+/**
+ * Make the suggested cell glow in the color of the player it is suggested for
+ * @param {Board} board - Board to paint
+ * @param {Array<number>} move - [x, y, z] coordinates (1-based)
+ * @param {Array<number>} color - RGB color of the player to move
+ */
+export function showHint(board, move, color) {
+    board.highlightCells([move], color);
+}
+
+/**
+ * Interpolate between the worst, middle and best colors
+ * @param {number} t - 0 for the worst move, 1 for the best
+ * @returns {Array<number>} RGB color
+ */
+function blendColor(t) {
+    const [from, to, local] = t < 0.5
+        ? [WORST_COLOR, MIDDLE_COLOR, t * 2]
+        : [MIDDLE_COLOR, BEST_COLOR, (t - 0.5) * 2];
+    
+    return from.map((component, i) => component + (to[i] - component) * local);
+}
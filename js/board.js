@@ -12,6 +12,8 @@ export class Board {
      * @param {number} height - Number of cells along Y axis
      * @param {number} depth - Number of cells along Z axis
      * @param {object} options - Additional options (spacing, cellSize, etc.)
+     * @param {Array<number>} [options.slice=[]] - When the board shows one 3D slice of a board with more
+     *                                             dimensions, the slice's coordinates (1-based) on the extra axes
      */
     constructor(width = 3, height = 3, depth = 3, options = {}) {
         this.width = width;
@@ -22,6 +24,7 @@ export class Board {
         this.options = {
             spacing: 1.0,
             cellSize: 0.9,
+            slice: [],
             ...options
         };
         
@@ -62,13 +65,14 @@ export class Board {
                     const adjustedX = x + 1;
                     const adjustedY = y + 1;
                     const adjustedZ = z + 1;
+                    const coords = [adjustedX, adjustedY, adjustedZ, ...this.options.slice];
                     
                     // Store cell with its game board position as key
-                    const posKey = `${adjustedX},${adjustedY},${adjustedZ}`;
+                    const posKey = coords.join(',');
                     this.cellMap.set(posKey, cell);
                     
                     // Associate cell with its logical position
-                    cell.userData = { x: adjustedX, y: adjustedY, z: adjustedZ };
+                    cell.userData = { x: adjustedX, y: adjustedY, z: adjustedZ, coords };
                     
                     // Add to board object
                     this.boardObj.add(cell);
@@ -87,13 +91,12 @@ export class Board {
     
     /**
      * Gets a cell at a specific position (using game coordinates: 1-based)
-     * @param {number} x - X position (1 to width)
-     * @param {number} y - Y position (1 to height)
-     * @param {number} z - Z position (1 to depth)
+     * On a slice board the coordinates include the slice's extra axes (e.g. x, y, z, w)
+     * @param {...number} coords - X (1 to width), Y (1 to height) and Z (1 to depth) positions
      * @returns {THREE.Mesh|null} The cell mesh or null if not found
      */
-    getCell(x, y, z) {
-        const posKey = `${x},${y},${z}`;
+    getCell(...coords) {
+        const posKey = coords.join(',');
         return this.cellMap.get(posKey) || null;
     }
     
@@ -117,22 +120,59 @@ export class Board {
         });
     }
     
+    /**
+     * Tint cells through the cell shader's playerColor uniform
+     * @param {Array<Array<number>>} coordinates - List of [x, y, z] positions (1-based); cells outside the board are skipped
+     * @param {Array<number>} color - RGB color components (0-1)
+     */
+    highlightCells(coordinates, color) {
+        coordinates.forEach(coords => {
+            const cell = this.getCell(...coords);
+            if (cell && cell.material && cell.material.uniforms) {
+                cell.material.uniforms.playerColor.value.fromArray(color);
+            }
+        });
+    }
+    
+    /**
+     * Remove all cell highlights, restoring the default cell color
+     */
+    clearHighlights() {
+        this.cells.forEach(cell => {
+            if (cell.material && cell.material.uniforms) {
+                cell.material.uniforms.playerColor.value.set(0, 0, 0);
+            }
+        });
+    }
+    
+    /**
+     * Free the GPU resources of every cell; the board can't be used afterwards
+     * Remove its object from the scene first
+     */
+    dispose() {
+        this.cells.forEach(cell => {
+            cell.geometry.dispose();
+            cell.material.dispose();
+        });
+    }
+    
     /**
      * Converts from a cell position to game board coordinates
      * @param {THREE.Mesh} cell - The cell to get coordinates for
-     * @returns {Array} [x, y, z] as 1-based board coordinates
+     * @returns {Array} [x, y, z] as 1-based board coordinates, followed by the slice coordinates if any
      */
     getCellCoordinates(cell) {
         // If the cell has userData with coordinates, return those
-        if (cell.userData && cell.userData.x !== undefined) {
-            return [cell.userData.x, cell.userData.y, cell.userData.z];
+        if (cell.userData && cell.userData.coords !== undefined) {
+            return [...cell.userData.coords];
         }
         
         // Fallback to calculating based on position
         return [
             Math.round(cell.position.x + this.centerX) + 1,
             Math.round(cell.position.y + this.centerY) + 1,
-            Math.round(cell.position.z + this.centerZ) + 1
+            Math.round(cell.position.z + this.centerZ) + 1,
+            ...this.options.slice
         ];
     }
 }
\ No newline at end of file
@@ -0,0 +1,56 @@
+import { formatClockTime } from './game-clock.js';
+
+/**
+ * Creates the players' clocks shown under the turn indicator in timed games
+ * The clock of the player to move is highlighted; a player whose time ran out shows FLAG.
+ * @returns {Object} { container, update(game), destroy() }
+ */
+export function createClockDisplay() {
+    const container = document.createElement('div');
+    container.id = 'game-clocks';
+    container.style.display = 'none';
+    document.body.appendChild(container);
+    
+    // One entry per player, rebuilt when the players change
+    let clocks = [];
+    
+    return {
+        container,
+        
+        /**
+         * Show the time every player has left; called on every frame, so the page is only touched when a clock changes
+         * @param {TicTacToe} game - The game whose clocks are shown
+         */
+        update(game) {
+            if (!game.clock) {
+                container.style.display = 'none';
+                return;
+            }
+            container.style.display = '';
+            
+            if (clocks.length !== game.players.length || clocks.some((clock, i) => clock.player !== game.players[i])) {
+                clocks = game.players.map(player => {
+                    const element = document.createElement('div');
+                    element.className = 'game-clock';
+                    return { player, element, text: '', className: 'game-clock' };
+                });
+                container.replaceChildren(...clocks.map(clock => clock.element));
+            }
+            
+            clocks.forEach(clock => {
+                const { player, element } = clock;
+                const flagged = game.clock.flagged.includes(player);
+                const text = `${player} ${flagged ? 'FLAG' : formatClockTime(game.getTimeLeft(player))}`;
+                const active = !game.winner && player === game.currentPlayer;
+                const className = `game-clock${active ? ' active' : ''}${flagged ? ' flagged' : ''}`;
+                
+                if (clock.text !== text) element.textContent = clock.text = text;
+                if (clock.className !== className) element.className = clock.className = className;
+            });
+        },
+        
+        destroy() {
+            container.remove();
+        }
+    };
+}
@@ -0,0 +1,143 @@
+import { WIN_RULES, MAX_AXES } from './game.js';
+import { parseTimeControl } from './game-clock.js';
+
+/**
+ * Game settings, read from the page URL
+ *
+ * Any setting can be given as a query parameter, so a link can open the game it describes:
+ *   ?w=4&h=4&d=4&win=4&style=ember-glow
+ *   w, h, d    board width, height and depth
+ *   x          sizes of any axes beyond the third, comma separated (x=3 for a 3x3x3x3 board)
+ *   win        marks in a row needed to win
+ *   gravity    1 to make marks fall along the Y axis
+ *   wrap       1 to let lines wrap around the board edges
+ *   rule       'standard', 'misere' or 'scoring'
+ *   players    player symbols in turn order, comma separated (players=X,O,T)
+ *   clock      time control: starting minutes, then +<increment> or d<delay> in seconds
+ *              (clock=5 sudden death, clock=3+2 Fischer, clock=3d2 Bronstein)
+ *   style      particle style: 'ember-glow', 'quantum-flux' or 'nebula-whisper'
+ *   server     WebSocket URL of the game server for online play (ws://<page host>:8787 by default)
+ * Settings that are missing or can't be used keep their defaults.
+ */
+
+// Particle styles that can be picked from the style selector
+export const PARTICLE_STYLES = ['ember-glow', 'quantum-flux', 'nebula-whisper'];
+
+// Largest board a URL may ask for, to keep a mistyped link from freezing the page
+export const MAX_BOARD_CELLS = 1024;
+
+export const DEFAULT_CONFIG = {
+    width: 3,
+    height: 3,
+    depth: 3,
+    // Sizes of any axes beyond the third, e.g. [3] for a 3x3x3x3 board shown as three 3x3x3 slices
+    extraDimensions: [],
+    winLength: 3,
+    // Marks fall along the Y axis to the lowest empty cell of their column
+    gravity: false,
+    // Lines wrap around the board edges, as on a 3D torus
+    wrap: false,
+    // 'standard' (completing a line wins), 'misere' (completing a line loses)
+    // or 'scoring' (fill the board; most completed lines wins)
+    winRule: 'standard',
+    // Player symbols in turn order; 'T' and 'S' have default styles for a third and fourth player
+    players: ['X', 'O'],
+    // Time control of the players' clocks (see game-clock.js); null for untimed games
+    timeControl: null,
+    // Per-player changes to the default particle styles, e.g. { O: { color: { primary: [0.8, 0.2, 1.0] } } }
+    playerStyles: {},
+    // Particle style of the markers
+    style: 'quantum-flux',
+    // WebSocket URL of the online game server; null for the default port on the page's host
+    server: null
+};
+
+/**
+ * Build the game settings from the default settings and a URL's query parameters
+ * @param {string} [search=''] - Query string, e.g. window.location.search
+ * @returns {Object} Settings shaped like DEFAULT_CONFIG
+ */
+export function readConfig(search = '') {
+    const params = new URLSearchParams(search);
+    const config = { ...DEFAULT_CONFIG };
+    
+    // Report a parameter that can't be used; its setting keeps the default
+    const reject = (name, reason) => console.warn(`Ignoring URL setting ${name}=${params.get(name)}: ${reason}`);
+    const readSize = (name) => {
+        const value = Number(params.get(name));
+        if (Number.isInteger(value) && value >= 1) return value;
+        reject(name, 'expected a positive integer');
+        return null;
+    };
+    const readFlag = (name) => ['1', 'true', 'yes', 'on', ''].includes(params.get(name).toLowerCase());
+    
+    // Board shape
+    const board = {
+        width: config.width,
+        height: config.height,
+        depth: config.depth,
+        extraDimensions: config.extraDimensions,
+        winLength: null
+    };
+    [['w', 'width'], ['h', 'height'], ['d', 'depth'], ['win', 'winLength']].forEach(([name, setting]) => {
+        if (!params.has(name)) return;
+        const value = readSize(name);
+        if (value !== null) board[setting] = value;
+    });
+    if (params.has('x')) {
+        const sizes = params.get('x').split(',').filter(Boolean).map(Number);
+        if (sizes.length <= MAX_AXES - 3 && sizes.every(size => Number.isInteger(size) && size >= 2)) {
+            board.extraDimensions = sizes;
+        } else {
+            reject('x', `expected a comma separated list of at most ${MAX_AXES - 3} sizes of 2 or more`);
+        }
+    }
+    
+    // Without a win length of its own, a board needs a row as long as its shortest side
+    const dimensions = [board.width, board.height, board.depth, ...board.extraDimensions];
+    const winLength = board.winLength ?? Math.min(...dimensions);
+    const cells = dimensions.reduce((product, size) => product * size, 1);
+    if (cells > MAX_BOARD_CELLS) {
+        console.warn(`Ignoring URL board size ${dimensions.join('x')}: more than ${MAX_BOARD_CELLS} cells`);
+    } else if (winLength > Math.max(...dimensions)) {
+        console.warn(`Ignoring URL board settings: ${winLength} in a row does not fit on a ${dimensions.join('x')} board`);
+    } else {
+        Object.assign(config, board, { winLength });
+    }
+    
+    // Rules and players
+    if (params.has('gravity')) config.gravity = readFlag('gravity');
+    if (params.has('wrap')) config.wrap = readFlag('wrap');
+    if (params.has('rule')) {
+        if (Object.keys(WIN_RULES).includes(params.get('rule'))) config.winRule = params.get('rule');
+        else reject('rule', `expected one of ${Object.keys(WIN_RULES).join(', ')}`);
+    }
+    if (params.has('players')) {
+        const players = params.get('players').split(',').map(player => player.trim());
+        if (players.length >= 2 && new Set(players).size === players.length &&
+            players.every(player => player !== '' && player !== 'draw')) {
+            config.players = players;
+        } else {
+            reject('players', 'expected two or more distinct symbols, comma separated');
+        }
+    }
+    
+    if (params.has('clock')) {
+        // A + typed into the URL arrives as a space
+        const timeControl = parseTimeControl(params.get('clock').replace(' ', '+'));
+        if (timeControl) config.timeControl = timeControl;
+        else reject('clock', 'expected minutes, optionally followed by +seconds or dseconds (e.g. 3+2)');
+    }
+    
+    if (params.has('style')) {
+        if (PARTICLE_STYLES.includes(params.get('style'))) config.style = params.get('style');
+        else reject('style', `expected one of ${PARTICLE_STYLES.join(', ')}`);
+    }
+    
+    if (params.has('server')) {
+        if (/^wss?:\/\/\S+$/.test(params.get('server'))) config.server = params.get('server');
+        else reject('server', 'expected a ws:// or wss:// URL');
+    }
+    
+    return config;
+}
@@ -0,0 +1,44 @@
+/**
+ * Minimal event emitter for the game engine, usable in the browser, in workers and in Node
+ * Listeners are called synchronously, in the order they subscribed
+ */
+export class EventEmitter {
+    constructor() {
+        // Sets of listeners by event name
+        this.eventListeners = new Map();
+    }
+    
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event's data object
+     * @returns {Function} Call to unsubscribe again
+     */
+    on(event, listener) {
+        if (!this.eventListeners.has(event)) this.eventListeners.set(event, new Set());
+        this.eventListeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+    
+    /**
+     * Unsubscribe a listener added with on()
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     */
+    off(event, listener) {
+        this.eventListeners.get(event)?.delete(listener);
+    }
+    
+    /**
+     * Call every listener of an event
+     * @param {string} event - Event name
+     * @param {Object} [data] - Passed to each listener
+     */
+    emit(event, data) {
+        const listeners = this.eventListeners.get(event);
+        if (!listeners) return;
+        
+        // Copy first, so listeners can unsubscribe while being called
+        for (const listener of [...listeners]) listener(data);
+    }
+}
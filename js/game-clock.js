@@ -0,0 +1,194 @@
+/**
+ * Chess-style clocks for games played against the time
+ *
+ * A time control gives every player the same starting time, and says what each move gives back:
+ * - 'sudden-death': nothing, the whole game is played in the starting time
+ * - 'fischer': `increment` is added after every move
+ * - 'bronstein': the time the move took is given back, up to `increment` (the delay), so a quick
+ *   move costs nothing but time can never be banked
+ * Times are in milliseconds. Written as text (URL settings, the lobby) a time control is the starting
+ * minutes, then '+' and the increment or 'd' and the delay in seconds: '5', '3+2', '3d2'.
+ */
+
+export const TIME_CONTROL_TYPES = ['sudden-death', 'fischer', 'bronstein'];
+
+// Longest starting time and increment accepted, in milliseconds
+const MAX_INITIAL_TIME = 24 * 60 * 60 * 1000;
+const MAX_INCREMENT = 60 * 60 * 1000;
+
+/**
+ * Check a time control and copy it
+ * @param {Object} timeControl - { type, initial, increment }
+ * @returns {Object} The time control, with increment 0 for sudden death
+ * @throws {Error} If the time control can't be played
+ */
+export function normalizeTimeControl(timeControl) {
+    const { type, initial, increment = 0 } = timeControl || {};
+    if (!TIME_CONTROL_TYPES.includes(type)) {
+        throw new Error(`Time control type must be one of ${TIME_CONTROL_TYPES.join(', ')}, got ${JSON.stringify(type)}`);
+    }
+    if (!Number.isFinite(initial) || initial <= 0 || initial > MAX_INITIAL_TIME) {
+        throw new Error(`Starting time must be more than 0 and at most 24 hours, got ${JSON.stringify(initial)}`);
+    }
+    if (!Number.isFinite(increment) || increment < 0 || increment > MAX_INCREMENT) {
+        throw new Error(`Increment must be between 0 and an hour, got ${JSON.stringify(increment)}`);
+    }
+    return { type, initial, increment: type === 'sudden-death' ? 0 : increment };
+}
+
+/**
+ * Read a time control written as text, e.g. '3+2'
+ * @param {string} text - Starting minutes, optionally followed by +<seconds> or d<seconds>
+ * @returns {Object|null} { type, initial, increment }, or null if the text isn't a playable time control
+ */
+export function parseTimeControl(text) {
+    const match = /^(\d+(?:\.\d+)?)(?:([+d])(\d+(?:\.\d+)?))?$/.exec(String(text).trim());
+    if (!match) return null;
+    
+    const [, minutes, separator, seconds] = match;
+    const type = separator === '+' ? 'fischer' : separator === 'd' ? 'bronstein' : 'sudden-death';
+    try {
+        return normalizeTimeControl({
+            type,
+            initial: Math.round(Number(minutes) * 60 * 1000),
+            increment: seconds ? Math.round(Number(seconds) * 1000) : 0
+        });
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Inverse of parseTimeControl()
+ * @param {Object} timeControl - { type, initial, increment }
+ * @returns {string} e.g. '3+2'
+ */
+export function formatTimeControl({ type, initial, increment }) {
+    const minutes = `${initial / 60000}`;
+    if (type === 'fischer') return `${minutes}+${increment / 1000}`;
+    if (type === 'bronstein') return `${minutes}d${increment / 1000}`;
+    return minutes;
+}
+
+/**
+ * Format the time left on a clock
+ * @param {number} time - Milliseconds
+ * @returns {string} Minutes and seconds ('4:05'), with tenths under ten seconds ('0:07.3')
+ */
+export function formatClockTime(time) {
+    const left = Math.max(0, time);
+    if (left < 10000) return `0:0${(Math.floor(left / 100) / 10).toFixed(1)}`;
+    
+    const seconds = Math.floor(left / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * The players' clocks of one game
+ *
+ * `remaining` holds each player's time at the start of their turn; the player to move also uses up
+ * the time since their turn started. The clock only measures time: the game (see TicTacToe) tells it
+ * when turns start and end and decides what a flag fall means. It is paused until the first move,
+ * and again after an undo, until the next move starts the next player's turn.
+ */
+export class GameClock {
+    /**
+     * @param {Object} timeControl - Checked time control (see normalizeTimeControl())
+     * @param {Array<string>} players - Player symbols
+     * @param {Function} [now=Date.now] - Current time in milliseconds
+     */
+    constructor(timeControl, players, now = () => Date.now()) {
+        this.timeControl = timeControl;
+        this.now = now;
+        this.remaining = Object.fromEntries(players.map(player => [player, timeControl.initial]));
+        // Players whose time ran out, in the order their flags fell
+        this.flagged = [];
+        // Time used in the current turn before the clock was last started, and when that was (null while paused)
+        this.spent = 0;
+        this.startedAt = null;
+    }
+    
+    /**
+     * @returns {boolean} True while the current turn's time is running
+     */
+    isRunning() {
+        return this.startedAt !== null;
+    }
+    
+    /**
+     * @returns {number} Milliseconds used in the current turn so far
+     */
+    getElapsed() {
+        return this.spent + (this.startedAt === null ? 0 : this.now() - this.startedAt);
+    }
+    
+    /**
+     * Start timing a new turn
+     * @param {boolean} running - Whether the time runs straight away (false leaves the clock paused)
+     */
+    startTurn(running) {
+        this.spent = 0;
+        this.startedAt = running ? this.now() : null;
+    }
+    
+    /**
+     * Stop the time of the current turn, keeping what it has used so far
+     */
+    pause() {
+        this.spent = this.getElapsed();
+        this.startedAt = null;
+    }
+    
+    /**
+     * Take the time of a finished move off a player's clock and give back what the time control allows
+     * @param {string} player - Player who moved
+     * @param {number} time - Milliseconds the move took
+     */
+    charge(player, time) {
+        const { type, increment } = this.timeControl;
+        let refund = 0;
+        if (type === 'fischer') refund = increment;
+        if (type === 'bronstein') refund = Math.min(time, increment);
+        this.remaining[player] = this.remaining[player] - time + refund;
+    }
+    
+    /**
+     * @returns {Object} What undo needs to put the clock back: { remaining, flagged }
+     */
+    snapshot() {
+        return { remaining: { ...this.remaining }, flagged: this.flagged };
+    }
+    
+    /**
+     * Put the clock back as it was before a move, paused
+     * @param {Object} snapshot - Output of snapshot()
+     */
+    restore({ remaining, flagged }) {
+        this.remaining = { ...remaining };
+        this.flagged = flagged;
+        this.startTurn(false);
+    }
+    
+    /**
+     * @returns {Object} { remaining, flagged, spent, running } to pass to another copy of the game
+     */
+    getState() {
+        return { remaining: { ...this.remaining }, flagged: [...this.flagged], spent: this.getElapsed(), running: this.isRunning() };
+    }
+    
+    /**
+     * Take over the times of another copy of the game
+     * @param {Object} state - Output of getState(); flagged players are left to the game
+     * @throws {Error} If the times don't fit the players
+     */
+    setTimes({ remaining, spent = 0, running = false }) {
+        const players = Object.keys(this.remaining);
+        if (!remaining || !players.every(player => Number.isFinite(remaining[player])) || !Number.isFinite(spent) || spent < 0) {
+            throw new Error('Clock times must give a number of milliseconds for every player');
+        }
+        
+        this.remaining = Object.fromEntries(players.map(player => [player, remaining[player]]));
+        this.spent = spent;
+        this.startedAt = running ? this.now() : null;
+    }
+}
@@ -0,0 +1,157 @@
+import { TicTacToe, DEFAULT_PLAYERS, MAX_AXES } from './game.js';
+import { MAX_BOARD_CELLS } from './config.js';
+import { parseTimeControl, formatTimeControl } from './game-clock.js';
+
+/**
+ * Shareable links to a game
+ *
+ * The game travels in the URL fragment, so a link opens the same position wherever the page is
+ * hosted, without a server. The fragment holds URL parameters:
+ *
+ *   #b=4x4x4&n=4&m=0l1g3f0a&i=3
+ *
+ *   b        board size
+ *   n        marks in a row needed to win
+ *   m        the moves, each the base-36 index of its cell (cells numbered as in TicTacToe.cells),
+ *            padded to the same number of characters for every cell of the board
+ *   i        moves on the board when some were undone (the rest can be redone); all by default
+ *   g, w     present for gravity and wrapping
+ *   r        win rule, when it isn't 'standard'
+ *   p        player symbols in turn order, comma separated, when they aren't X and O
+ *   c        time control of a timed game, e.g. 3+2 (see game-clock.js); the clocks start afresh
+ *   replay   present to open the game as a replay from the first move
+ */
+
+/**
+ * Encode a game as a URL fragment
+ * @param {TicTacToe} game - The game to encode
+ * @param {Object} [options]
+ * @param {boolean} [options.replay=false] - Open the link as a replay of the game
+ * @returns {string} The fragment, without the leading '#'
+ */
+export function encodeGameLink(game, { replay = false } = {}) {
+    const width = getMoveWidth(game.totalCells);
+    const params = new URLSearchParams();
+    params.set('b', game.dimensions.join('x'));
+    params.set('n', game.winLength);
+    params.set('m', game.history
+        .map(({ coords }) => game.getCellIndex(coords).toString(36).padStart(width, '0'))
+        .join(''));
+    if (game.historyIndex < game.history.length) params.set('i', game.historyIndex);
+    if (game.gravity) params.set('g', '');
+    if (game.wrap) params.set('w', '');
+    if (game.winRule !== 'standard') params.set('r', game.winRule);
+    if (game.players.join(',') !== DEFAULT_PLAYERS.join(',')) params.set('p', game.players.join(','));
+    if (game.timeControl) params.set('c', formatTimeControl(game.timeControl));
+    if (replay) params.set('replay', '');
+    
+    // Keep links short: leave out the "=" of empty values and don't escape the commas between players
+    return params.toString().replace(/=(?=&|$)/g, '').replace(/%2C/g, ',');
+}
+
+/**
+ * Read a game from a URL fragment made by encodeGameLink()
+ * @param {string} fragment - The fragment, with or without the leading '#'
+ * @returns {Object|null} { game, replay }, or null if the fragment holds no game
+ * @throws {Error} If the fragment holds a game that can't be rebuilt
+ */
+export function decodeGameLink(fragment) {
+    const params = new URLSearchParams(fragment.replace(/^#/, ''));
+    if (!params.has('b')) return null;
+    
+    const size = params.get('b');
+    if (!/^\d+(x\d+){2,}$/.test(size)) {
+        throw new Error(`Invalid game link: board size ${size} is not like 3x3x3`);
+    }
+    const dimensions = size.split('x').map(Number);
+    if (dimensions.length > MAX_AXES || dimensions.slice(3).some(side => side < 2)) {
+        throw new Error(`Invalid game link: a board has at most ${MAX_AXES} axes, each beyond the third of size 2 or more`);
+    }
+    const totalCells = dimensions.reduce((product, side) => product * side, 1);
+    if (totalCells > MAX_BOARD_CELLS) {
+        throw new Error(`Invalid game link: a ${size} board has more than ${MAX_BOARD_CELLS} cells`);
+    }
+    
+    const width = getMoveWidth(totalCells);
+    const moveText = params.get('m') || '';
+    if (!/^[0-9a-z]*$/.test(moveText) || moveText.length % width !== 0) {
+        throw new Error('Invalid game link: malformed move list');
+    }
+    
+    const [boardWidth, height, depth, ...extraDimensions] = dimensions;
+    // Turns a cell index back into 1-based coordinates, the last axis varying fastest
+    const toCoords = (index) => {
+        if (index >= totalCells) {
+            throw new Error(`Invalid game link: cell ${index} is outside the ${size} board`);
+        }
+        return dimensions.map((side, axis) =>
+            Math.floor(index / dimensions.slice(axis + 1).reduce((product, next) => product * next, 1)) % side + 1);
+    };
+    
+    const timeControl = params.has('c') ? parseTimeControl(params.get('c')) : null;
+    if (params.has('c') && !timeControl) {
+        throw new Error(`Invalid game link: time control ${params.get('c')} is not like 3+2`);
+    }
+    
+    const moves = [];
+    for (let i = 0; i < moveText.length; i += width) {
+        moves.push(toCoords(parseInt(moveText.slice(i, i + width), 36)));
+    }
+    
+    const game = TicTacToe.fromJSON({
+        width: boardWidth,
+        height,
+        depth,
+        winLength: Number(params.get('n')),
+        options: {
+            gravity: params.has('g'),
+            wrap: params.has('w'),
+            winRule: params.get('r') || 'standard',
+            extraDimensions,
+            timeControl
+        },
+        players: params.has('p') ? params.get('p').split(',') : DEFAULT_PLAYERS,
+        moves,
+        historyIndex: params.has('i') ? Number(params.get('i')) : moves.length
+    });
+    
+    return { game, replay: params.has('replay') };
+}
+
+/**
+ * Build a full link to a game
+ * @param {TicTacToe} game - The game to link to
+ * @param {Object} [options] - Options for encodeGameLink()
+ * @param {string} [base=window.location.href] - Page URL; its own fragment is replaced
+ * @returns {string} The link
+ */
+export function createGameLink(game, options = {}, base = window.location.href) {
+    const url = new URL(base);
+    url.hash = encodeGameLink(game, options);
+    return url.toString();
+}
+
+/**
+ * Hand a link to the player: copied to the clipboard where the browser allows it,
+ * otherwise shown in a prompt to copy by hand
+ * @param {string} link - The link to share
+ * @returns {Promise<void>} Resolves once the link was copied or shown
+ */
+export function shareLink(link) {
+    const copy = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject();
+    return copy.then(
+        () => alert('Link to this game copied to the clipboard.'),
+        () => {
+            prompt('Copy the link to this game:', link);
+        }
+    );
+}
+
+/**
+ * Number of base-36 characters needed for any cell index of a board
+ * @param {number} totalCells - Number of cells on the board
+ * @returns {number}
+ */
+function getMoveWidth(totalCells) {
+    return Math.max(1, (totalCells - 1).toString(36).length);
+}
@@ -1,312 +1,963 @@
-export class TicTacToe {
+import { EventEmitter } from './event-emitter.js';
+import { getLineTable } from './line-table.js';
+import { getZobristKeys } from './zobrist.js';
+import { GameClock, normalizeTimeControl } from './game-clock.js';
+
+/**
+ * Win rules, keyed by the name given as the winRule option
+ *
+ * The game asks its rule what a move means whenever the move completes one or more lines
+ * (runs of winLength or more marks through the new mark) and again if the board fills up:
+ * - completeLines(game, player, lines): returns the winner, or null to play on
+ * - boardFull(game): returns the final result (a player symbol or 'draw')
+ * Rules record the lines to highlight in game.winningLines, points in game.scores and players who
+ * are out in game.eliminated; undo puts all three back, so a rule never has to take anything back itself.
+ */
+export const WIN_RULES = {
+    // First to complete a line wins
+    standard: {
+        completeLines(game, player, lines) {
+            game.winningLines = lines;
+            return player;
+        },
+        boardFull() {
+            return 'draw';
+        }
+    },
+    
+    // Misère: completing a line loses; with more than two players the player who completes a line
+    // drops out (their marks stay on the board) and the last player left wins
+    misere: {
+        completeLines(game, player, lines) {
+            game.winningLines = [...game.winningLines, ...lines];
+            game.eliminated = [...game.eliminated, player];
+            const remaining = game.players.filter(p => !game.eliminated.includes(p));
+            return remaining.length === 1 ? remaining[0] : null;
+        },
+        boardFull() {
+            return 'draw';
+        }
+    },
+    
+    // Qubic tournament scoring: the board is played out and every completed line scores a point;
+    // a run longer than winLength counts as every line of winLength cells it contains
+    scoring: {
+        completeLines(game, player, lines) {
+            const { coords } = game.lastMove;
+            for (const line of lines) {
+                const position = line.findIndex(cell => cell.every((value, axis) => value === coords[axis]));
+                game.scores[player] += countNewLines(line.length, position, game.winLength, game.isClosedLine(line));
+            }
+            game.winningLines = [...game.winningLines, ...lines];
+            return null;
+        },
+        boardFull(game) {
+            const best = Math.max(...Object.values(game.scores));
+            const leaders = game.players.filter(player => game.scores[player] === best);
+            return leaders.length === 1 ? leaders[0] : 'draw';
+        }
+    }
+};
+
+// Player symbols in turn order when none are given
+export const DEFAULT_PLAYERS = ['X', 'O'];
+
+// Most board axes a game can have; the line directions grow as 3^axes, so a long list of axes would
+// exhaust memory even on a small board
+export const MAX_AXES = 6;
+
+/**
+ * Check the sizes of the axes beyond the third: a size-1 axis adds nothing to the board
+ * @param {*} extraDimensions - Candidate list
+ * @returns {boolean} True if the axes can be played on
+ */
+function isValidExtraDimensions(extraDimensions) {
+    return Array.isArray(extraDimensions) && extraDimensions.length <= MAX_AXES - 3 &&
+        extraDimensions.every(size => Number.isInteger(size) && size >= 2);
+}
+
+/**
+ * Check a list of player symbols: two or more distinct non-empty strings ('draw' is reserved)
+ * @param {*} players - Candidate list
+ * @returns {boolean} True if the players can be seated
+ */
+function isValidPlayerList(players) {
+    return Array.isArray(players) && players.length >= 2 && new Set(players).size === players.length &&
+        players.every(player => typeof player === 'string' && player !== '' && player !== 'draw');
+}
+
+/**
+ * Count the lines of winLength cells within a run that include a given cell of the run
+ * @param {number} runLength - Number of cells in the run
+ * @param {number} position - Index of the cell in the run (0-based)
+ * @param {number} winLength - Cells in a line
+ * @param {boolean} [closed=false] - The run is a complete ring around a wrapping board
+ * @returns {number} Number of lines through the cell
+ */
+function countNewLines(runLength, position, winLength, closed = false) {
+    // On a ring every cell starts a line, so winLength of them cover the cell (just one if the ring is a single line)
+    if (closed) return runLength === winLength ? 1 : winLength;
+    
+    const first = Math.max(0, position - winLength + 1);
+    const last = Math.min(position, runLength - winLength);
+    return Math.max(0, last - first + 1);
+}
+
+/**
+ * A game of tic-tac-toe on a board of three or more dimensions
+ *
+ * Subscribe with game.on(event, listener) to follow the game; listeners get one data object:
+ * - move: a new move was played ({ coords, player, moveNumber })
+ * - invalidMove: a move was refused ({ coords, player, reason }), reason being 'game-over',
+ *   'out-of-bounds', 'occupied' or 'column-full'
+ * - flag: a player's time ran out and they are out of the game ({ player }), followed by win
+ *   when that leaves a single player
+ * - turnChange: a different player is to move, after a move, undo, redo or reset ({ player, previous })
+ * - win: a move decided the game ({ player, lines } with the lines to highlight), or a flag fell
+ *   ({ player, lines, onTime: true })
+ * - draw: a move ended the game without a winner ({})
+ * - undo / redo: a move was taken back or replayed ({ coords, player, moveNumber })
+ * - reset: the board was cleared ({})
+ * Copies made with clone() start without listeners.
+ */
+export class TicTacToe extends EventEmitter {
     /**
      * Creates a new tic-tac-toe game with configurable dimensions
      * @param {number} width - Width of the board (X dimension)
      * @param {number} height - Height of the board (Y dimension)
      * @param {number} depth - Depth of the board (Z dimension)
      * @param {number} winLength - Number of marks in a row needed to win (defaults to min dimension)
+     * @param {Object} options - Rule options
+     * @param {boolean} [options.gravity=false] - Marks fall along the Y axis to the lowest empty cell of their column
+     * @param {string} [options.winRule='standard'] - How completed lines decide the game (a key of WIN_RULES)
+     * @param {Array<string>} [options.players=['X', 'O']] - Player symbols in turn order (two or more)
+     * @param {boolean} [options.wrap=false] - Lines wrap around the board edges, as on a 3D torus
+     * @param {Array<number>} [options.extraDimensions=[]] - Sizes of any axes beyond the third, each at
+     *                                                     least 2 (e.g. [3] for a 3x3x3x3 board), up to
+     *                                                     MAX_AXES axes in all
+     * @param {Object} [options.timeControl=null] - Play against the clock: { type, initial, increment }
+     *                                              (see game-clock.js); null for untimed play
      */
-    constructor(width = 3, height = 3, depth = 3, winLength = null) {
+    constructor(width = 3, height = 3, depth = 3, winLength = null, options = {}) {
+        super();
         this.width = width;
         this.height = height;
         this.depth = depth;
         
+        // Higher dimensional boards add axes after z; coordinates then run x, y, z, w, ...
+        const extraDimensions = options.extraDimensions || [];
+        if (!isValidExtraDimensions(extraDimensions)) {
+            throw new Error(`Extra dimensions must be a list of at most ${MAX_AXES - 3} sizes of 2 or more, got ${JSON.stringify(extraDimensions)}`);
+        }
+        this.extraDimensions = [...extraDimensions];
+        this.dimensions = [width, height, depth, ...extraDimensions];
+        
+        // Cells are stored in one flat array with the last axis varying fastest
+        this.strides = this.dimensions.map((_, axis) =>
+            this.dimensions.slice(axis + 1).reduce((product, size) => product * size, 1));
+        this.totalCells = this.dimensions.reduce((product, size) => product * size, 1);
+        
         // Default win length to the smallest dimension, or allow custom
-        this.winLength = winLength || Math.min(width, height, depth);
+        this.winLength = winLength || Math.min(...this.dimensions);
+        
+        // Rule options
+        this.gravity = !!options.gravity;
+        this.wrap = !!options.wrap;
+        
+        // Every winning line of the board, listed once (shared with other games of the same configuration)
+        this.lineTable = getLineTable(this.dimensions, this.winLength, this.wrap);
+        this.winRule = options.winRule || 'standard';
+        if (!WIN_RULES[this.winRule]) {
+            throw new Error(`Unknown win rule: ${this.winRule}`);
+        }
+        this.rule = WIN_RULES[this.winRule];
+        
+        // Players in turn order
+        const players = options.players || DEFAULT_PLAYERS;
+        if (!isValidPlayerList(players)) {
+            throw new Error(`Players must be two or more distinct symbols, got ${JSON.stringify(players)}`);
+        }
+        this.players = [...players];
+        this.zobrist = getZobristKeys(this.totalCells, this.players.length);
+        
+        // Players' clocks, when the game is played against the time
+        this.timeControl = options.timeControl ? normalizeTimeControl(options.timeControl) : null;
+        this.clock = this.timeControl ? new GameClock(this.timeControl, this.players) : null;
         
-        // Initialize the 3D board array
+        // Initialize the board
         this.initializeBoard();
         
-        // Start with X
-        this.currentPlayer = 'X';
+        // The first player in turn order starts
+        this.currentPlayer = this.players[0];
         
         // Track game state
         this.winner = null;
+        this.winningLines = [];
+        this.scores = this.createScores();
+        this.eliminated = [];
         this.moveCount = 0;
-        this.totalCells = width * height * depth;
+        
+        // Ordered move log; entries past historyIndex are undone moves kept for redo
+        this.history = [];
+        this.historyIndex = 0;
+        
+        // The move that produced the current position (with its resolved landing cell)
+        this.lastMove = null;
+    }
+    
+    /**
+     * Get the rule options the game was created with
+     * @returns {Object} Options to pass to the constructor to create a game with the same rules
+     */
+    getOptions() {
+        return {
+            gravity: this.gravity,
+            wrap: this.wrap,
+            winRule: this.winRule,
+            players: [...this.players],
+            extraDimensions: [...this.extraDimensions],
+            timeControl: this.timeControl ? { ...this.timeControl } : null
+        };
+    }
+    
+    /**
+     * @returns {Object} A zero score for every player, by symbol
+     */
+    createScores() {
+        return Object.fromEntries(this.players.map(player => [player, 0]));
+    }
+    
+    /**
+     * Find who moves after a player, skipping players who are out of the game
+     * @param {string} player - Player symbol
+     * @returns {string} The next player in turn order
+     */
+    nextPlayer(player) {
+        const seat = this.players.indexOf(player);
+        for (let i = 1; i <= this.players.length; i++) {
+            const next = this.players[(seat + i) % this.players.length];
+            if (!this.eliminated.includes(next)) return next;
+        }
+        return player;
     }
     
     /**
      * Initialize the game board
      */
     initializeBoard() {
-        // Create a 3D array with the specified dimensions
-        this.board = Array(this.width).fill().map(() => 
-            Array(this.height).fill().map(() => 
-                Array(this.depth).fill(null)
-            )
-        );
+        this.cells = new Array(this.totalCells).fill(null);
+        
+        // Bitboards: bit i of a player's board is set when they hold cell i
+        this.bitboards = Object.fromEntries(this.players.map(player => [player, 0n]));
+        this.occupied = 0n;
+        
+        // Zobrist hash of the marks on the board (see getHash())
+        this.hash = 0n;
+    }
+    
+    /**
+     * Find where a cell is stored in the flat cell array
+     * @param {Array<number>} coords - Coordinates (1-based), one per axis
+     * @returns {number} Index into this.cells, or -1 if the coordinates are not integers naming a cell of the board
+     */
+    getCellIndex(coords) {
+        if (coords.length !== this.dimensions.length) return -1;
+        
+        let index = 0;
+        for (let axis = 0; axis < coords.length; axis++) {
+            // Checked before any arithmetic, which would turn '2' or true into a number
+            if (!Number.isInteger(coords[axis])) return -1;
+            const value = coords[axis] - 1;
+            if (value < 0 || value >= this.dimensions[axis]) return -1;
+            index += value * this.strides[axis];
+        }
+        return index;
+    }
+    
+    /**
+     * Inverse of getCellIndex()
+     * @param {number} index - Index into this.cells
+     * @returns {Array<number>} Coordinates (1-based), one per axis
+     */
+    getCellCoordinates(index) {
+        return this.dimensions.map((size, axis) => Math.floor(index / this.strides[axis]) % size + 1);
     }
 
     /**
      * Make a move at the specified coordinates
-     * @param {number} x - X coordinate (1-based)
-     * @param {number} y - Y coordinate (1-based)
-     * @param {number} z - Z coordinate (1-based)
-     * @returns {string|null} The winner ('X', 'O', 'draw') or null if game continues
+     * With gravity the mark lands on the lowest empty cell of its column (the cells that differ only in y),
+     * whatever y was given; the cell actually taken is available afterwards as this.lastMove
+     * @param {...number} coords - X, Y and Z coordinates (1-based), then one per extra dimension
+     * @returns {Object} { accepted, reason, status, winner, move }:
+     *          - accepted: whether the move was played
+     *          - reason: why it was refused ('game-over', 'out-of-bounds', 'occupied' or 'column-full'), null if accepted
+     *          - status: the game status afterwards ('playing', 'won' or 'draw', see getStatus())
+     *          - winner: the winner afterwards (a player symbol or 'draw'), null while the game continues
+     *          - move: the move played ({ coords, player }, with the landing cell under gravity), null if refused
+     */
+    makeMove(...coords) {
+        return this.makeTimedMove(coords, null);
+    }
+    
+    /**
+     * Make a move, charging the mover's clock a given time instead of the time the clock measured
+     * For moves timed elsewhere: by the game server, by the other browser, or in a saved game
+     * @param {Array<number>} coords - Coordinates of the move (1-based)
+     * @param {number|null} time - Milliseconds the move took, or null to use the clock's own measure
+     * @returns {Object} The makeMove() result; a move made after the mover's time ran out is refused
+     *          with 'game-over', and the flag falls
      */
-    makeMove(x, y, z) {
-        // Convert to 0-based for array access
-        const xIdx = x - 1;
-        const yIdx = y - 1;
-        const zIdx = z - 1;
+    makeTimedMove(coords, time) {
+        // Once the game is decided the board is frozen (undo first to play on from an earlier position)
+        if (this.winner) {
+            return this.rejectMove(coords, 'game-over');
+        }
+        
+        // A move that comes too late loses on time instead; the clocks only start with the first move,
+        // so that one takes no time
+        const moveTime = !this.clock ? null : this.historyIndex === 0 ? 0 : (time ?? this.clock.getElapsed());
+        if (this.clock && moveTime >= this.clock.remaining[this.currentPlayer]) {
+            this.flagFall(this.currentPlayer);
+            return this.rejectMove(coords, 'game-over');
+        }
+        
+        // Check if coordinates are valid; under gravity only the column counts, as y is ignored
+        const column = this.gravity ? [coords[0], 1, ...coords.slice(2)] : coords;
+        if (this.getCellIndex(column) === -1) {
+            return this.rejectMove(coords, 'out-of-bounds');
+        }
         
-        // Check if coordinates are valid
-        if (xIdx < 0 || xIdx >= this.width || 
-            yIdx < 0 || yIdx >= this.height || 
-            zIdx < 0 || zIdx >= this.depth) {
-            return null; // Invalid move
+        if (this.gravity) {
+            const y = this.getLandingHeight(coords);
+            if (y === null) return this.rejectMove(coords, 'column-full');
+            coords = [coords[0], y, ...coords.slice(2)];
         }
         
         // Check if the cell is empty
-        if (!this.board[xIdx][yIdx][zIdx]) {
-            // Make the move
-            this.board[xIdx][yIdx][zIdx] = this.currentPlayer;
-            this.moveCount++;
-            
-            // Check for win or draw
-            const winner = this.checkWin(xIdx, yIdx, zIdx);
-            
+        if (this.cells[this.getCellIndex(coords)]) {
+            return this.rejectMove(coords, 'occupied');
+        }
+        
+        // A new move discards any undone moves that were waiting for redo
+        const previous = this.currentPlayer;
+        this.history.length = this.historyIndex;
+        this.history.push({
+            coords,
+            player: this.currentPlayer,
+            previousWinner: this.winner,
+            previousWinningLines: this.winningLines,
+            previousScores: { ...this.scores },
+            previousEliminated: this.eliminated,
+            ...(this.clock ? { time: moveTime, previousClock: this.clock.snapshot() } : {})
+        });
+        
+        const winner = this.applyMove(this.history[this.historyIndex++]);
+        // The next player's time starts running as soon as the move is made
+        if (this.clock && !winner) this.clock.startTurn(true);
+        
+        this.emit('move', { coords, player: previous, moveNumber: this.historyIndex });
+        if (winner === 'draw') {
+            this.emit('draw', {});
+        } else if (winner) {
+            this.emit('win', { player: winner, lines: this.winningLines });
+        }
+        this.emitTurnChange(previous);
+        
+        return { accepted: true, reason: null, status: this.getStatus(), winner, move: { coords, player: previous } };
+    }
+    
+    /**
+     * Time a player has left, counting the turn in progress
+     * @param {string} player - Player symbol
+     * @returns {number|null} Milliseconds (0 once the time has run out), or null for an untimed game
+     */
+    getTimeLeft(player) {
+        if (!this.clock) return null;
+        const running = player === this.currentPlayer && !this.winner ? this.clock.getElapsed() : 0;
+        return Math.max(0, this.clock.remaining[player] - running);
+    }
+    
+    /**
+     * End the turn of the player to move if their time has run out
+     * Nothing watches the time by itself: call this regularly while the clock runs (the page does on
+     * every frame, the game server when the time is due)
+     * @returns {boolean} True if a flag fell
+     */
+    checkClock() {
+        if (!this.clock || this.winner || this.getTimeLeft(this.currentPlayer) > 0) return false;
+        
+        this.flagFall(this.currentPlayer);
+        return true;
+    }
+    
+    /**
+     * Put a player whose time ran out out of the game; the last player left wins
+     * The flag fall is kept with the move before it in the history, so undo takes it back with that
+     * move and redo brings it back. Like a new move, it discards any undone moves waiting for redo.
+     * @param {string} player - Player whose flag fell (the player to move)
+     */
+    flagFall(player) {
+        const previous = this.currentPlayer;
+        this.history.length = this.historyIndex;
+        const move = this.history[this.historyIndex - 1];
+        move.flags = [...(move.flags || []), player];
+        
+        this.applyFlag(player);
+        this.clock.startTurn(!this.winner);
+        
+        this.emit('flag', { player });
+        if (this.winner) this.emit('win', { player: this.winner, lines: this.winningLines, onTime: true });
+        this.emitTurnChange(previous);
+    }
+    
+    /**
+     * Put a player out of the game for running out of time, passing the turn on or ending the game
+     * @param {string} player - Player whose flag fell
+     */
+    applyFlag(player) {
+        this.clock.remaining[player] = 0;
+        this.clock.flagged = [...this.clock.flagged, player];
+        this.eliminated = [...this.eliminated, player];
+        
+        const remaining = this.players.filter(p => !this.eliminated.includes(p));
+        if (remaining.length === 1) {
+            this.winner = remaining[0];
+        } else {
+            this.currentPlayer = this.nextPlayer(player);
+        }
+    }
+    
+    /**
+     * @returns {Array<Object>} The flag falls on the board, in the order they fell, as { player, moveNumber }
+     *          with the number of moves played before the player's time ran out
+     */
+    getFlags() {
+        return this.history.slice(0, this.historyIndex)
+            .flatMap(({ flags = [] }, i) => flags.map(player => ({ player, moveNumber: i + 1 })));
+    }
+    
+    /**
+     * @returns {Object|null} The clocks as { remaining, flagged, spent, running }, to bring another
+     *          copy of the game in step with syncClock(); null for an untimed game
+     */
+    getClockState() {
+        return this.clock ? this.clock.getState() : null;
+    }
+    
+    /**
+     * Take over the clock times of another copy of the same game, e.g. the game server's
+     * Flags are not copied: a copy where a flag fell differs in its result and is replaced whole
+     * @param {Object} state - Output of getClockState()
+     */
+    syncClock(state) {
+        if (this.clock && state) this.clock.setTimes(state);
+    }
+    
+    /**
+     * Report a refused move to listeners
+     * @param {Array<number>} coords - Coordinates the move was tried at
+     * @param {string} reason - Why it was refused ('game-over', 'out-of-bounds', 'occupied' or 'column-full')
+     * @returns {Object} The makeMove() result for the refused move
+     */
+    rejectMove(coords, reason) {
+        this.emit('invalidMove', { coords, player: this.currentPlayer, reason });
+        return { accepted: false, reason, status: this.getStatus(), winner: this.winner, move: null };
+    }
+    
+    /**
+     * @returns {string} 'playing' while moves can be made, 'won' once a player has won, 'draw' for a drawn game
+     */
+    getStatus() {
+        if (this.winner === 'draw') return 'draw';
+        return this.winner ? 'won' : 'playing';
+    }
+    
+    /**
+     * Emit turnChange if the player to move is no longer the given one
+     * @param {string} previous - Player who was to move before the change
+     */
+    emitTurnChange(previous) {
+        if (this.currentPlayer !== previous) {
+            this.emit('turnChange', { player: this.currentPlayer, previous });
+        }
+    }
+    
+    /**
+     * Find where a mark dropped into a column would land under gravity
+     * @param {Array<number>} coords - Coordinates (1-based) of any cell of the column; y is ignored
+     * @returns {number|null} Y coordinate (1-based) of the lowest empty cell, or null if the column is full
+     */
+    getLandingHeight(coords) {
+        const bottom = this.getCellIndex([coords[0], 1, ...coords.slice(2)]);
+        if (bottom === -1) return null;
+        
+        for (let y = 0; y < this.height; y++) {
+            if (!this.cells[bottom + y * this.strides[1]]) return y + 1;
+        }
+        return null;
+    }
+    
+    /**
+     * Apply a validated move from the history to the board
+     * @param {Object} move - History entry ({ coords, player } with 1-based coordinates)
+     * @returns {string|null} The winner (a player symbol or 'draw') or null if game continues
+     */
+    applyMove(move) {
+        // Make the move
+        const index = this.getCellIndex(move.coords);
+        const bit = this.lineTable.cellBits[index];
+        this.cells[index] = move.player;
+        this.bitboards[move.player] |= bit;
+        this.occupied |= bit;
+        this.hash ^= this.zobrist.cells[this.players.indexOf(move.player)][index];
+        this.moveCount++;
+        this.lastMove = move;
+        this.clock?.charge(move.player, move.time);
+        
+        // Let the win rule decide what any lines completed by the move mean
+        const win = this.checkWin(index);
+        
+        if (win) {
+            const winner = this.rule.completeLines(this, move.player, win.lines);
             if (winner) {
                 this.winner = winner;
                 return winner;
             }
-            
-            // Check for draw
-            if (this.moveCount === this.totalCells) {
-                this.winner = 'draw';
-                return 'draw';
-            }
-            
-            // Switch players
-            this.currentPlayer = this.currentPlayer === 'X' ? 'O' : 'X';
-            return null;
         }
         
-        return null; // Cell already occupied
+        // A full board ends the game (a draw unless the rule keeps score)
+        if (this.moveCount === this.totalCells) {
+            this.winner = this.rule.boardFull(this);
+            return this.winner;
+        }
+        
+        // Pass the turn on
+        this.currentPlayer = this.nextPlayer(move.player);
+        return null;
     }
-
+    
     /**
-     * Check if the last move resulted in a win
-     * @param {number} x - X coordinate of last move (0-based)
-     * @param {number} y - Y coordinate of last move (0-based)
-     * @param {number} z - Z coordinate of last move (0-based)
-     * @returns {string|null} The winner ('X' or 'O') or null
+     * Take back the last move, restoring the board, turn and result as they were before it
+     * @returns {Object|null} A copy of the undone move ({ coords, player }) or null if there is nothing to undo
      */
-    checkWin(x, y, z) {
-        // Get the player who made the last move
-        const player = this.board[x][y][z];
-        if (!player) return null;
+    undo() {
+        if (!this.canUndo()) return null;
         
-        // For standard 3x3x3 board, use the optimized checking method
-        // which directly checks all 49 possible winning lines
-        if (this.width === 3 && this.height === 3 && this.depth === 3 && this.winLength === 3) {
-            return this.checkWinStandard();
-        }
+        const previous = this.currentPlayer;
+        const move = this.history[--this.historyIndex];
+        const index = this.getCellIndex(move.coords);
+        const bit = this.lineTable.cellBits[index];
+        this.cells[index] = null;
+        this.bitboards[move.player] &= ~bit;
+        this.occupied &= ~bit;
+        this.hash ^= this.zobrist.cells[this.players.indexOf(move.player)][index];
+        this.moveCount--;
+        this.currentPlayer = move.player;
+        this.winner = move.previousWinner;
+        this.winningLines = move.previousWinningLines;
+        this.scores = { ...move.previousScores };
+        this.eliminated = move.previousEliminated;
+        this.lastMove = this.history[this.historyIndex - 1] || null;
+        // The clocks go back to where they stood before the move, and wait for the next move to run again
+        this.clock?.restore(move.previousClock);
         
-        // For custom dimensions, we need to check in all possible directions from the last move
+        this.emit('undo', { coords: move.coords, player: move.player, moveNumber: this.historyIndex + 1 });
+        this.emitTurnChange(previous);
         
-        // Define the 26 possible directions in 3D space
-        const directions = [];
+        return { coords: [...move.coords], player: move.player };
+    }
+    
+    /**
+     * Replay the most recently undone move
+     * @returns {Object|null} A copy of the redone move ({ coords, player }) or null if there is nothing to redo
+     */
+    redo() {
+        if (!this.canRedo()) return null;
         
-        // Generate all possible combinations of -1, 0, 1 for x, y, z except [0,0,0]
-        // This creates unit vectors in all 26 directions from a center point
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dz = -1; dz <= 1; dz++) {
-                    // Skip the [0,0,0] vector which is not a direction
-                    if (dx !== 0 || dy !== 0 || dz !== 0) {
-                        directions.push([dx, dy, dz]);
-                    }
-                }
-            }
-        }
+        const previous = this.currentPlayer;
+        const move = this.history[this.historyIndex++];
+        this.applyMove(move);
+        // Flags that fell after the move fall again
+        move.flags?.forEach(player => this.applyFlag(player));
         
-        // Check each direction for a win
-        for (const [dx, dy, dz] of directions) {
-            let count = 1; // Start with the current cell (already counted)
-            
-            // Check in the positive direction (e.g., up, right, forward...)
-            for (let i = 1; i < this.winLength; i++) {
-                // Calculate the next cell coordinates by moving in direction vector
-                const nx = x + dx * i;  // Move i steps in x direction
-                const ny = y + dy * i;  // Move i steps in y direction
-                const nz = z + dz * i;  // Move i steps in z direction
-                
-                // Check if we're still on the board and the cell has the same player mark
-                if (nx >= 0 && nx < this.width && 
-                    ny >= 0 && ny < this.height && 
-                    nz >= 0 && nz < this.depth &&
-                    this.board[nx][ny][nz] === player) {
-                    count++;  // Increment count if we found a matching cell
-                } else {
-                    break;     // Stop checking if we hit the board edge or different value
-                }
-            }
-            
-            // Check in the negative direction (opposite of above)
-            for (let i = 1; i < this.winLength; i++) {
-                // Calculate the next cell by moving in the opposite direction
-                const nx = x - dx * i;  // Move i steps in negative x direction
-                const ny = y - dy * i;  // Move i steps in negative y direction
-                const nz = z - dz * i;  // Move i steps in negative z direction
-                
-                // Check if we're still on the board and the cell has the same player mark
-                if (nx >= 0 && nx < this.width && 
-                    ny >= 0 && ny < this.height && 
-                    nz >= 0 && nz < this.depth &&
-                    this.board[nx][ny][nz] === player) {
-                    count++;  // Increment count if we found a matching cell
-                } else {
-                    break;     // Stop checking if we hit the board edge or different value
-                }
-            }
+        this.emit('redo', { coords: move.coords, player: move.player, moveNumber: this.historyIndex });
+        this.emitTurnChange(previous);
+        
+        return { coords: [...move.coords], player: move.player };
+    }
+    
+    /**
+     * Move through the history so that exactly the first n moves are on the board
+     * @param {number} n - Number of moves to keep applied (0 = empty board)
+     * @returns {boolean} True if n was a valid position in the history
+     */
+    jumpTo(n) {
+        if (!Number.isInteger(n) || n < 0 || n > this.history.length) return false;
+        
+        while (this.historyIndex > n) this.undo();
+        while (this.historyIndex < n) this.redo();
+        
+        return true;
+    }
+    
+    /**
+     * @returns {boolean} True if there is a move to undo
+     */
+    canUndo() {
+        return this.historyIndex > 0;
+    }
+    
+    /**
+     * @returns {boolean} True if there is an undone move to redo
+     */
+    canRedo() {
+        return this.historyIndex < this.history.length;
+    }
+    
+    /**
+     * Get the moves currently on the board, in the order they were played
+     * @returns {Array<Object>} Copies of the applied moves ({ coords, player }, 1-based coordinates)
+     */
+    getMoveHistory() {
+        return this.history.slice(0, this.historyIndex).map(({ coords, player }) => ({ coords: [...coords], player }));
+    }
+
+    /**
+     * List the moves the current player can make
+     * @returns {Array<Array<number>>} Coordinates ([x, y, z, ...], 1-based) of every playable cell,
+     *          or an empty array once the game is over
+     */
+    getLegalMoves() {
+        const moves = [];
+        if (this.winner) return moves;
+        
+        for (let index = 0; index < this.totalCells; index++) {
+            const coords = this.getCellCoordinates(index);
             
-            // Check if we have enough cells in a row to win
-            if (count >= this.winLength) {
-                return player;  // Return the winning player
+            // With gravity only the lowest empty cell of each column can be taken
+            if (this.gravity) {
+                if (coords[1] !== 1) continue;
+                const y = this.getLandingHeight(coords);
+                if (y !== null) moves.push([coords[0], y, ...coords.slice(2)]);
+            } else if (!this.cells[index]) {
+                moves.push(coords);
             }
         }
         
-        return null; // No winner
+        return moves;
     }
     
     /**
-     * Optimized win checking for standard 3x3x3 board
-     * This method directly checks all 49 possible winning lines in a 3D cube:
-     * - 9 rows (across X axis) × 3 layers = 27 lines
-     * - 9 columns (across Y axis) × 3 layers = 27 lines 
-     * - 9 pillars (across Z axis) = 9 lines
-     * - 6 face diagonals (2 per face × 3 faces) = 6 lines
-     * - 4 space diagonals (corner to corner) = 4 lines
-     * @returns {string|null} The winner ('X' or 'O') or null
+     * Zobrist hash of the current position, including whose turn it is
+     * Equal positions always hash the same; different ones collide with negligible probability.
+     * See symmetry.js for a hash that is also equal for rotated and mirrored positions.
+     * @returns {bigint} 64-bit hash
      */
-    checkWinStandard() {
-        // Check all rows (horizontal lines along X axis)
-        // For each Z-layer and Y-row, check the 3 cells in X direction
-        for (let z = 0; z < 3; z++) {          // Each Z layer front to back
-            for (let y = 0; y < 3; y++) {      // Each row top to bottom
-                if (this.checkLine(this.board[0][y][z], this.board[1][y][z], this.board[2][y][z])) {
-                    return this.board[0][y][z]; // Return winner (X or O)
-                }
-            }
+    getHash() {
+        return this.hash ^ this.zobrist.turns[this.players.indexOf(this.currentPlayer)];
+    }
+    
+    /**
+     * Create an independent copy of the game at its current position
+     * Only the moves on the board are copied; undone moves waiting for redo are dropped.
+     * Copies are for looking ahead (the computer players search on them), so they have no clock.
+     * @returns {TicTacToe} The copy
+     */
+    clone() {
+        const copy = new TicTacToe(this.width, this.height, this.depth, this.winLength, this.getOptions());
+        copy.clock = null;
+        copy.cells = this.cells.slice();
+        copy.bitboards = { ...this.bitboards };
+        copy.occupied = this.occupied;
+        copy.hash = this.hash;
+        copy.currentPlayer = this.currentPlayer;
+        copy.winner = this.winner;
+        copy.winningLines = this.winningLines;
+        copy.scores = { ...this.scores };
+        copy.eliminated = this.eliminated;
+        copy.moveCount = this.moveCount;
+        copy.history = this.history.slice(0, this.historyIndex);
+        copy.historyIndex = this.historyIndex;
+        copy.lastMove = this.lastMove;
+        return copy;
+    }
+    
+    /**
+     * Serialize the game to a plain object that JSON.stringify can store
+     * The whole history is kept, including undone moves that are still available for redo.
+     * A timed game also keeps the time of every move, the flag falls (see getFlags()) and the clocks
+     * (see getClockState()).
+     * @returns {Object} { width, height, depth, winLength, options, players, moves, historyIndex, winner },
+     *          and { times, flags, clock } for a timed game
+     */
+    toJSON() {
+        const { players, ...options } = this.getOptions();
+        const timing = this.clock ? {
+            times: this.history.map(({ time }) => time),
+            flags: this.history.flatMap(({ flags = [] }, i) => flags.map(player => ({ player, moveNumber: i + 1 }))),
+            clock: this.clock.getState()
+        } : {};
+        return {
+            width: this.width,
+            height: this.height,
+            depth: this.depth,
+            winLength: this.winLength,
+            options,
+            players,
+            moves: this.history.map(({ coords }) => [...coords]),
+            historyIndex: this.historyIndex,
+            winner: this.winner,
+            ...timing
+        };
+    }
+    
+    /**
+     * Rebuild a game from the output of toJSON() by replaying its moves
+     * @param {Object|string} data - Serialized game (object or JSON string)
+     * @returns {TicTacToe} The restored game
+     * @throws {Error} If the data is malformed or the moves are not a legal game
+     */
+    static fromJSON(data) {
+        const state = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!state || typeof state !== 'object') {
+            throw new Error('Invalid game data: expected an object');
         }
-
-        // Check all columns (vertical lines along Y axis)
-        // For each Z-layer and X-column, check the 3 cells in Y direction (top to bottom)
-        for (let z = 0; z < 3; z++) {          // Each Z layer front to back
-            for (let x = 0; x < 3; x++) {      // Each column left to right
-                if (this.checkLine(this.board[x][0][z], this.board[x][1][z], this.board[x][2][z])) {
-                    return this.board[x][0][z]; // Return winner (X or O)
-                }
+        
+        const { width, height, depth, winLength, moves = [] } = state;
+        for (const [name, value] of Object.entries({ width, height, depth, winLength })) {
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`Invalid game data: ${name} must be a positive integer`);
             }
         }
-
-        // Check all pillars (vertical lines along Z axis)
-        // For each X-column and Y-row, check the 3 cells in Z direction (front to back)
-        for (let x = 0; x < 3; x++) {          // Each X column left to right
-            for (let y = 0; y < 3; y++) {      // Each Y row top to bottom
-                if (this.checkLine(this.board[x][y][0], this.board[x][y][1], this.board[x][y][2])) {
-                    return this.board[x][y][0]; // Return winner (X or O)
-                }
-            }
+        const { extraDimensions = [] } = state.options || {};
+        if (!isValidExtraDimensions(extraDimensions)) {
+            throw new Error(`Invalid game data: extraDimensions must be a list of at most ${MAX_AXES - 3} sizes of 2 or more`);
         }
-
-        // Check face diagonals (diagonal lines on each face of the cube)
-        // XY plane diagonals (face diagonals on each Z layer)
-        for (let z = 0; z < 3; z++) {
-            // Check both diagonals on this Z layer:
-            // 1. Top-left to bottom-right diagonal
-            // 2. Bottom-left to top-right diagonal
-            if (this.checkLine(this.board[0][0][z], this.board[1][1][z], this.board[2][2][z]) ||
-                this.checkLine(this.board[2][0][z], this.board[1][1][z], this.board[0][2][z])) {
-                return this.board[1][1][z];     // Return winner (both diagonals cross the middle)
-            }
+        const dimensions = [width, height, depth, ...extraDimensions];
+        if (winLength > Math.max(...dimensions)) {
+            throw new Error(`Invalid game data: winLength ${winLength} does not fit on a ${dimensions.join('x')} board`);
         }
-
-        // XZ plane diagonals (face diagonals on each Y layer)
-        for (let y = 0; y < 3; y++) {
-            // Check both diagonals on this Y layer:
-            // 1. Front-left to back-right diagonal
-            // 2. Back-left to front-right diagonal
-            if (this.checkLine(this.board[0][y][0], this.board[1][y][1], this.board[2][y][2]) ||
-                this.checkLine(this.board[2][y][0], this.board[1][y][1], this.board[0][y][2])) {
-                return this.board[1][y][1];     // Return winner
-            }
+        const { players = DEFAULT_PLAYERS } = state;
+        if (!isValidPlayerList(players)) {
+            throw new Error('Invalid game data: players must be a list of two or more distinct symbols');
         }
-
-        // YZ plane diagonals (face diagonals on each X layer)
-        for (let x = 0; x < 3; x++) {
-            // Check both diagonals on this X layer:
-            // 1. Top-front to bottom-back diagonal
-            // 2. Bottom-front to top-back diagonal
-            if (this.checkLine(this.board[x][0][0], this.board[x][1][1], this.board[x][2][2]) ||
-                this.checkLine(this.board[x][2][0], this.board[x][1][1], this.board[x][0][2])) {
-                return this.board[x][1][1];     // Return winner
+        if (!Array.isArray(moves)) {
+            throw new Error('Invalid game data: moves must be an array');
+        }
+        const { times = [], flags = [], clock = null } = state;
+        if (!Array.isArray(times) || !times.every(time => time === null || (Number.isFinite(time) && time >= 0))) {
+            throw new Error('Invalid game data: times must be a list of move times in milliseconds');
+        }
+        if (!Array.isArray(flags) || !flags.every(flag => Number.isInteger(flag?.moveNumber) && flag.moveNumber >= 1)) {
+            throw new Error('Invalid game data: flags must be a list of { player, moveNumber } flag falls');
+        }
+        if (state.options?.winRule && !WIN_RULES[state.options.winRule]) {
+            throw new Error(`Invalid game data: unknown win rule ${state.options.winRule}`);
+        }
+        
+        let game;
+        try {
+            game = new TicTacToe(width, height, depth, winLength, { ...state.options, players });
+        } catch (e) {
+            throw new Error(`Invalid game data: ${e.message}`);
+        }
+        moves.forEach((move, i) => {
+            if (!Array.isArray(move) || move.length !== dimensions.length || !move.every(Number.isInteger)) {
+                throw new Error(`Invalid game data: move ${i + 1} must be an array of ${dimensions.length} integers`);
+            }
+            if (game.winner) {
+                throw new Error(`Invalid game data: move ${i + 1} was played after the game ended`);
+            }
+            
+            // Moves without a recorded time are taken as instant
+            const result = game.makeTimedMove(move, game.clock ? (times[i] ?? 0) : null);
+            if (!result.accepted) {
+                throw new Error(`Invalid game data: move ${i + 1} (${move.join(',')}) was refused (${result.reason})`);
+            }
+            if (game.lastMove.coords[1] !== move[1]) {
+                throw new Error(`Invalid game data: move ${i + 1} (${move.join(',')}) would land at height ${game.lastMove.coords[1]}`);
             }
+            
+            // Flags that fell before the next move, so the turn order goes on as it did
+            flags.filter(({ moveNumber }) => moveNumber === i + 1).forEach(({ player }) => {
+                if (!game.clock || game.winner || player !== game.currentPlayer) {
+                    throw new Error(`Invalid game data: player ${player} can't have lost on time after move ${i + 1}`);
+                }
+                game.flagFall(player);
+            });
+        });
+        if (flags.some(({ moveNumber }) => moveNumber > moves.length)) {
+            throw new Error('Invalid game data: a flag fell after a move that is not in the move list');
         }
-
-        // Check space diagonals (corner to corner through the cube's center)
-        // There are exactly 4 space diagonals in a cube:
-        // 1. Front-bottom-left to back-top-right diagonal
-        if (this.checkLine(this.board[0][0][0], this.board[1][1][1], this.board[2][2][2])) {
-            return this.board[1][1][1];
+        
+        const historyIndex = state.historyIndex ?? moves.length;
+        if (!game.jumpTo(historyIndex)) {
+            throw new Error(`Invalid game data: historyIndex ${historyIndex} is outside the move list`);
         }
-        // 2. Front-bottom-right to back-top-left diagonal
-        if (this.checkLine(this.board[2][0][0], this.board[1][1][1], this.board[0][2][2])) {
-            return this.board[1][1][1];
+        
+        // The recorded clocks win over the move times
+        if (game.clock && clock) {
+            try {
+                game.clock.setTimes(clock);
+            } catch (e) {
+                throw new Error(`Invalid game data: ${e.message}`);
+            }
         }
-        // 3. Front-top-left to back-bottom-right diagonal
-        if (this.checkLine(this.board[0][2][0], this.board[1][1][1], this.board[2][0][2])) {
-            return this.board[1][1][1];
+        if (state.winner !== undefined && state.winner !== game.winner) {
+            throw new Error(`Invalid game data: recorded winner ${state.winner} does not match the moves (${game.winner})`);
         }
-        // 4. Front-top-right to back-bottom-left diagonal
-        if (this.checkLine(this.board[2][2][0], this.board[1][1][1], this.board[0][0][2])) {
-            return this.board[1][1][1];
+        
+        return game;
+    }
+    
+    /**
+     * Check if the last move resulted in a win
+     * Only the lines through the new mark are tested, each with one bitboard AND
+     * @param {number} index - Cell index of the last move
+     * @returns {Object|null} { player, lines } where lines lists every run of winLength or more marks
+     *          through the cell as an array of cell coordinates (1-based), or null if there is no winner
+     */
+    checkWin(index) {
+        // Get the player who made the last move
+        const player = this.cells[index];
+        if (!player) return null;
+        
+        const { lineDirections, directions, masks, cellLines } = this.lineTable;
+        const bits = this.bitboards[player];
+        
+        // Directions of the lines through the cell that the player now holds completely
+        const completed = new Set();
+        for (const id of cellLines[index]) {
+            if ((bits & masks[id]) === masks[id]) completed.add(lineDirections[id]);
         }
-
-        // No winner yet
-        return null;
+        
+        const runs = [];
+        // Keys of the runs found so far; on small wrapping boards two directions can trace the same cells
+        const found = new Set();
+        
+        // Only directions with a completed line need walking, to collect the whole run through the cell
+        for (const direction of completed) {
+            const step = directions[direction];
+            const run = [index];
+            
+            // With wrapping a line comes back to its start after this many cells, so never walk further
+            const cycle = this.wrap ? this.getCycleLength(step) : Infinity;
+            
+            // Walk in the positive direction, then in the negative one
+            for (let i = 1; run.length < cycle; i++) {
+                const next = this.getNeighbour(index, step, i);
+                if (next === -1 || this.cells[next] !== player) break;
+                run.push(next);
+            }
+            for (let i = 1; run.length < cycle; i++) {
+                const next = this.getNeighbour(index, step, -i);
+                if (next === -1 || this.cells[next] !== player) break;
+                run.unshift(next);
+            }
+            
+            const key = [...run].sort((a, b) => a - b).join(',');
+            if (!found.has(key)) {
+                found.add(key);
+                runs.push(run.map(cell => this.getCellCoordinates(cell)));
+            }
+        }
+        
+        return runs.length > 0 ? { player, lines: runs } : null;
     }
-
+    
+    /**
+     * Find the cell a number of steps away along a direction, continuing from the opposite face when lines wrap
+     * @param {number} index - Cell index to start from
+     * @param {Array<number>} direction - Step along each axis (-1, 0 or 1)
+     * @param {number} distance - Number of steps (negative to walk backwards)
+     * @returns {number} Cell index, or -1 if the walk leaves a board that doesn't wrap
+     */
+    getNeighbour(index, direction, distance) {
+        const mod = (value, size) => ((value % size) + size) % size;
+        const coords = this.getCellCoordinates(index).map((value, axis) => {
+            const moved = value - 1 + direction[axis] * distance;
+            return (this.wrap ? mod(moved, this.dimensions[axis]) : moved) + 1;
+        });
+        return this.getCellIndex(coords);
+    }
+    
     /**
-     * Helper function to check if three cells form a winning line
-     * @param {string|null} a - First cell value ('X', 'O', or null)
-     * @param {string|null} b - Second cell value ('X', 'O', or null)
-     * @param {string|null} c - Third cell value ('X', 'O', or null)
-     * @returns {boolean} True if cells form a winning line (all non-null and matching)
+     * Number of distinct cells on a wrapping line before it returns to its starting cell
+     * @param {Array<number>} direction - Step of the line direction along each axis (-1, 0 or 1)
+     * @returns {number} Least common multiple of the board sizes the direction moves along
      */
-    checkLine(a, b, c) {
-        // Check that: 1) first cell is not empty, 2) all cells have the same value (X or O)
-        return a !== null && a === b && b === c;
+    getCycleLength(direction) {
+        const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+        let cycle = 1;
+        direction.forEach((step, axis) => {
+            const size = this.dimensions[axis];
+            if (step !== 0) cycle = cycle * size / gcd(cycle, size);
+        });
+        return cycle;
+    }
+    
+    /**
+     * Check whether a reported line runs all the way around a wrapping board back to its start
+     * @param {Array<Array<number>>} line - Cells of the line in order (1-based coordinates)
+     * @returns {boolean} True if the line is a closed ring
+     */
+    isClosedLine(line) {
+        if (!this.wrap || line.length < 2) return false;
+        
+        // Any size a step moves along shows up as a non-zero difference (sizes of 1 don't change the cycle)
+        const [first, second] = line;
+        return line.length === this.getCycleLength(second.map((value, axis) => value - first[axis]));
+    }
+    
+    /**
+     * Count the lines a player could complete with one more mark: every cell but one is theirs
+     * and the last one is empty (under gravity it may not be playable yet)
+     * @param {string} player - Player symbol
+     * @returns {number} Number of threatening lines
+     */
+    countThreats(player) {
+        const bits = this.bitboards[player];
+        let threats = 0;
+        
+        for (const mask of this.lineTable.masks) {
+            const missing = mask & ~bits;
+            // Exactly one bit missing, and that cell is free
+            if (missing !== 0n && (missing & (missing - 1n)) === 0n && (missing & this.occupied) === 0n) {
+                threats++;
+            }
+        }
+        
+        return threats;
     }
     
     /**
      * Reset the game
      */
     reset() {
+        const previous = this.currentPlayer;
         this.initializeBoard();
-        this.currentPlayer = 'X';
+        this.currentPlayer = this.players[0];
         this.winner = null;
+        this.winningLines = [];
+        this.scores = this.createScores();
+        this.eliminated = [];
         this.moveCount = 0;
+        this.history = [];
+        this.historyIndex = 0;
+        this.lastMove = null;
+        if (this.clock) this.clock = new GameClock(this.timeControl, this.players);
+        
+        this.emit('reset', {});
+        this.emitTurnChange(previous);
     }
     
     /**
      * Get cell value at position (1-based indices)
-     * @returns {string|null} The cell value ('X', 'O') or null if empty
+     * @param {...number} coords - X, Y and Z coordinates, then one per extra dimension
+     * @returns {string|null} The cell value (a player symbol) or null if empty
      */
-    getCell(x, y, z) {
-        // Convert to 0-based for array access
-        const xIdx = x - 1;
-        const yIdx = y - 1;
-        const zIdx = z - 1;
-        
-        if (xIdx >= 0 && xIdx < this.width && 
-            yIdx >= 0 && yIdx < this.height && 
-            zIdx >= 0 && zIdx < this.depth) {
-            return this.board[xIdx][yIdx][zIdx];
-        }
-        
-        return null; // Out of bounds
+    getCell(...coords) {
+        const index = this.getCellIndex(coords);
+        return index === -1 ? null : this.cells[index]; // null when out of bounds
     }
 }
\ No newline at end of file
@@ -0,0 +1,71 @@
+import { isEditableTarget } from './keyboard.js';
+
+/**
+ * Creates the undo/redo control bar shown at the bottom of the screen
+ * Buttons are also bound to Ctrl+Z (undo) and Ctrl+Y / Ctrl+Shift+Z (redo), except while typing in a form field
+ * @param {Object} handlers - Callbacks for the controls
+ * @param {Function} handlers.onUndo - Called when the player asks to undo
+ * @param {Function} handlers.onRedo - Called when the player asks to redo
+ * @returns {Object} { container, update(game), destroy() }
+ */
+export function createHistoryControls({ onUndo, onRedo }) {
+    const container = document.createElement('div');
+    container.id = 'history-controls';
+    
+    const undoButton = document.createElement('button');
+    undoButton.className = 'history-button';
+    undoButton.textContent = 'Undo';
+    undoButton.title = 'Undo (Ctrl+Z)';
+    
+    const moveLabel = document.createElement('div');
+    moveLabel.className = 'history-label';
+    
+    const redoButton = document.createElement('button');
+    redoButton.className = 'history-button';
+    redoButton.textContent = 'Redo';
+    redoButton.title = 'Redo (Ctrl+Y)';
+    
+    container.append(undoButton, moveLabel, redoButton);
+    document.body.appendChild(container);
+    
+    // Keep clicks on the controls from reaching the board's click handler
+    container.addEventListener('click', (e) => e.stopPropagation());
+    container.addEventListener('touchstart', (e) => e.stopPropagation());
+    
+    undoButton.addEventListener('click', () => onUndo());
+    redoButton.addEventListener('click', () => onRedo());
+    
+    const onKeyDown = (e) => {
+        // Text fields keep their own undo
+        if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            onUndo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            onRedo();
+        }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    
+    return {
+        container,
+        
+        /**
+         * Refresh button states and the move counter from the game
+         * @param {TicTacToe} game - The game whose history is shown
+         */
+        update(game) {
+            undoButton.disabled = !game.canUndo();
+            redoButton.disabled = !game.canRedo();
+            moveLabel.textContent = `MOVE ${game.historyIndex} / ${game.history.length}`;
+        },
+        
+        destroy() {
+            window.removeEventListener('keydown', onKeyDown);
+            container.remove();
+        }
+    };
+}
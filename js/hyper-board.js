@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+import { Board } from './board.js';
+
+// Empty cells left between neighbouring slices
+const SLICE_GAP = 1;
+
+/**
+ * Board with more than three dimensions, shown as a row of 3D slices side by side
+ * A 3x3x3x3 board becomes three 3x3x3 boards along the X axis, one for each w;
+ * a fifth axis lays those rows out along Z, a sixth repeats the pattern along X, and so on.
+ * Offers the same methods as Board, with coordinates that include the extra axes.
+ */
+export class HyperBoard {
+    /**
+     * @param {Array<number>} dimensions - Size of every axis ([width, height, depth, w, ...])
+     * @param {object} options - Options passed to every slice (spacing, cellSize, etc.)
+     */
+    constructor(dimensions, options = {}) {
+        const [width, height, depth, ...extraDimensions] = dimensions;
+        this.width = width;
+        this.height = height;
+        this.depth = depth;
+        this.dimensions = dimensions;
+        
+        this.options = {
+            spacing: 1.0,
+            cellSize: 0.9,
+            ...options
+        };
+        
+        // Slices share the Y axis, so markers can drop from the same height on every one
+        this.centerY = (height - 1) / 2;
+        
+        this.boardObj = new THREE.Group();
+        this.slices = [];
+        this.createSlices(extraDimensions);
+    }
+    
+    /**
+     * Create a Board for every combination of coordinates on the extra axes and place it
+     * @param {Array<number>} extraDimensions - Sizes of the axes beyond the third
+     */
+    createSlices(extraDimensions) {
+        // Distance between neighbouring slices along each extra axis, alternating X and Z
+        const extent = [this.width, this.depth];
+        const steps = extraDimensions.map((size, i) => {
+            const side = i % 2;
+            const step = extent[side] + SLICE_GAP;
+            extent[side] = step * size - SLICE_GAP;
+            return { side, step };
+        });
+        
+        let slices = [[]];
+        for (const size of extraDimensions) {
+            slices = slices.flatMap(slice => Array.from({ length: size }, (_, i) => [...slice, i + 1]));
+        }
+        
+        for (const slice of slices) {
+            const board = new Board(this.width, this.height, this.depth, { ...this.options, slice });
+            
+            // Offset from the first slice, then center the whole arrangement
+            const offset = [0, 0];
+            slice.forEach((coordinate, i) => {
+                offset[steps[i].side] += (coordinate - 1) * steps[i].step;
+            });
+            const object = board.getObject();
+            object.position.set(
+                (offset[0] - (extent[0] - this.width) / 2) * this.options.spacing,
+                0,
+                (offset[1] - (extent[1] - this.depth) / 2) * this.options.spacing
+            );
+            
+            this.slices.push(board);
+            this.boardObj.add(object);
+        }
+    }
+    
+    /**
+     * Gets the Three.js object holding every slice
+     * @returns {THREE.Group} The board object to add to a scene
+     */
+    getObject() {
+        return this.boardObj;
+    }
+    
+    /**
+     * Gets a cell at a specific position (1-based, one coordinate per axis)
+     * @param {...number} coords - Coordinates of the cell
+     * @returns {THREE.Mesh|null} The cell mesh or null if not found
+     */
+    getCell(...coords) {
+        for (const board of this.slices) {
+            const cell = board.getCell(...coords);
+            if (cell) return cell;
+        }
+        return null;
+    }
+    
+    /**
+     * Get all cells of every slice as an array
+     * @returns {Array<THREE.Mesh>} Array of all cell meshes
+     */
+    getAllCells() {
+        return this.slices.flatMap(board => board.getAllCells());
+    }
+    
+    /**
+     * Animate all cells
+     * @param {number} time - The current animation time
+     */
+    animate(time) {
+        this.slices.forEach(board => board.animate(time));
+    }
+    
+    /**
+     * Tint cells through the cell shader's playerColor uniform
+     * @param {Array<Array<number>>} coordinates - List of positions (1-based, one coordinate per axis)
+     * @param {Array<number>} color - RGB color components (0-1)
+     */
+    highlightCells(coordinates, color) {
+        this.slices.forEach(board => board.highlightCells(coordinates, color));
+    }
+    
+    /**
+     * Remove all cell highlights, restoring the default cell color
+     */
+    clearHighlights() {
+        this.slices.forEach(board => board.clearHighlights());
+    }
+    
+    /**
+     * Free the GPU resources of every slice; the board can't be used afterwards
+     */
+    dispose() {
+        this.slices.forEach(board => board.dispose());
+    }
+    
+    /**
+     * Converts from a cell to game board coordinates
+     * @param {THREE.Mesh} cell - The cell to get coordinates for
+     * @returns {Array<number>} 1-based coordinates, one per axis
+     */
+    getCellCoordinates(cell) {
+        return [...cell.userData.coords];
+    }
+}
+
+/**
+ * Create the board view for a game of any number of dimensions
+ * @param {Array<number>} dimensions - Size of every axis ([width, height, depth, ...])
+ * @param {object} [options] - Board options (spacing, cellSize, etc.)
+ * @returns {Board|HyperBoard} A Board for three dimensions, a HyperBoard for more
+ */
+export function createBoard(dimensions, options = {}) {
+    if (dimensions.length <= 3) {
+        const [width, height, depth] = dimensions;
+        return new Board(width, height, depth, options);
+    }
+    return new HyperBoard(dimensions, options);
+}
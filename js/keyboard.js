@@ -0,0 +1,11 @@
+/**
+ * Tell whether a key press belongs to a form field or editable text rather than to the page's shortcuts
+ * @param {EventTarget} target - The key event's target
+ * @returns {boolean} True for inputs, text areas, selects and contentEditable elements
+ */
+export function isEditableTarget(target) {
+    return target instanceof HTMLInputElement ||
+        target instanceof HTMLTextAreaElement ||
+        target instanceof HTMLSelectElement ||
+        Boolean(target?.isContentEditable);
+}
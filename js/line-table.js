@@ -0,0 +1,94 @@
+/**
+ * Winning line tables shared by the game engine and the computer players
+ *
+ * Every line of winLength cells on a board is listed once per board configuration, by cell index
+ * (cells numbered as in TicTacToe.cells, with the last axis varying fastest). Each line also has a
+ * bitmask over the cell indices, so a player's marks can be kept as a BigInt bitboard and a line
+ * checked with a single AND. Tables are cached and shared between games: treat them as read-only.
+ */
+
+// Line tables, cached per board configuration
+const tableCache = new Map();
+
+/**
+ * List the directions a line can run in on a board with the given number of axes
+ * Every neighbour direction lies on the same line as its opposite, so only the one whose first
+ * non-zero step is positive is kept: 13 directions in 3D, 40 in 4D, (3^n - 1) / 2 in general
+ * @param {number} axes - Number of board axes
+ * @returns {Array<Array<number>>} Step vectors (each step -1, 0 or 1)
+ */
+export function getLineDirections(axes) {
+    let steps = [[]];
+    for (let axis = 0; axis < axes; axis++) {
+        steps = steps.flatMap(step => [-1, 0, 1].map(value => [...step, value]));
+    }
+    return steps.filter(step => step.find(value => value !== 0) > 0);
+}
+
+/**
+ * Enumerate every possible winning line on a board
+ * A line is any run of winLength cells along one of the line directions
+ * @param {Array<number>} dimensions - Size of every axis ([width, height, depth, ...])
+ * @param {number} winLength - Number of marks in a row needed to win
+ * @param {boolean} [wrap=false] - Lines continue from the opposite face when they leave the board
+ * @returns {Object} The line table:
+ *          - lines: cell indices of every line, in line order
+ *          - lineDirections: index into directions of the direction each line runs in
+ *          - directions: step vectors of the line directions
+ *          - masks: bitmask of each line's cells (bit i for cell i)
+ *          - cellBits: bitmask of each single cell
+ *          - cellLines: ids (indices into lines) of the lines through each cell
+ */
+export function getLineTable(dimensions, winLength, wrap = false) {
+    const key = `${dimensions.join('x')}:${winLength}${wrap ? ':wrap' : ''}`;
+    if (tableCache.has(key)) return tableCache.get(key);
+    
+    const strides = dimensions.map((_, axis) =>
+        dimensions.slice(axis + 1).reduce((product, size) => product * size, 1));
+    const totalCells = dimensions.reduce((product, size) => product * size, 1);
+    const indexOf = (cell) => cell.reduce((index, value, axis) => index + value * strides[axis], 0);
+    const inside = (cell) => cell.every((value, axis) => value >= 0 && value < dimensions[axis]);
+    const mod = (value, size) => ((value % size) + size) % size;
+    
+    const directions = getLineDirections(dimensions.length);
+    const lines = [];
+    const lineDirections = [];
+    // Keys of the wrapped lines already listed; on small boards different starts and directions meet
+    const seen = new Set();
+    
+    // Every cell of the board, as the start of a line
+    let starts = [[]];
+    for (const size of dimensions) {
+        starts = starts.flatMap(start => Array.from({ length: size }, (_, value) => [...start, value]));
+    }
+    
+    directions.forEach((direction, directionId) => {
+        for (const start of starts) {
+            const step = (i) => start.map((value, axis) => value + direction[axis] * i);
+            if (!wrap && !inside(step(winLength - 1))) continue;
+            
+            const line = [];
+            for (let i = 0; i < winLength; i++) {
+                line.push(indexOf(wrap ? step(i).map((value, axis) => mod(value, dimensions[axis])) : step(i)));
+            }
+            
+            if (wrap) {
+                // Skip lines that run into themselves or repeat an earlier line
+                const lineKey = [...line].sort((a, b) => a - b).join(',');
+                if (new Set(line).size < winLength || seen.has(lineKey)) continue;
+                seen.add(lineKey);
+            }
+            lines.push(line);
+            lineDirections.push(directionId);
+        }
+    });
+    
+    const cellBits = Array.from({ length: totalCells }, (_, index) => 1n << BigInt(index));
+    const masks = lines.map(line => line.reduce((mask, index) => mask | cellBits[index], 0n));
+    const cellLines = Array.from({ length: totalCells }, () => []);
+    lines.forEach((line, id) => line.forEach(index => cellLines[index].push(id)));
+    
+    const table = { lines, lineDirections, directions, masks, cellBits, cellLines };
+    tableCache.set(key, table);
+    return table;
+}
@@ -0,0 +1,119 @@
+import { EventEmitter } from './event-emitter.js';
+import { describeRules } from './online-protocol.js';
+
+/**
+ * Page-side view of the game server's lobby (see online-protocol.js for the messages)
+ *
+ * Follows the list of rooms and looks up rating tables over a connection of its own, so it can be
+ * opened and closed without touching an OnlineClient. Seats are taken through the OnlineClient.
+ *
+ * Events:
+ * - status { status }: 'connecting', 'connected' or 'closed'
+ * - rooms { rooms }: the rooms being played or waiting for players, sent again on every change
+ * - ratings { rules, ratings }: a rating table asked for with requestRatings()
+ */
+export class LobbyClient extends EventEmitter {
+    /**
+     * @param {string} url - WebSocket URL of the game server
+     * @param {Object} [options]
+     * @param {Function} [options.WebSocketImpl=WebSocket] - WebSocket class, e.g. the ws package's in Node
+     */
+    constructor(url, { WebSocketImpl = globalThis.WebSocket } = {}) {
+        super();
+        this.url = url;
+        this.WebSocketImpl = WebSocketImpl;
+        this.socket = null;
+        this.status = 'closed';
+        this.rooms = [];
+        // Rules of the rating table to ask for once connected
+        this.ratingsRequest = null;
+    }
+    
+    /**
+     * Connect to the server and start following the lobby
+     */
+    open() {
+        this.close();
+        this.setStatus('connecting');
+        
+        const socket = new this.WebSocketImpl(this.url);
+        this.socket = socket;
+        
+        socket.onopen = () => {
+            this.setStatus('connected');
+            this.send({ type: 'lobby' });
+            if (this.ratingsRequest) this.send({ type: 'ratings', rules: this.ratingsRequest });
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('Ignoring malformed message from the game server:', event.data);
+                return;
+            }
+            this.handleMessage(message);
+        };
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.setStatus('closed');
+        };
+    }
+    
+    /**
+     * Ask for the rating table of a board configuration
+     * @param {TicTacToe} game - Game whose board and rules the ratings are for
+     */
+    requestRatings(game) {
+        this.ratingsRequest = describeRules(game);
+        this.send({ type: 'ratings', rules: this.ratingsRequest });
+    }
+    
+    /**
+     * Stop following the lobby
+     */
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close();
+        this.setStatus('closed');
+    }
+    
+    /**
+     * Act on a message from the server
+     * @param {Object} message - The parsed message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'lobby':
+                this.rooms = message.rooms;
+                this.emit('rooms', { rooms: message.rooms });
+                break;
+            case 'ratings':
+                this.emit('ratings', { rules: message.rules, ratings: message.ratings });
+                break;
+            case 'error':
+                console.warn('Lobby:', message.message);
+                break;
+        }
+    }
+    
+    /**
+     * @param {Object} message - Message for the server, dropped while not connected
+     */
+    send(message) {
+        if (this.socket?.readyState === this.WebSocketImpl.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * @param {string} status - New connection status, announced if it changed
+     */
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.emit('status', { status });
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Creates the lobby dialog: the player's name, quick match, the rooms on the server and the ratings
+ * for the current board configuration
+ * @param {Object} options
+ * @param {string|null} options.name - Player name to start the name field with
+ * @param {string} options.rules - The current board configuration (describeRules()), offered for quick match
+ * @param {Function} options.onNameChange - Called with the name whenever the player edits it
+ * @param {Function} options.onQuickMatch - Called when the player asks to be paired under the current rules
+ * @param {Function} options.onJoin - Called with the code of a room the player wants to play in
+ * @param {Function} options.onWatch - Called with the code of a room the player wants to watch
+ * @param {Function} options.onClose - Called when the player closes the dialog
+ * @returns {Object} { container, update(state), showRatings(ratings), destroy() }
+ */
+export function createLobbyPanel({ name, rules, onNameChange, onQuickMatch, onJoin, onWatch, onClose }) {
+    const container = document.createElement('div');
+    container.id = 'lobby-panel';
+    
+    const title = document.createElement('div');
+    title.className = 'opponent-label';
+    title.textContent = 'LOBBY';
+    
+    const nameField = document.createElement('input');
+    nameField.className = 'lobby-name';
+    nameField.placeholder = 'Your name (games without one are unrated)';
+    nameField.maxLength = 20;
+    nameField.value = name || '';
+    
+    const quickButton = createButton('Quick match', 'Play the next player looking for a game under these rules', () => onQuickMatch());
+    const quickRow = document.createElement('div');
+    quickRow.className = 'save-row';
+    quickRow.append(quickButton, createText(rules));
+    
+    const statusLine = createText('');
+    const roomList = document.createElement('div');
+    roomList.className = 'lobby-list';
+    
+    const ratingsTitle = createText(`Ratings · ${rules}`);
+    const ratingList = document.createElement('div');
+    ratingList.className = 'lobby-list';
+    
+    const closeButton = createButton('Close', '', () => onClose());
+    
+    container.append(title, nameField, quickRow, createText('Games'), statusLine, roomList, ratingsTitle, ratingList, closeButton);
+    document.body.appendChild(container);
+    
+    // Keep clicks on the dialog from reaching the board's click handler
+    container.addEventListener('click', (e) => e.stopPropagation());
+    container.addEventListener('touchstart', (e) => e.stopPropagation());
+    
+    nameField.addEventListener('change', () => onNameChange(nameField.value));
+    
+    const panel = {
+        container,
+        
+        /**
+         * Show the rooms on the server
+         * @param {Object} state - The LobbyClient's { status, rooms }
+         */
+        update({ status, rooms }) {
+            if (status === 'connecting') {
+                statusLine.textContent = 'Connecting…';
+            } else if (status === 'closed') {
+                statusLine.textContent = 'Could not reach the game server';
+            } else {
+                statusLine.textContent = rooms.length === 0 ? 'No games right now. Open one with Create room or Quick match.' : '';
+            }
+            statusLine.hidden = statusLine.textContent === '';
+            
+            roomList.replaceChildren(...(status === 'connected' ? rooms : []).map(room => {
+                const row = document.createElement('div');
+                row.className = 'lobby-row';
+                
+                const seats = Object.entries(room.seats).map(([player, state]) => {
+                    const named = room.players[player];
+                    if (named) return `${player} ${named.name}${named.rating ? ` (${named.rating})` : ''}`;
+                    return `${player} ${state === 'open' ? 'open' : 'guest'}`;
+                });
+                const watching = room.spectators > 0 ? [`${room.spectators} watching`] : [];
+                const description = createText(`${room.code} · ${room.rules}${room.quick ? ' · quick match' : ''}`);
+                const players = createText([...seats, ...watching].join(' · '));
+                players.classList.add('online-seats');
+                
+                const details = document.createElement('div');
+                details.className = 'lobby-details';
+                details.append(description, players);
+                row.appendChild(details);
+                
+                if (Object.values(room.seats).includes('open')) {
+                    row.appendChild(createButton('Join', 'Take the free seat', () => onJoin(room.code)));
+                }
+                row.appendChild(createButton('Watch', 'Follow the game without playing', () => onWatch(room.code)));
+                return row;
+            }));
+        },
+        
+        /**
+         * Show the rating table of the current board configuration
+         * @param {Array<Object>} ratings - [{ name, rating, games, wins, losses, draws }], best first
+         */
+        showRatings(ratings) {
+            if (ratings.length === 0) {
+                ratingList.replaceChildren(createText('No rated games yet. Games between two named players count.'));
+                return;
+            }
+            ratingList.replaceChildren(...ratings.map(({ name: player, rating, games, wins, losses, draws }, i) => {
+                const row = document.createElement('div');
+                row.className = 'lobby-row';
+                row.append(
+                    createText(`${i + 1}. ${player}`),
+                    createText(`${rating} · ${games} games · ${wins}-${losses}-${draws}`)
+                );
+                return row;
+            }));
+        },
+        
+        destroy() {
+            container.remove();
+        }
+    };
+    
+    panel.update({ status: 'connecting', rooms: [] });
+    panel.showRatings([]);
+    return panel;
+}
+
+/**
+ * @param {string} text - Line of text
+ * @returns {HTMLElement}
+ */
+function createText(text) {
+    const line = document.createElement('div');
+    line.className = 'peer-text';
+    line.textContent = text;
+    return line;
+}
+
+/**
+ * @param {string} text - Button label
+ * @param {string} title - Tooltip
+ * @param {Function} onClick - Called when the button is pressed
+ * @returns {HTMLButtonElement}
+ */
+function createButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'history-button';
+    button.textContent = text;
+    if (title) button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
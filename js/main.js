@@ -9,9 +9,34 @@ import {
     createQuantumFluxParticleSystem,
     createNebulaWhisperParticleSystem,
     setActiveParticleSystem,
-    configureParticleSystemForCell
+    configureParticleSystemForCell,
+    setPlayerStyles,
+    getPlayerStyle
 } from './particles.js';
 import { Board } from './board.js';
+import { createBoard } from './hyper-board.js';
+import { MarkerLayer } from './markers.js';
+import { createHistoryControls } from './history-controls.js';
+import { createOpponentControls } from './opponent-controls.js';
+import { createAIWorkerClient } from './ai-client.js';
+import { createAnalysisControls, showMoveValues, showHint } from './analysis-overlay.js';
+import { SaveStore } from './save-store.js';
+import { createSaveControls } from './save-controls.js';
+import { MatchHistory, createMatchRecord, computeStats, gameFromMatch } from './match-history.js';
+import { createStatsPanel } from './stats-panel.js';
+import { Replay } from './replay.js';
+import { createReplayControls } from './replay-controls.js';
+import { readConfig } from './config.js';
+import { decodeGameLink, createGameLink, shareLink } from './game-link.js';
+import { OnlineClient } from './online-client.js';
+import { createOnlineControls } from './online-controls.js';
+import { DEFAULT_SERVER_PORT, normalizePlayerName, describeRules } from './online-protocol.js';
+import { PeerSession } from './peer-session.js';
+import { createPeerDialog } from './peer-dialog.js';
+import { createMoveList } from './move-list.js';
+import { createClockDisplay } from './clock-display.js';
+import { LobbyClient } from './lobby-client.js';
+import { createLobbyPanel } from './lobby-panel.js';
 
 // Scene Setup
 const scene = new THREE.Scene();
@@ -43,22 +68,60 @@ directionalLight.position.set(-5, 3, -2);
 scene.add(ambientLight, pointLight, directionalLight);
 
 // Game Configuration
-const config = {
-    width: 3,
-    height: 3,
-    depth: 3,
-    winLength: 3
-};
+// Defaults from config.js, changed by any settings in the page URL (e.g. ?w=4&h=4&d=4&win=4)
+const config = readConfig(window.location.search);
+
+// A game link (see game-link.js) opens the game in its URL fragment instead
+let sharedGame = null;
+try {
+    sharedGame = decodeGameLink(window.location.hash);
+} catch (error) {
+    console.error('Could not open game link:', error);
+    alert(`The game link could not be opened. ${error.message}`);
+}
+// Drop the fragment, so reloading the page doesn't go back to the linked position
+if (window.location.hash) window.history.replaceState(null, '', window.location.pathname + window.location.search);
 
 // Game Setup
-const game = new TicTacToe(config.width, config.height, config.depth, config.winLength);
-const board = new Board(config.width, config.height, config.depth);
+// The game and its board are replaced when a saved game is loaded
+let game = sharedGame && !sharedGame.replay ? sharedGame.game : new TicTacToe(config.width, config.height, config.depth, config.winLength, {
+    gravity: config.gravity,
+    wrap: config.wrap,
+    winRule: config.winRule,
+    players: config.players,
+    extraDimensions: config.extraDimensions,
+    timeControl: config.timeControl
+});
+setPlayerStyles(game.players, config.playerStyles);
+let board = createBoard(game.dimensions);
 scene.add(board.getObject());
 
-// Set camera position for subtle isometric view
-// Position at 30° instead of 45° for a more direct but still angled view
-camera.position.set(6, 5, 8); // (x, y, z) where x is 30° to left, y is 30° down
-camera.lookAt(0, 0, 0); // Look at center of the scene
+// Replay of a recorded match (see startReplay); while one is shown, the game being played waits in liveGame
+let replay = null;
+let replayControls = null;
+let liveGame = null;
+
+// Network session while the page plays against other browsers: an OnlineClient on the game server
+// or a direct PeerSession (see connectOnline)
+let online = null;
+
+const baseMaxDistance = controls.maxDistance;
+
+/**
+ * Aim the camera at the board, pulled back for boards larger than the standard cube
+ * (such as a row of 4D slices)
+ */
+function fitCameraToBoard() {
+    const boardSize = new THREE.Box3().setFromObject(board.getObject()).getSize(new THREE.Vector3());
+    const viewScale = Math.max(1, Math.max(boardSize.x, boardSize.y, boardSize.z) / 3);
+    controls.maxDistance = baseMaxDistance * viewScale;
+    
+    // Set camera position for subtle isometric view
+    // Position at 30° instead of 45° for a more direct but still angled view
+    camera.position.set(6, 5, 8).multiplyScalar(viewScale); // (x, y, z) where x is 30° to left, y is 30° down
+    camera.lookAt(0, 0, 0); // Look at center of the scene
+}
+fitCameraToBoard();
 
 // Create style selector UI
 function createStyleSelector() {
@@ -130,23 +193,7 @@ function createStyleSelector() {
     // Handle style selection
     document.querySelectorAll('.style-option').forEach(option => {
         option.addEventListener('click', () => {
-            const styleName = option.getAttribute('data-style');
-            
-            // Update selection UI
-            document.querySelectorAll('.style-option').forEach(opt => {
-                opt.classList.remove('selected');
-            });
-            option.classList.add('selected');
-            
-            // Set the active particle system
-            setActiveParticleSystem(styleName);
-            
-            // Update turn indicator with the new style
-            if (turnIndicator) {
-                // Store current style selection to help with special configuration
-                window.__currentParticleStyle = styleName;
-                updateTurnIndicator();
-            }
+            selectParticleStyle(option.getAttribute('data-style'));
             
             // Optional: close the popup after selection
             // popup.classList.remove('visible');
@@ -156,6 +203,26 @@ function createStyleSelector() {
     return selector;
 }
 
+/**
+ * Switch the particle style used for new markers and the turn indicator
+ * @param {string} styleName - 'ember-glow', 'quantum-flux' or 'nebula-whisper'
+ */
+function selectParticleStyle(styleName) {
+    // Update selection UI
+    document.querySelectorAll('.style-option').forEach(opt => {
+        opt.classList.toggle('selected', opt.getAttribute('data-style') === styleName);
+    });
+    
+    // Set the active particle system
+    setActiveParticleSystem(styleName);
+    
+    // Store current style selection to help with special configuration
+    window.__currentParticleStyle = styleName;
+    
+    // Update turn indicator with the new style
+    if (turnIndicator) updateTurnIndicator();
+}
+
 // Style preview renderers
 const previewRenderers = {};
 
@@ -210,8 +277,8 @@ function initializeStylePreviews() {
         scene.add(miniBoard.getObject());
         
         // Create example particles using this style
-        // Use 'X' for all previews for consistency
-        const particles = style.fn('X', new THREE.Vector3(0, 0, 0));
+        // Use the first player's style for all previews for consistency
+        const particles = style.fn(new THREE.Vector3(0, 0, 0), getPlayerStyle(game.players[0]));
         
         // Configure particles to fit in the cell using our helper
         // Use a lower safety margin for Nebula Whisper style specifically
@@ -236,6 +303,20 @@ function initializeStylePreviews() {
 // Create the style selector
 const styleSelector = createStyleSelector();
 
+// Finished games, summarised by the statistics panel next to the style selector
+const matchHistory = new MatchHistory();
+const statsPanel = createStatsPanel({
+    onOpen: () => {
+        const matches = matchHistory.getMatches();
+        statsPanel.update(computeStats(matches), matches.slice(-10).reverse());
+    },
+    onClear: () => {
+        matchHistory.clear();
+        statsPanel.update(computeStats([]));
+    },
+    onReplay: (match) => replayMatch(match)
+});
+
 // Turn Indicator Setup
 let turnIndicator;
 let turnIndicatorText;
@@ -352,10 +433,13 @@ function updateTurnIndicator() {
         turnIndicatorText = turnIndicator.textElement;
     }
     
+    // Show the winner once the game is decided (under misère it is not the player who moved last)
+    const shownPlayer = game.winner && game.winner !== 'draw' ? game.winner : game.currentPlayer;
+    
     // Update particles for current player
     turnIndicator.scene.remove(turnIndicator.particles);
     turnIndicator.particles = createParticleSystem(
-        game.currentPlayer, 
+        shownPlayer, 
         new THREE.Vector3(0, 0, 0)
     );
     
@@ -378,23 +462,607 @@ function updateTurnIndicator() {
     const miniCell = turnIndicator.miniBoard.getCell(1, 1, 1);
     if (miniCell) {
         // Set cell glow color based on player
-        const colorVector = game.currentPlayer === 'X' 
-            ? new THREE.Vector3(1.0, 0.2, 0.2)  // Red for X
-            : new THREE.Vector3(0.2, 0.2, 1.0); // Blue for O
-            
+        const colorVector = new THREE.Vector3().fromArray(getPlayerStyle(shownPlayer).color.primary);
+        
         miniCell.material.uniforms.playerColor = { value: colorVector };
     }
 }
 
-// Create initial turn indicator
+// Create initial turn indicator, in the configured particle style
+selectParticleStyle(config.style);
 updateTurnIndicator();
 
 // Input Handling
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2();
 const activeParticles = [];
+let markers = new MarkerLayer(scene, board, activeParticles);
+
+/**
+ * Bring the markers, turn indicator and history controls in line with the game state
+ */
+function refreshGameView() {
+    viewVersion++;
+    markers.sync(game, { animateLastMove: game.gravity });
+    updateTurnIndicator();
+    historyControls.update(game);
+    moveList.update(game);
+    
+    // Light up the cells of every completed line in the color of the player who owns it
+    board.clearHighlights();
+    game.winningLines.forEach(line => {
+        board.highlightCells(line, getPlayerStyle(game.getCell(...line[0])).color.primary);
+    });
+    
+    // Under the scoring rule the running line count is shown next to the state
+    const score = game.winRule === 'scoring' ? ` ${formatScores()}` : '';
+    if (game.winner === 'draw') {
+        turnIndicatorText.textContent = `DRAW${score}`;
+        turnIndicatorText.style.fontWeight = '';
+    } else if (game.winner) {
+        turnIndicatorText.textContent = `WINNER${score}`;
+        turnIndicatorText.style.fontWeight = 'bold';
+    } else {
+        turnIndicatorText.textContent = `NEXT${score}`;
+        turnIndicatorText.style.fontWeight = '';
+    }
+    
+    updateAnalysis();
+}
+
+/**
+ * Completed lines per player in turn order, for the scoring rule
+ * @returns {string} e.g. "X 3 · O 2"
+ */
+function formatScores() {
+    return game.players.map(player => `${player} ${game.scores[player]}`).join(' · ');
+}
+
+/**
+ * Tell the players how the game ended
+ * @param {string} winner - The winning player or 'draw'
+ * @param {boolean} [onTime=false] - Whether the other players ran out of time
+ */
+function announceResult(winner, onTime = false) {
+    let message;
+    if (onTime) {
+        message = `${winner} wins on time!`;
+    } else if (game.winRule === 'scoring') {
+        message = winner === 'draw'
+            ? `Game ended level on lines (${formatScores()})`
+            : `${winner} wins on lines (${formatScores()})!`;
+    } else if (winner === 'draw') {
+        message = 'Game ended in a draw!';
+    } else if (game.winRule === 'misere') {
+        message = `${winner} wins! ${game.eliminated.join(', ')} completed a line.`;
+    } else {
+        message = `${winner} wins!`;
+    }
+    
+    setTimeout(() => {
+        alert(message);
+    }, 100);
+}
+
+/**
+ * Subscribe the view to the current game's events
+ */
+function watchGame() {
+    // Every new move, whoever made it, refreshes the view; a move that ends the game is announced
+    game.on('move', () => refreshGameView());
+    game.on('win', ({ player, onTime }) => announceResult(player, onTime));
+    game.on('draw', () => announceResult('draw'));
+    
+    // Keep the autosave in step with every change to the game
+    ['move', 'undo', 'redo', 'reset', 'flag'].forEach(event => game.on(event, () => autosave()));
+    
+    // Time the match from its first move and record it once it ends; finishing it again after
+    // an undo replaces the record
+    const match = { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, startedAt: Date.now() };
+    game.on('move', ({ moveNumber }) => {
+        if (moveNumber === 1) match.startedAt = Date.now();
+    });
+    ['win', 'draw'].forEach(event => game.on(event, () => {
+        matchHistory.record(createMatchRecord(game, { ...match, opponent: online ? 'online' : opponentDifficulty }));
+    }));
+}
+watchGame();
+
+// Computer opponent difficulty (null when only humans play); against the computer the human
+// takes the first seat and the computer plays every other player
+// The search runs in a worker so the render loop keeps going while the computer thinks
+const aiClient = createAIWorkerClient();
+let opponentDifficulty = null;
+
+function isComputerTurn() {
+    return !replay && !online && opponentDifficulty !== null && !game.winner && game.currentPlayer !== game.players[0];
+}
+
+/**
+ * Let the computer answer if it is its turn
+ */
+function playComputerMove() {
+    if (!isComputerTurn() || aiClient.isThinking()) return;
+    
+    const position = game.historyIndex;
+    turnIndicatorText.textContent = 'THINKING';
+    
+    aiClient.think(game, { difficulty: opponentDifficulty }).then(result => {
+        // Drop results for searches that were cancelled or overtaken by undo/redo
+        if (!result || !result.move || game.historyIndex !== position || !isComputerTurn()) return;
+        
+        game.makeMove(...result.move);
+        if (result.statistics) showConsideredMoves(result.statistics);
+        
+        // With more than two players the next seat may be the computer's too
+        playComputerMove();
+    }).catch(error => {
+        console.error('Computer player failed:', error);
+        refreshGameView();
+    });
+}
+
+/**
+ * Tint the cells the MCTS player spent most of its playouts on, brighter for more visits
+ * The tint is cleared by the next refresh of the game view
+ * @param {Object} statistics - Visit statistics from MCTSAI
+ */
+function showConsideredMoves(statistics) {
+    const considered = statistics.moves.slice(0, 6);
+    const maxVisits = considered[0]?.visits || 0;
+    if (maxVisits === 0) return;
+    
+    considered.forEach(({ move, visits }) => {
+        if (game.getCell(...move)) return;
+        const share = visits / maxVisits;
+        board.highlightCells([move], [0.9 * share, 0.8 * share, 0.3 * share]);
+    });
+}
+
+const opponentControls = createOpponentControls((mode) => {
+    aiClient.cancel();
+    opponentDifficulty = mode === 'human' ? null : mode;
+    refreshGameView();
+    playComputerMove();
+});
+
+// Hint and analysis overlay
+// Uses its own worker so that asking for a hint never cancels the computer opponent's search
+const analysisClient = createAIWorkerClient();
+let analysisEnabled = false;
+// Bumped on every refresh so late hint/analysis results for an old position are dropped
+let viewVersion = 0;
+
+function isHumanTurn() {
+    return !replay && !game.winner && !isComputerTurn() && (!online || online.isMyTurn());
+}
+
+/**
+ * Re-run the analysis overlay for the current position, if it is switched on
+ */
+function updateAnalysis() {
+    analysisControls.setHintEnabled(isHumanTurn());
+    analysisControls.setHintPending(false);
+    analysisClient.cancel();
+    // The move evaluator is a two-player search
+    if (!analysisEnabled || !isHumanTurn() || game.players.length > 2) return;
+    
+    const version = viewVersion;
+    analysisClient.analyze(game).then(result => {
+        if (result && version === viewVersion) showMoveValues(board, result.moves);
+    }).catch(error => console.error('Analysis failed:', error));
+}
+
+const analysisControls = createAnalysisControls({
+    onHint: () => {
+        if (!isHumanTurn()) return;
+        
+        const version = viewVersion;
+        const player = game.currentPlayer;
+        analysisControls.setHintPending(true);
+        analysisClient.think(game, { difficulty: 'hard' }).then(result => {
+            if (!result || version !== viewVersion) return;
+            
+            analysisControls.setHintPending(false);
+            if (result.move) showHint(board, result.move, getPlayerStyle(player).color.primary);
+        }).catch(error => {
+            console.error('Hint failed:', error);
+            analysisControls.setHintPending(false);
+        });
+    },
+    onToggleAnalysis: (enabled) => {
+        analysisEnabled = enabled;
+        refreshGameView();
+    }
+});
+
+// Undo/redo controls
+// Against the computer, undo and redo step over its replies so the human is always to move
+// Undoing while the computer is thinking cancels its search
+const historyControls = createHistoryControls({
+    onUndo: () => {
+        if (replay || online) return;
+        aiClient.cancel();
+        if (!game.undo()) return;
+        while (isComputerTurn() && game.canUndo()) game.undo();
+        refreshGameView();
+    },
+    onRedo: () => {
+        if (replay || online || aiClient.isThinking() || !game.redo()) return;
+        while (isComputerTurn() && game.canRedo()) game.redo();
+        refreshGameView();
+        playComputerMove();
+    }
+});
+historyControls.update(game);
+
+// Move list, shown instead of the undo/redo controls during online games
+const moveList = createMoveList();
+moveList.update(game);
+moveList.container.style.display = 'none';
+
+// Players' clocks, shown in timed games
+const clockDisplay = createClockDisplay();
+
+// Saved games
+// The game in progress is autosaved after every change. An unfinished game left over from an earlier
+// visit is offered back until the first change to the new game replaces its autosave.
+const saveStore = new SaveStore();
+let leftoverGame = saveStore.loadAutosave();
+
+/**
+ * Save the current game as the one to continue next time, or drop the autosave once it is over
+ */
+function autosave() {
+    leftoverGame = null;
+    saveControls.setContinueVisible(false);
+    // Online games are kept by the game server
+    if (online) return;
+    
+    if (game.winner || game.historyIndex === 0) {
+        saveStore.clearAutosave();
+    } else {
+        saveStore.saveAutosave(game, window.__currentParticleStyle);
+    }
+}
+
+/**
+ * Put a game on the board
+ * The board and markers are rebuilt, as the game may have a different size and rules
+ * @param {TicTacToe} nextGame - The game to show
+ */
+function showGame(nextGame) {
+    aiClient.cancel();
+    markers.clear();
+    scene.remove(board.getObject());
+    board.dispose();
+    
+    game = nextGame;
+    setPlayerStyles(game.players, config.playerStyles);
+    board = createBoard(game.dimensions);
+    scene.add(board.getObject());
+    markers = new MarkerLayer(scene, board, activeParticles);
+    fitCameraToBoard();
+}
+
+/**
+ * Replace the current game with a saved one
+ * @param {Object} saved - Save loaded from the SaveStore: { game, style }
+ */
+function restoreGame(saved) {
+    closeReplay();
+    online?.leave();
+    if (saved.style) selectParticleStyle(saved.style);
+    showGame(saved.game);
+    
+    watchGame();
+    autosave();
+    refreshGameView();
+    playComputerMove();
+}
+
+const saveControls = createSaveControls({
+    onContinue: () => {
+        if (leftoverGame) restoreGame(leftoverGame);
+    },
+    onSave: (name) => {
+        // During a replay it is still the game being played that gets saved
+        if (!saveStore.saveSlot(name, liveGame || game, window.__currentParticleStyle)) {
+            alert('The game could not be saved. The browser storage may be full or disabled.');
+        }
+        saveControls.update(saveStore.listSlots(), name);
+    },
+    onLoad: (name) => {
+        const saved = saveStore.loadSlot(name);
+        if (saved) {
+            restoreGame(saved);
+        } else {
+            alert(`The saved game "${name}" could not be loaded.`);
+        }
+    },
+    onDelete: (name) => {
+        saveStore.deleteSlot(name);
+        saveControls.update(saveStore.listSlots());
+    },
+    // During a replay the link opens the same replay
+    onShare: () => shareLink(createGameLink(game, { replay: replay !== null }))
+});
+saveControls.update(saveStore.listSlots());
+saveControls.setContinueVisible(leftoverGame !== null);
+
+/**
+ * Replay a match from the match history
+ * @param {Object} match - Match record
+ */
+function replayMatch(match) {
+    let replayGame;
+    try {
+        replayGame = gameFromMatch(match);
+    } catch (error) {
+        console.error('Could not replay match:', error);
+        alert('This match could not be replayed.');
+        return;
+    }
+    
+    const result = match.winner === 'draw' ? 'draw' : `${match.winner} won`;
+    startReplay(replayGame, `${match.dimensions.join('x')} · ${result}`);
+}
+
+/**
+ * Replay a game move by move, setting the game being played aside until the replay ends
+ * Stepping back undoes moves on the replayed game, so the markers of those moves leave the scene
+ * @param {TicTacToe} replayGame - Game holding the moves to replay as its history
+ * @param {string} title - Describes the game being replayed
+ */
+function startReplay(replayGame, title) {
+    // Replaying another match keeps the same game set aside
+    const playedGame = liveGame || game;
+    closeReplay();
+    liveGame = playedGame;
+    
+    replay = new Replay(replayGame);
+    replayControls = createReplayControls({
+        title,
+        onTogglePlay: () => replay.togglePlay(),
+        onStep: (delta) => {
+            replay.pause();
+            replay.step(delta);
+        },
+        onSeek: (position) => {
+            replay.pause();
+            replay.seek(position);
+        },
+        onSpeed: (speed) => replay.setSpeed(speed),
+        onExit: () => exitReplay()
+    });
+    replay.on('change', (state) => {
+        replayControls.update(state);
+        refreshGameView();
+    });
+    updateLocalControls();
+    
+    showGame(replayGame);
+    replay.seek(0);
+}
+
+/**
+ * Stop the replay and remove its controls, leaving the board as it is
+ */
+function closeReplay() {
+    if (!replay) return;
+    
+    replay.destroy();
+    replayControls.destroy();
+    replay = null;
+    replayControls = null;
+    liveGame = null;
+    updateLocalControls();
+}
+
+/**
+ * Leave the replay and go back to the game being played
+ */
+function exitReplay() {
+    if (!replay) return;
+    
+    const playedGame = liveGame;
+    closeReplay();
+    showGame(playedGame);
+    refreshGameView();
+    playComputerMove();
+}
+
+/**
+ * Offer undo/redo and the computer opponent only where they apply: not in a replay, not online
+ * The move list is shown instead while online, for the players and anyone watching
+ */
+function updateLocalControls() {
+    historyControls.container.style.visibility = replay || online ? 'hidden' : '';
+    opponentControls.container.style.visibility = online ? 'hidden' : '';
+    moveList.container.style.display = online ? '' : 'none';
+}
+
+// Online play
+// While the page plays over the network, the game shown is the session's copy of the shared game:
+// this page's moves go through the session, and the other players' moves arrive through it as ordinary move events
+const serverUrl = config.server || `ws://${window.location.hostname || 'localhost'}:${DEFAULT_SERVER_PORT}`;
+let peerDialog = null;
+// Name the player takes seats under, for the lobby and the ratings
+let playerName = OnlineClient.loadPlayerName();
+// The open lobby: { client, panel }
+let lobby = null;
+
+/**
+ * Connect to the game server, giving up any seat held before
+ * @param {string} url - WebSocket URL of the server
+ * @returns {OnlineClient} The new client, to create, join or resume a room with
+ */
+function startOnline(url) {
+    return connectOnline(new OnlineClient(url, { name: playerName }));
+}
+
+/**
+ * Play through a network session from now on, leaving any session held before
+ * @param {OnlineClient|PeerSession} client - The session
+ * @returns {OnlineClient|PeerSession} The session
+ */
+function connectOnline(client) {
+    online?.leave();
+    
+    online = client;
+    client.on('game', ({ game: onlineGame }) => {
+        closeReplay();
+        showGame(onlineGame);
+        watchGame();
+        refreshGameView();
+    });
+    client.on('status', ({ status }) => {
+        if (status === 'closed') endOnline(client);
+        onlineControls.update(client);
+    });
+    client.on('seats', () => {
+        onlineControls.update(client);
+        refreshGameView();
+    });
+    client.on('rejected', ({ reason }) => console.warn(`Went back to the agreed game after a refused or conflicting move (${reason})`));
+    client.on('error', ({ message }) => alert(`Online game: ${message}`));
+    
+    aiClient.cancel();
+    updateLocalControls();
+    return client;
+}
+
+/**
+ * Go back to playing at this page once a session is over
+ * The game stays on the board, to be played on locally
+ * @param {OnlineClient|PeerSession} client - The session that ended
+ */
+function endOnline(client) {
+    if (online !== client) return;
+    
+    online = null;
+    updateLocalControls();
+    onlineControls.update(client);
+    refreshGameView();
+}
+
+/**
+ * Open the dialog that connects a direct game with another browser by swapping codes
+ */
+function openPeerDialog() {
+    closePeerDialog();
+    
+    const session = new PeerSession();
+    const giveUp = () => {
+        session.close();
+        endOnline(session);
+        closePeerDialog();
+    };
+    // Codes and errors that arrive after the attempt was given up are dropped
+    const fail = (error) => {
+        if (online !== session) return;
+        alert(`Direct game: ${error.message}`);
+        giveUp();
+    };
+    // The dialog stays up until the two browsers are connected or the attempt is given up
+    session.on('status', ({ status }) => {
+        if (status !== 'connecting') closePeerDialog();
+    });
+    
+    peerDialog = createPeerDialog({
+        onHost: () => {
+            connectOnline(session).host(liveGame || game).then(code => {
+                if (online === session) peerDialog.showOffer(code);
+            }, fail);
+        },
+        onOffer: (code) => {
+            connectOnline(session).join(code).then(answer => {
+                if (online === session) peerDialog.showAnswer(answer);
+            }, fail);
+        },
+        onAnswer: (code) => session.acceptAnswer(code).catch(fail),
+        onCancel: giveUp
+    });
+}
+
+/**
+ * Remove the direct game dialog, if it is open
+ */
+function closePeerDialog() {
+    peerDialog?.destroy();
+    peerDialog = null;
+}
+
+/**
+ * Open the lobby: the rooms on the server, quick match and the ratings for the current board
+ */
+function openLobby() {
+    closeLobby();
+    
+    const rulesGame = liveGame || game;
+    // Picking a game closes the lobby before the seat is taken
+    const leaveLobbyFor = (start) => {
+        closeLobby();
+        start(startOnline(serverUrl));
+    };
+    const client = new LobbyClient(serverUrl);
+    const panel = createLobbyPanel({
+        name: playerName,
+        rules: describeRules(rulesGame),
+        onNameChange: (name) => {
+            playerName = normalizePlayerName(name);
+            OnlineClient.savePlayerName(playerName);
+        },
+        onQuickMatch: () => leaveLobbyFor(online => online.quickMatch(rulesGame)),
+        onJoin: (code) => leaveLobbyFor(online => online.joinRoom(code)),
+        onWatch: (code) => leaveLobbyFor(online => online.watchRoom(code)),
+        onClose: () => closeLobby()
+    });
+    client.on('status', () => panel.update(client));
+    client.on('rooms', () => panel.update(client));
+    client.on('ratings', ({ ratings }) => panel.showRatings(ratings));
+    client.open();
+    client.requestRatings(rulesGame);
+    lobby = { client, panel };
+}
+
+/**
+ * Close the lobby, if it is open
+ */
+function closeLobby() {
+    lobby?.client.close();
+    lobby?.panel.destroy();
+    lobby = null;
+}
+
+const onlineControls = createOnlineControls({
+    onLobby: () => openLobby(),
+    onCreate: () => startOnline(serverUrl).createRoom(liveGame || game),
+    onJoin: (code) => startOnline(serverUrl).joinRoom(code),
+    onWatch: (code) => startOnline(serverUrl).watchRoom(code),
+    onDirect: () => openPeerDialog(),
+    onLeave: () => online?.leave()
+});
+
+// Take back the seat of an online game this tab was playing (or go on watching it) before it was reloaded
+const onlineSession = OnlineClient.loadSession();
+if (onlineSession?.token) {
+    startOnline(onlineSession.url).resume(onlineSession.code, onlineSession.token);
+} else if (onlineSession) {
+    startOnline(onlineSession.url).watchRoom(onlineSession.code);
+}
+
+// Show a game opened from a link; a link to a replay opens straight into it
+if (sharedGame?.replay) {
+    startReplay(sharedGame.game, 'shared game');
+} else if (sharedGame) {
+    refreshGameView();
+}
 
 function onClick(event) {
+    // Ignore clicks while the computer or another online player is to move, or a replay is shown
+    if (replay || isComputerTurn() || (online && !online.isMyTurn())) return;
+    
     const clientX = event.clientX || (event.touches && event.touches[0].clientX);
     const clientY = event.clientY || (event.touches && event.touches[0].clientY);
     
@@ -409,49 +1077,12 @@ function onClick(event) {
     
     if (intersects.length > 0) {
         const cell = intersects[0].object;
-        const [x, y, z] = board.getCellCoordinates(cell);
-        
-        const prevPlayer = game.currentPlayer;
-        const winner = game.makeMove(x, y, z);
+        const coords = board.getCellCoordinates(cell);
         
-        // If the move was valid (not already occupied)
-        if (game.getCell(x, y, z)) {
-            // Add particles for the move
-            const particles = createParticleSystem(game.getCell(x, y, z), cell.position);
-            
-            // Special handling for Nebula Whisper style on the main board
-            // Use a tighter constraint for better containment
-            const currentStyle = window.__currentParticleStyle || '';
-            if (currentStyle === 'nebula-whisper') {
-                // Use standard configuration with safety margin of 0.65 for the main board
-                configureParticleSystemForCell(particles, 0.9, 0.9, 0.42, 0.65);
-            }
-            
-            scene.add(particles);
-            activeParticles.push(particles);
-            
-            // Only update turn indicator if we actually made a move
-            if (game.currentPlayer !== prevPlayer) {
-                updateTurnIndicator();
-            }
-            
-            // Handle win or draw
-            if (winner) {
-                if (winner === 'draw') {
-                    turnIndicatorText.textContent = 'DRAW';
-                    setTimeout(() => {
-                        alert('Game ended in a draw!');
-                    }, 100);
-                } else {
-                    // If there's a winner, update the turn indicator text
-                    turnIndicatorText.textContent = 'WINNER';
-                    turnIndicatorText.style.fontWeight = 'bold';
-                    setTimeout(() => {
-                        alert(`${winner} wins!`);
-                    }, 100);
-                }
-            }
-        }
+        // The move event refreshes the view; refused moves (occupied cell, finished game) change nothing
+        // Online, the client plays the move and sends it to the server
+        const result = online ? online.playMove(coords) : game.makeMove(...coords);
+        if (result.accepted) playComputerMove();
     }
 }
 
@@ -470,6 +1101,15 @@ function animate() {
     
     // Animate all active particles in the scene
     activeParticles.forEach(p => p.material.uniforms.time.value = time);
+    markers.animate();
+    
+    // Run the clocks; online, the game server decides when a flag falls
+    clockDisplay.update(game);
+    if (!replay && !(online instanceof OnlineClient) && game.checkClock()) {
+        aiClient.cancel();
+        refreshGameView();
+        playComputerMove();
+    }
     
     // Animate turn indicator with the current turn's particles
     if (turnIndicator && turnIndicator.renderer) {
@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+import { createParticleSystem, configureParticleSystemForCell } from './particles.js';
+
+// Height above the top layer of the board that dropped markers start from
+const DROP_START_HEIGHT = 1.5;
+// Time in milliseconds for a marker to fall one unit
+const DROP_TIME_PER_UNIT = 90;
+
+/**
+ * Keeps the particle markers in a scene in step with the marks on a TicTacToe board
+ * Markers are added for newly filled cells and removed for cells that were emptied (e.g. by undo)
+ */
+export class MarkerLayer {
+    /**
+     * @param {THREE.Scene} scene - Scene the markers are added to
+     * @param {Board|HyperBoard} board - Board whose cells the markers sit in
+     * @param {Array<THREE.Points>} particles - Array that holds the active markers (shared with the render loop)
+     */
+    constructor(scene, board, particles = []) {
+        this.scene = scene;
+        this.board = board;
+        this.particles = particles;
+        
+        // Markers still falling into place: { particles, from, to, start, duration }
+        this.drops = [];
+    }
+    
+    /**
+     * Create a particle marker for a player inside a board cell
+     * @param {string} player - Player symbol ('X' or 'O')
+     * @param {THREE.Mesh} cell - The board cell to place the marker in
+     * @returns {THREE.Points} The marker particle system
+     */
+    createMarker(player, cell) {
+        // Slices of a HyperBoard are offset within the board, so place markers by world position
+        const particles = createParticleSystem(player, cell.getWorldPosition(new THREE.Vector3()));
+        
+        // Special handling for Nebula Whisper style on the main board
+        // Use a tighter constraint for better containment
+        const currentStyle = window.__currentParticleStyle || '';
+        if (currentStyle === 'nebula-whisper') {
+            // Use standard configuration with safety margin of 0.65 for the main board
+            configureParticleSystemForCell(particles, 0.9, 0.9, 0.42, 0.65);
+        }
+        
+        return particles;
+    }
+    
+    /**
+     * Add and remove markers so that they match the current state of the game
+     * @param {TicTacToe} game - The game to mirror
+     * @param {Object} [options]
+     * @param {boolean} [options.animateLastMove=false] - Drop the marker of the game's last move into its cell
+     *                                                    from above the board (used for the gravity variant)
+     */
+    sync(game, { animateLastMove = false } = {}) {
+        // Drop markers whose cell no longer holds the same player
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const particles = this.particles[i];
+            const { coords, player } = particles.userData.marker;
+            if (game.getCell(...coords) !== player) {
+                this.drops = this.drops.filter(drop => drop.particles !== particles);
+                this.removeMarker(particles);
+                this.particles.splice(i, 1);
+            }
+        }
+        
+        // Add markers for filled cells that don't have one yet
+        const marked = new Set(this.particles.map(p => p.userData.marker.coords.join(',')));
+        const lastKey = game.lastMove ? game.lastMove.coords.join(',') : null;
+        
+        this.board.getAllCells().forEach(cell => {
+            const coords = this.board.getCellCoordinates(cell);
+            const key = coords.join(',');
+            const player = game.getCell(...coords);
+            if (!player || marked.has(key)) return;
+            
+            const particles = this.createMarker(player, cell);
+            particles.userData.marker = { coords, player };
+            this.scene.add(particles);
+            this.particles.push(particles);
+            
+            if (animateLastMove && key === lastKey) {
+                this.dropMarker(particles);
+            }
+        });
+    }
+    
+    /**
+     * Start a marker falling from above the board to the cell it belongs in
+     * @param {THREE.Points} particles - The marker, already positioned in its cell
+     */
+    dropMarker(particles) {
+        const to = particles.position.y;
+        const from = this.board.centerY * this.board.options.spacing + DROP_START_HEIGHT;
+        if (from <= to) return;
+        
+        particles.position.y = from;
+        this.drops.push({
+            particles,
+            from,
+            to,
+            start: performance.now(),
+            duration: Math.sqrt(from - to) * DROP_TIME_PER_UNIT * 2
+        });
+    }
+    
+    /**
+     * Advance the markers that are falling; call once per rendered frame
+     * @param {number} [now=performance.now()] - Current time in milliseconds
+     */
+    animate(now = performance.now()) {
+        if (this.drops.length === 0) return;
+        
+        this.drops = this.drops.filter(drop => {
+            const t = Math.min((now - drop.start) / drop.duration, 1);
+            // Ease in, like a falling object picking up speed
+            drop.particles.position.y = drop.from + (drop.to - drop.from) * t * t;
+            return t < 1;
+        });
+    }
+    
+    /**
+     * Remove every marker from the scene
+     */
+    clear() {
+        this.drops = [];
+        this.particles.forEach(particles => this.removeMarker(particles));
+        this.particles.length = 0;
+    }
+    
+    /**
+     * Remove a single marker from the scene and free its GPU resources
+     * @param {THREE.Points} particles - The marker to remove
+     */
+    removeMarker(particles) {
+        this.scene.remove(particles);
+        particles.geometry?.dispose();
+        particles.material?.dispose();
+    }
+}
@@ -0,0 +1,206 @@
+import { TicTacToe } from './game.js';
+
+// Storage key of the match list
+const STORAGE_KEY = 'tictactoe3d:matches';
+// Oldest matches are dropped beyond this many, to stay well inside the storage quota
+const MAX_MATCHES = 500;
+
+/**
+ * Finished games, kept in Web Storage (localStorage by default)
+ *
+ * Every match is stored with its move log, so statistics are worked out from the moves themselves
+ * rather than from counters that could drift out of step with them.
+ */
+export class MatchHistory {
+    /**
+     * @param {Storage} [storage=localStorage] - Where matches are kept; anything with getItem, setItem and removeItem
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+    
+    /**
+     * All recorded matches, oldest first
+     * @returns {Array<Object>} Match records as built by createMatchRecord()
+     */
+    getMatches() {
+        try {
+            const matches = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(matches) ? matches : [];
+        } catch (error) {
+            console.warn('Could not read the match history:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Record a finished match
+     * A match with the same id replaces the earlier record, so a game that is undone and finished
+     * again is only counted once, with its final result
+     * @param {Object} match - Match record from createMatchRecord()
+     * @returns {boolean} Whether the match was stored
+     */
+    record(match) {
+        const matches = this.getMatches().filter(({ id }) => id !== match.id);
+        matches.push(match);
+        
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(matches.slice(-MAX_MATCHES)));
+            return true;
+        } catch (error) {
+            console.warn('Could not record the match:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Forget every recorded match
+     */
+    clear() {
+        try {
+            this.storage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not clear the match history:', error);
+        }
+    }
+}
+
+/**
+ * Describe a finished game for the match history
+ * @param {TicTacToe} game - The finished game
+ * @param {Object} match
+ * @param {string} match.id - Identifies the match, so re-recording it replaces the old record
+ * @param {number} match.startedAt - Time of the first move (ms since the epoch)
+ * @param {number} [match.endedAt=Date.now()] - Time the game ended
+ * @param {string|null} [match.opponent=null] - Computer difficulty, 'online' for a game on the game server,
+ *        or null when only humans played at this page
+ * @returns {Object} { id, players, dimensions, winLength, options, moves, winner, startedAt, endedAt,
+ *          duration, opponent }; moves is the move log ({ coords, player }) up to the end of the game.
+ *          A timed game also keeps the move times, flag falls and final clocks as { times, flags, clock },
+ *          so a loss on time replays as one.
+ * @throws {Error} If the game is still in progress
+ */
+export function createMatchRecord(game, { id, startedAt, endedAt = Date.now(), opponent = null }) {
+    if (!game.winner) {
+        throw new Error('Only finished games can be recorded');
+    }
+    
+    const { players, ...options } = game.getOptions();
+    const timing = game.clock ? {
+        times: game.history.slice(0, game.historyIndex).map(({ time }) => time),
+        flags: game.getFlags(),
+        clock: game.getClockState()
+    } : {};
+    return {
+        id,
+        players,
+        dimensions: [...game.dimensions],
+        winLength: game.winLength,
+        options,
+        moves: game.getMoveHistory(),
+        winner: game.winner,
+        startedAt,
+        endedAt,
+        duration: endedAt - startedAt,
+        opponent,
+        ...timing
+    };
+}
+
+/**
+ * Rebuild the game of a recorded match, e.g. to replay it
+ * @param {Object} match - Match record from createMatchRecord()
+ * @returns {TicTacToe} The game at its final position, with every move in its undo history
+ * @throws {Error} If the record doesn't describe a legal game
+ */
+export function gameFromMatch(match) {
+    const [width, height, depth] = match.dimensions;
+    return TicTacToe.fromJSON({
+        width,
+        height,
+        depth,
+        winLength: match.winLength,
+        options: match.options,
+        players: match.players,
+        moves: match.moves.map(({ coords }) => coords),
+        times: match.times,
+        flags: match.flags,
+        clock: match.clock
+    });
+}
+
+/**
+ * Work out statistics from recorded matches
+ * @param {Array<Object>} matches - Match records
+ * @returns {Object} Statistics:
+ *          - games, averageMoves, averageDuration (ms): over all matches
+ *          - players: { wins, losses, draws, games } by player symbol
+ *          - boards: { games, draws, wins (by player), averageMoves } by board size (e.g. '3x3x3')
+ *          - firstPlayer: { games, wins, losses, draws, advantage } for whoever moved first; advantage
+ *            is the first player's average score (1 for a win, an equal share of a draw) minus the
+ *            share every player would get if seats didn't matter, so 0 means no advantage
+ */
+export function computeStats(matches) {
+    const stats = {
+        games: matches.length,
+        averageMoves: 0,
+        averageDuration: 0,
+        // Keyed by player symbols and board sizes from the records, so without a prototype to write to
+        players: Object.create(null),
+        boards: Object.create(null),
+        firstPlayer: { games: 0, wins: 0, losses: 0, draws: 0, advantage: 0 }
+    };
+    if (matches.length === 0) return stats;
+    
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    stats.averageMoves = average(matches.map(match => match.moves.length));
+    stats.averageDuration = average(matches.map(match => match.duration));
+    
+    let advantageTotal = 0;
+    matches.forEach(({ players, dimensions, moves, winner }) => {
+        const draw = winner === 'draw';
+        
+        players.forEach(player => {
+            if (!stats.players[player]) stats.players[player] = { wins: 0, losses: 0, draws: 0, games: 0 };
+            const record = stats.players[player];
+            record.games++;
+            if (draw) record.draws++;
+            else if (player === winner) record.wins++;
+            else record.losses++;
+        });
+        
+        const size = dimensions.join('x');
+        if (!stats.boards[size]) stats.boards[size] = { games: 0, draws: 0, wins: Object.create(null), totalMoves: 0 };
+        const board = stats.boards[size];
+        board.games++;
+        board.totalMoves += moves.length;
+        if (draw) board.draws++;
+        else board.wins[winner] = (board.wins[winner] || 0) + 1;
+        
+        // Games that ended before anyone moved say nothing about the first move
+        if (moves.length === 0) return;
+        const first = stats.firstPlayer;
+        const firstMover = moves[0].player;
+        first.games++;
+        if (draw) {
+            first.draws++;
+            advantageTotal += 1 / players.length;
+        } else if (winner === firstMover) {
+            first.wins++;
+            advantageTotal += 1;
+        } else {
+            first.losses++;
+        }
+        advantageTotal -= 1 / players.length;
+    });
+    
+    for (const board of Object.values(stats.boards)) {
+        board.averageMoves = board.totalMoves / board.games;
+        delete board.totalMoves;
+    }
+    if (stats.firstPlayer.games > 0) {
+        stats.firstPlayer.advantage = advantageTotal / stats.firstPlayer.games;
+    }
+    
+    return stats;
+}
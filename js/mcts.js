@@ -0,0 +1,283 @@
+import { createSeededRandom } from './random.js';
+
+/**
+ * Computer opponent for TicTacToe using Monte Carlo Tree Search with the UCT selection rule.
+ * Unlike minimax it needs no evaluation function, so it plays credibly on large boards
+ * such as 5x5x5 with a win length of 4, where a full-width search is hopeless.
+ */
+
+/**
+ * Search budgets for each difficulty level
+ * The search stops at whichever limit is reached first: iterations or timeLimit (milliseconds)
+ */
+export const MCTS_DIFFICULTY_SETTINGS = {
+    easy: { iterations: 400, timeLimit: 500 },
+    medium: { iterations: 4000, timeLimit: 1000 },
+    hard: { iterations: 40000, timeLimit: 2500 }
+};
+
+// Number of playouts between progress reports from think()
+const PROGRESS_INTERVAL = 250;
+
+/**
+ * Node of the search tree: the position reached by playing `move`
+ */
+class TreeNode {
+    /**
+     * @param {Array<number>|null} move - Move leading to this node ([x, y, z], 1-based), null at the root
+     * @param {string|null} player - Player who made the move
+     * @param {TreeNode|null} parent - Parent node
+     * @param {Array<Array<number>>} untriedMoves - Legal moves not yet expanded into children
+     */
+    constructor(move, player, parent, untriedMoves) {
+        this.move = move;
+        this.player = player;
+        this.parent = parent;
+        this.untriedMoves = untriedMoves;
+        this.children = [];
+        this.visits = 0;
+        // Results from the point of view of `player`: 1 per win, 0.5 per draw
+        this.wins = 0;
+    }
+    
+    /**
+     * Pick the child with the highest UCT score
+     * @param {number} exploration - Exploration constant (higher favors less visited moves)
+     * @returns {TreeNode} The selected child
+     */
+    selectChild(exploration) {
+        const logVisits = Math.log(this.visits);
+        let best = null;
+        let bestScore = -Infinity;
+        
+        for (const child of this.children) {
+            const score = child.wins / child.visits + exploration * Math.sqrt(logVisits / child.visits);
+            if (score > bestScore) {
+                bestScore = score;
+                best = child;
+            }
+        }
+        
+        return best;
+    }
+}
+
+/**
+ * Monte Carlo Tree Search computer player
+ */
+export class MCTSAI {
+    /**
+     * @param {Object} options - Search options
+     * @param {string} [options.difficulty='medium'] - 'easy', 'medium' or 'hard'
+     * @param {number} [options.iterations] - Maximum playouts per move (overrides the level)
+     * @param {number} [options.timeLimit] - Maximum time per move in milliseconds (overrides the level)
+     * @param {number} [options.seed] - Seed for the random playouts; with an iteration budget and
+     *                                  timeLimit: Infinity the same seed always picks the same moves
+     * @param {number} [options.exploration=Math.SQRT2] - UCT exploration constant
+     * @param {boolean} [options.tactics=true] - Take immediate wins and block immediate losses without searching
+     */
+    constructor({
+        difficulty = 'medium',
+        seed = Date.now(),
+        exploration = Math.SQRT2,
+        tactics = true,
+        ...overrides
+    } = {}) {
+        if (!MCTS_DIFFICULTY_SETTINGS[difficulty]) {
+            throw new Error(`Unknown difficulty: ${difficulty}`);
+        }
+        
+        this.difficulty = difficulty;
+        this.settings = { ...MCTS_DIFFICULTY_SETTINGS[difficulty], ...overrides };
+        this.exploration = exploration;
+        this.tactics = tactics;
+        this.random = createSeededRandom(seed);
+        this.statistics = null;
+    }
+    
+    /**
+     * Pick a move for the player whose turn it is
+     * @param {TicTacToe} game - The game to move in (left unchanged)
+     * @returns {Object|null} { move: [x, y, z] (1-based), visits, winRate, iterations, elapsed, statistics }
+     *          or null if no move is possible
+     */
+    chooseMove(game) {
+        const search = this.think(game);
+        let step = search.next();
+        while (!step.done) step = search.next();
+        return step.value;
+    }
+    
+    /**
+     * Search for a move step by step, pausing every PROGRESS_INTERVAL playouts
+     * Lets a caller (such as the AI worker) report progress or abandon the search between steps
+     * @param {TicTacToe} game - The game to move in (left unchanged)
+     * @yields {Object} Progress: { move, visits, winRate, iterations, elapsed, statistics } for the current leader
+     * @returns {Object|null} Same result as chooseMove()
+     */
+    *think(game) {
+        const legalMoves = game.getLegalMoves();
+        if (legalMoves.length === 0) return null;
+        
+        const start = Date.now();
+        const state = game.clone();
+        
+        const forced = this.tactics ? this.findForcedMove(state, legalMoves) : null;
+        if (forced) {
+            this.statistics = {
+                iterations: 0,
+                elapsed: Date.now() - start,
+                moves: [{ move: forced, visits: 0, winRate: null }],
+                forced: true
+            };
+            return { move: forced, visits: 0, winRate: null, iterations: 0, elapsed: this.statistics.elapsed, statistics: this.statistics };
+        }
+        
+        const root = new TreeNode(null, null, null, legalMoves.slice());
+        const deadline = start + this.settings.timeLimit;
+        let iterations = 0;
+        
+        while (iterations < this.settings.iterations && Date.now() < deadline) {
+            this.runIteration(state, root);
+            iterations++;
+            
+            if (iterations % PROGRESS_INTERVAL === 0 && iterations < this.settings.iterations) {
+                yield this.summarize(root, iterations, start);
+            }
+        }
+        
+        return this.summarize(root, iterations, start);
+    }
+    
+    /**
+     * Collect the visit statistics of the root's children and report the most visited move
+     * @param {TreeNode} root - Root of the search tree
+     * @param {number} iterations - Playouts run so far
+     * @param {number} start - Time the search started (ms since epoch)
+     * @returns {Object} { move, visits, winRate, iterations, elapsed, statistics }
+     */
+    summarize(root, iterations, start) {
+        const moves = root.children
+            .map(child => ({ move: child.move, visits: child.visits, winRate: child.wins / child.visits }))
+            .sort((a, b) => b.visits - a.visits);
+        
+        this.statistics = { iterations, elapsed: Date.now() - start, moves, forced: false };
+        
+        // The most visited move is the most robust choice
+        const best = moves[0];
+        return { ...best, iterations, elapsed: this.statistics.elapsed, statistics: this.statistics };
+    }
+    
+    /**
+     * Visit statistics of the last search, for showing which moves were considered
+     * @returns {Object|null} { iterations, elapsed, moves: [{ move, visits, winRate }] (most visited first), forced }
+     */
+    getStatistics() {
+        return this.statistics;
+    }
+    
+    /**
+     * One round of selection, expansion, random playout and backpropagation
+     * @param {TicTacToe} game - Search copy of the game, restored before returning
+     * @param {TreeNode} root - Root of the search tree
+     */
+    runIteration(game, root) {
+        let node = root;
+        let played = 0;
+        
+        // Selection: descend through fully expanded nodes
+        while (node.untriedMoves.length === 0 && node.children.length > 0) {
+            node = node.selectChild(this.exploration);
+            game.makeMove(...node.move);
+            played++;
+        }
+        
+        // Expansion: add one untried move as a new child
+        if (node.untriedMoves.length > 0) {
+            const move = takeRandom(node.untriedMoves, this.random);
+            const player = game.currentPlayer;
+            game.makeMove(...move);
+            played++;
+            
+            const child = new TreeNode(move, player, node, game.getLegalMoves());
+            node.children.push(child);
+            node = child;
+        }
+        
+        // Simulation: play random moves to the end of the game
+        const result = this.playout(game);
+        
+        // Backpropagation
+        for (; node; node = node.parent) {
+            node.visits++;
+            if (result === 'draw') node.wins += 0.5;
+            else if (result === node.player) node.wins += 1;
+        }
+        
+        for (let i = 0; i < played; i++) game.undo();
+    }
+    
+    /**
+     * Play random moves until the game ends, then take them back
+     * @param {TicTacToe} game - Search copy of the game
+     * @returns {string} The result of the playout (the winning player or 'draw')
+     */
+    playout(game) {
+        const moves = game.getLegalMoves();
+        let played = 0;
+        
+        while (!game.winner && moves.length > 0) {
+            const move = takeRandom(moves, this.random);
+            game.makeMove(...move);
+            played++;
+            
+            // Under gravity the cell above the new mark is the next one playable in its column
+            if (game.gravity && move[1] < game.height) moves.push([move[0], move[1] + 1, ...move.slice(2)]);
+        }
+        
+        const result = game.winner;
+        for (let i = 0; i < played; i++) game.undo();
+        
+        return result;
+    }
+    
+    /**
+     * Find a move that must be played: an immediate win, or the block of an immediate loss
+     * @param {TicTacToe} game - Search copy of the game, restored before returning
+     * @param {Array<Array<number>>} legalMoves - Legal moves in the position
+     * @returns {Array<number>|null} The forced move, or null if the position has none
+     */
+    findForcedMove(game, legalMoves) {
+        const player = game.currentPlayer;
+        // With more than two players only the next player's threats can be blocked in time
+        const opponent = game.nextPlayer(player);
+        
+        const winsFor = (mover) => legalMoves.find(move => {
+            game.currentPlayer = mover;
+            game.makeMove(...move);
+            const won = game.winner === mover;
+            game.undo();
+            return won;
+        });
+        
+        const win = winsFor(player);
+        const block = win ? null : winsFor(opponent);
+        game.currentPlayer = player;
+        
+        return win || block || null;
+    }
+}
+
+/**
+ * Remove and return a random element of an array (order is not preserved)
+ * @param {Array} items - Array to take from
+ * @param {Function} random - Random source
+ * @returns {*} The removed element
+ */
+function takeRandom(items, random) {
+    const index = Math.floor(random() * items.length);
+    const item = items[index];
+    items[index] = items[items.length - 1];
+    items.pop();
+    return item;
+}
@@ -0,0 +1,76 @@
+/**
+ * Creates the move list shown in the top-right corner during online games
+ * Moves are numbered by round like the game notation (see notation.js), with 1-based coordinates,
+ * so someone watching can follow the game and a late joiner sees everything played before.
+ * @returns {Object} { container, update(game), destroy() }
+ */
+export function createMoveList() {
+    const container = document.createElement('div');
+    container.id = 'move-list';
+    
+    const label = document.createElement('div');
+    label.className = 'opponent-label';
+    label.textContent = 'MOVES';
+    
+    const rows = document.createElement('div');
+    rows.className = 'move-rows';
+    
+    const result = document.createElement('div');
+    result.className = 'move-result';
+    
+    container.append(label, rows, result);
+    document.body.appendChild(container);
+    
+    // Keep clicks on the list (e.g. scrolling it on a touch screen) from reaching the board's click handler
+    container.addEventListener('click', (e) => e.stopPropagation());
+    container.addEventListener('touchstart', (e) => e.stopPropagation());
+    
+    return {
+        container,
+        
+        /**
+         * Show the moves on the board of a game, and its result once it is over
+         * @param {TicTacToe} game - The game whose moves are listed
+         */
+        update(game) {
+            const moves = game.getMoveHistory();
+            const playerCount = game.players.length;
+            
+            // One row per round: its number, then each player's move in turn order
+            const rounds = [];
+            moves.forEach(({ coords, player }, i) => {
+                if (i % playerCount === 0) {
+                    const row = document.createElement('div');
+                    row.className = 'move-row';
+                    
+                    const number = document.createElement('span');
+                    number.className = 'move-number';
+                    number.textContent = `${i / playerCount + 1}.`;
+                    row.appendChild(number);
+                    rounds.push(row);
+                }
+                
+                const move = document.createElement('span');
+                move.className = i === moves.length - 1 ? 'move latest' : 'move';
+                move.textContent = `${player} ${coords.join(',')}`;
+                rounds[rounds.length - 1].appendChild(move);
+            });
+            rows.replaceChildren(...rounds);
+            
+            if (game.winner === 'draw') {
+                result.textContent = 'DRAW';
+            } else if (game.winner) {
+                result.textContent = `${game.winner} WINS`;
+            } else {
+                result.textContent = moves.length === 0 ? 'No moves yet' : '';
+            }
+            
+            // Keep the latest move in view
+            rows.scrollTop = rows.scrollHeight;
+        },
+        
+        destroy() {
+            container.remove();
+        }
+    };
+}
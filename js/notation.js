@@ -0,0 +1,322 @@
+import { TicTacToe, DEFAULT_PLAYERS, MAX_AXES } from './game.js';
+import { parseTimeControl, formatTimeControl } from './game-clock.js';
+
+/**
+ * Text notation for whole games, modelled on PGN for chess
+ *
+ * A record is a block of [Tag "value"] pairs followed by the numbered move list.
+ * Moves are 1-based x,y,z coordinates (x,y,z,w on a 4D board, and so on); each move number covers one move by every player, in the
+ * turn order given by the Players tag (X then O when it is missing):
+ *
+ *   [Size "3x3x3"]
+ *   [WinLength "3"]
+ *   [Players "X O"]
+ *   [Result "X"]
+ *
+ *   1. 2,2,2 2,3,3 2. 2,2,1 1,2,2 3. 3,3,1 1,1,2 4. 3,2,1 1,2,1 5. 1,1,1
+ *
+ * Boards with more than three dimensions list every size, e.g. [Size "3x3x3x3"].
+ * Result is the winning player, 'draw' or '*' for a game still in progress.
+ * Games with rule variants add a Rules tag listing them, e.g. [Rules "gravity wrap misere"];
+ * under gravity each recorded move is the cell the mark landed on.
+ * Games played under the scoring rule also record the completed lines as [Score "X 3 O 2"].
+ * Timed games give their time control as in the clock URL setting, e.g. [TimeControl "3+2"]. Players
+ * who ran out of time are listed with the number of moves played before their flag fell, as
+ * [Flags "X 7"], and a game decided that way adds [Termination "time forfeit"]. A record with that
+ * termination but no Flags tag has the player to move after the last move lose on time.
+ */
+
+// Termination tag of a game that ended with a flag fall
+const TIME_FORFEIT = 'time forfeit';
+
+/**
+ * Error thrown when a game record cannot be parsed or describes an illegal game
+ */
+export class NotationError extends Error {
+    /**
+     * @param {string} message - What is wrong with the record
+     * @param {number|null} line - 1-based line of the record where the problem was found
+     */
+    constructor(message, line = null) {
+        super(line ? `Line ${line}: ${message}` : message);
+        this.name = 'NotationError';
+        this.line = line;
+    }
+}
+
+// Maximum number of characters on a move list line when formatting
+const MAX_LINE_LENGTH = 80;
+
+// Rule variants that can appear in the Rules tag, with the game options each one sets
+const RULE_KEYWORDS = {
+    gravity: { gravity: true },
+    wrap: { wrap: true },
+    misere: { winRule: 'misere' },
+    scoring: { winRule: 'scoring' }
+};
+
+/**
+ * Name the rule variants a game is played with, as in the Rules tag
+ * @param {TicTacToe} game - The game
+ * @returns {Array<string>} e.g. ['gravity', 'misere'], empty for the standard rules
+ */
+export function getRuleNames(game) {
+    const options = game.getOptions();
+    return Object.keys(RULE_KEYWORDS).filter(keyword => 
+        Object.entries(RULE_KEYWORDS[keyword]).every(([option, value]) => options[option] === value));
+}
+
+/**
+ * Format the moves currently on the board of a game as a notation record
+ * @param {TicTacToe} game - The game to record
+ * @param {Object} [tags] - Extra tags to include (e.g. { Event: 'Office ladder', Date: '2024.03.01' })
+ * @returns {string} The game record
+ */
+export function formatGame(game, tags = {}) {
+    const rules = getRuleNames(game);
+    const flags = game.clock ? game.getFlags() : [];
+    // Flags can only fall while the game is on, so a flag after the last move is what ended it
+    const endedOnTime = game.winner && flags.length > 0 && flags[flags.length - 1].moveNumber === game.historyIndex;
+    
+    const allTags = {
+        Size: game.dimensions.join('x'),
+        WinLength: String(game.winLength),
+        ...(rules.length > 0 ? { Rules: rules.join(' ') } : {}),
+        ...(game.timeControl ? { TimeControl: formatTimeControl(game.timeControl) } : {}),
+        Players: game.players.join(' '),
+        Result: game.winner || '*',
+        ...(endedOnTime ? { Termination: TIME_FORFEIT } : {}),
+        ...(flags.length > 0 ? { Flags: flags.map(({ player, moveNumber }) => `${player} ${moveNumber}`).join(' ') } : {}),
+        ...(game.winRule === 'scoring' ? { Score: formatScore(game) } : {}),
+        ...tags
+    };
+    
+    const header = Object.entries(allTags)
+        .map(([name, value]) => `[${name} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`)
+        .join('\n');
+    
+    // Group each round of moves behind its move number, wrapping long move lists
+    const playerCount = game.players.length;
+    const lines = [];
+    let line = '';
+    game.getMoveHistory().forEach(({ coords }, i) => {
+        const token = (i % playerCount === 0 ? `${i / playerCount + 1}. ` : '') + coords.join(',');
+        if (line && line.length + token.length + 1 > MAX_LINE_LENGTH) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    });
+    if (line) lines.push(line);
+    
+    return `${header}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse a notation record into a game, replaying and validating every move
+ * @param {string} text - The game record
+ * @returns {TicTacToe} The game with all recorded moves applied
+ * @throws {NotationError} If the record is malformed, illegal or inconsistent
+ */
+export function parseGame(text) {
+    if (typeof text !== 'string') {
+        throw new NotationError('Game record must be a string');
+    }
+    
+    const tags = {};
+    const moves = [];
+    let expectedNumber = 1;
+    // The header is read once the move list starts, as the number of players sets the move numbering
+    let header = null;
+    
+    text.split(/\r?\n/).forEach((rawLine, i) => {
+        const lineNumber = i + 1;
+        const line = rawLine.trim();
+        if (!line) return;
+        
+        // Tag pair: [Name "value"]
+        if (line.startsWith('[')) {
+            if (moves.length > 0) {
+                throw new NotationError('Tags must come before the move list', lineNumber);
+            }
+            const match = line.match(/^\[([A-Za-z][A-Za-z0-9_]*)\s+"((?:[^"\\]|\\.)*)"\]$/);
+            if (!match) {
+                throw new NotationError(`Malformed tag: ${line}`, lineNumber);
+            }
+            const [, name, value] = match;
+            if (Object.hasOwn(tags, name)) {
+                throw new NotationError(`Duplicate tag: ${name}`, lineNumber);
+            }
+            tags[name] = value.replace(/\\(.)/g, '$1');
+            return;
+        }
+        
+        // Move list: move numbers ("3.") and x,y,z,... coordinates
+        header ??= parseHeader(tags);
+        const playerCount = header.options.players.length;
+        line.split(/\s+/).forEach(token => {
+            const number = token.match(/^(\d+)\.$/);
+            if (number) {
+                if (moves.length % playerCount !== 0 || Number(number[1]) !== expectedNumber) {
+                    throw new NotationError(`Unexpected move number ${token} (expected ${expectedNumber}.)`, lineNumber);
+                }
+                expectedNumber++;
+                return;
+            }
+            
+            if (!/^\d+(,\d+)+$/.test(token)) {
+                throw new NotationError(`Unrecognized token: ${token}`, lineNumber);
+            }
+            const coords = token.split(',').map(Number);
+            if (coords.length !== header.dimensions.length) {
+                throw new NotationError(`Move ${token} needs ${header.dimensions.length} coordinates on a ${tags.Size} board`, lineNumber);
+            }
+            if (moves.length % playerCount === 0 && moves.length / playerCount + 1 === expectedNumber) {
+                throw new NotationError(`Missing move number ${expectedNumber}. before ${token}`, lineNumber);
+            }
+            moves.push({ coords, lineNumber });
+        });
+    });
+    
+    const { dimensions, winLength, options, flags } = header ?? parseHeader(tags);
+    const [width, height, depth] = dimensions;
+    const game = new TicTacToe(width, height, depth, winLength, options);
+    if (flags.some(({ moveNumber }) => moveNumber > moves.length)) {
+        throw new NotationError(`Flags "${tags.Flags}" names a move beyond the ${moves.length} recorded`);
+    }
+    
+    moves.forEach(({ coords, lineNumber }, i) => {
+        const label = `Move ${i + 1} (${coords.join(',')})`;
+        if (game.winner) {
+            throw new NotationError(`${label} was played after the game ended`, lineNumber);
+        }
+        if (game.getCellIndex(coords) === -1) {
+            throw new NotationError(`${label} is outside the ${dimensions.join('x')} board`, lineNumber);
+        }
+        if (game.getCell(...coords)) {
+            throw new NotationError(`${label} is on a cell already taken by ${game.getCell(...coords)}`, lineNumber);
+        }
+        if (options.gravity && game.getLandingHeight(coords) !== coords[1]) {
+            throw new NotationError(`${label} is not where a mark dropped in that column lands (y = ${game.getLandingHeight(coords)})`, lineNumber);
+        }
+        // The record has no move times, so the clocks only follow the flags
+        game.makeTimedMove(coords, 0);
+        
+        flags.filter(({ moveNumber }) => moveNumber === i + 1).forEach(({ player }) => {
+            if (game.winner || player !== game.currentPlayer) {
+                throw new NotationError(`Flags "${tags.Flags}": ${player} was not to move after move ${i + 1}`);
+            }
+            game.flagFall(player);
+        });
+    });
+    
+    if (tags.Termination === TIME_FORFEIT) {
+        if (tags.Flags === undefined && !game.winner && moves.length > 0) game.flagFall(game.currentPlayer);
+        if (!game.winner || game.getFlags().pop()?.moveNumber !== moves.length) {
+            throw new NotationError('Termination "time forfeit" does not match the moves and flags');
+        }
+    }
+    
+    const result = tags.Result ?? '*';
+    if (result !== (game.winner || '*')) {
+        throw new NotationError(`Result "${result}" does not match the moves, which give "${game.winner || '*'}"`);
+    }
+    if (tags.Score !== undefined && tags.Score.trim().split(/\s+/).join(' ') !== formatScore(game)) {
+        throw new NotationError(`Score "${tags.Score}" does not match the moves, which give "${formatScore(game)}"`);
+    }
+    
+    return game;
+}
+
+/**
+ * Format completed line counts for the Score tag
+ * @param {TicTacToe} game - Game played under the scoring rule
+ * @returns {string} e.g. "X 3 O 2", in turn order
+ */
+function formatScore(game) {
+    return game.players.map(player => `${player} ${game.scores[player]}`).join(' ');
+}
+
+/**
+ * Read and validate the board configuration tags of a record
+ * @param {Object} tags - Parsed tag pairs
+ * @returns {Object} { dimensions, winLength, options, flags } where dimensions lists the size of every axis
+ *          and flags the flag falls ({ player, moveNumber }) of the Flags tag
+ */
+function parseHeader(tags) {
+    if (!tags.Size) {
+        throw new NotationError('Missing required tag: Size');
+    }
+    if (!/^\d+(x\d+){2,}$/.test(tags.Size)) {
+        throw new NotationError(`Size must look like "3x3x3" (or "3x3x3x3" and so on), got "${tags.Size}"`);
+    }
+    const dimensions = tags.Size.split('x').map(Number);
+    if (dimensions.some(size => size < 1)) {
+        throw new NotationError(`Board dimensions must be at least 1, got "${tags.Size}"`);
+    }
+    if (dimensions.length > MAX_AXES || dimensions.slice(3).some(size => size < 2)) {
+        throw new NotationError(`Boards have at most ${MAX_AXES} axes, each beyond the third of size 2 or more, got "${tags.Size}"`);
+    }
+    
+    let winLength = Math.min(...dimensions);
+    if (tags.WinLength !== undefined) {
+        if (!/^\d+$/.test(tags.WinLength) || Number(tags.WinLength) < 1) {
+            throw new NotationError(`WinLength must be a positive integer, got "${tags.WinLength}"`);
+        }
+        winLength = Number(tags.WinLength);
+        if (winLength > Math.max(...dimensions)) {
+            throw new NotationError(`WinLength ${winLength} does not fit on a ${tags.Size} board`);
+        }
+    }
+    
+    const options = dimensions.length > 3 ? { extraDimensions: dimensions.slice(3) } : {};
+    if (tags.Rules !== undefined) {
+        for (const keyword of tags.Rules.trim().split(/\s+/).filter(Boolean)) {
+            if (!Object.hasOwn(RULE_KEYWORDS, keyword)) {
+                throw new NotationError(`Unknown rule "${keyword}" in Rules tag`);
+            }
+            for (const [option, value] of Object.entries(RULE_KEYWORDS[keyword])) {
+                if (option in options && options[option] !== value) {
+                    throw new NotationError(`Rules tag combines conflicting rules: "${tags.Rules}"`);
+                }
+                options[option] = value;
+            }
+        }
+    }
+    
+    const players = tags.Players !== undefined ? tags.Players.trim().split(/\s+/) : DEFAULT_PLAYERS;
+    if (players.length < 2 || new Set(players).size !== players.length ||
+        players.some(player => player === 'draw' || player === '*')) {
+        throw new NotationError(`Players must list two or more distinct symbols, got "${tags.Players}"`);
+    }
+    options.players = players;
+    
+    const result = tags.Result ?? '*';
+    if (![...players, 'draw', '*'].includes(result)) {
+        throw new NotationError(`Result must be one of the players, draw or *, got "${result}"`);
+    }
+    
+    if (tags.TimeControl !== undefined) {
+        options.timeControl = parseTimeControl(tags.TimeControl);
+        if (!options.timeControl) {
+            throw new NotationError(`TimeControl must look like "5", "3+2" or "3d2", got "${tags.TimeControl}"`);
+        }
+    }
+    if ((tags.Flags !== undefined || tags.Termination === TIME_FORFEIT) && !options.timeControl) {
+        throw new NotationError('Only timed games can be lost on time: add a TimeControl tag');
+    }
+    
+    // Flags: pairs of a player and the number of moves played before their time ran out
+    const flagWords = (tags.Flags ?? '').trim().split(/\s+/).filter(Boolean);
+    const flags = [];
+    for (let i = 0; i < flagWords.length; i += 2) {
+        const [player, moveNumber] = flagWords.slice(i, i + 2);
+        if (!players.includes(player) || !/^\d+$/.test(moveNumber ?? '') || Number(moveNumber) < 1) {
+            throw new NotationError(`Flags must list a player and a move number for every flag fall, got "${tags.Flags}"`);
+        }
+        flags.push({ player, moveNumber: Number(moveNumber) });
+    }
+    
+    return { dimensions, winLength, options, flags };
+}
@@ -0,0 +1,403 @@
+import { EventEmitter } from './event-emitter.js';
+import { TicTacToe } from './game.js';
+import { normalizeRoomCode, normalizePlayerName } from './online-protocol.js';
+
+// Where the room (and seat) of the current online game is kept, so a reload of the page can resume it
+const SESSION_KEY = 'tictactoe3d:online';
+
+// Where the player's name for online games is kept, across visits
+const PLAYER_NAME_KEY = 'tictactoe3d:player-name';
+
+// Waits before each attempt to reconnect, in milliseconds; the last one repeats until the server is back
+const RECONNECT_DELAYS = [500, 1000, 2000, 5000, 10000];
+
+/**
+ * Page-side client for the online game server (see online-protocol.js for the messages)
+ *
+ * The client keeps a copy of the room's game. The player's own moves are played on it straight
+ * away and sent to the server; the other players' moves arrive from the server and are played
+ * through TicTacToe.makeMove, so the copy raises the same events as a local game. Whenever the copy
+ * disagrees with the server it is replaced by the server's game.
+ *
+ * A page can also watch a room without a seat; it receives every move but can't play.
+ * A dropped connection is retried with growing waits; a player's seat is resumed with its token,
+ * and a spectator just starts watching again.
+ *
+ * Events:
+ * - game { game }: there is a new copy of the game to show (after joining a room or catching up)
+ * - status { status }: 'connecting', 'connected', 'reconnecting' or 'closed'
+ * - seats { seats, players, spectators }: who holds which seat ('open', 'connected' or 'away' by player
+ *   symbol), the { name, rating } of the named players and how many pages are watching
+ * - rejected { reason }: the server refused a move of ours and the game went back to its version
+ * - error { message }: the server couldn't handle a request
+ */
+export class OnlineClient extends EventEmitter {
+    /**
+     * @param {string} url - WebSocket URL of the game server
+     * @param {Object} [options]
+     * @param {Storage} [options.storage=sessionStorage] - Keeps the seat across reloads of the page
+     * @param {Function} [options.WebSocketImpl=WebSocket] - WebSocket class, e.g. the ws package's in Node
+     * @param {string} [options.name] - Player name to take seats under; without one the games aren't rated
+     */
+    constructor(url, { storage = globalThis.sessionStorage, WebSocketImpl = globalThis.WebSocket, name = null } = {}) {
+        super();
+        this.url = url;
+        this.name = normalizePlayerName(name);
+        this.storage = storage;
+        this.WebSocketImpl = WebSocketImpl;
+        this.socket = null;
+        this.status = 'closed';
+        // First message on every new connection: create, join, and once seated resume
+        this.request = null;
+        this.code = null;
+        this.seat = null;
+        this.token = null;
+        this.game = null;
+        this.seats = {};
+        this.players = {};
+        this.spectators = 0;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+    }
+    
+    /**
+     * The online room this page was in when it was last open in this tab
+     * @param {Storage} [storage=sessionStorage] - Storage the client was given
+     * @returns {Object|null} { url, code, token } (token null for a spectator), or null if there is none
+     */
+    static loadSession(storage = globalThis.sessionStorage) {
+        try {
+            const session = JSON.parse(storage?.getItem(SESSION_KEY));
+            return session && session.url && session.code ? session : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    /**
+     * @param {Storage} [storage=localStorage] - Where the name is kept
+     * @returns {string|null} The player name last used for online games, if any
+     */
+    static loadPlayerName(storage = globalThis.localStorage) {
+        try {
+            return normalizePlayerName(storage?.getItem(PLAYER_NAME_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    /**
+     * Remember the player name for the next online games
+     * @param {string|null} name - The name, or null to play unnamed
+     * @param {Storage} [storage=localStorage] - Where the name is kept
+     */
+    static savePlayerName(name, storage = globalThis.localStorage) {
+        try {
+            const tidy = normalizePlayerName(name);
+            if (tidy) {
+                storage?.setItem(PLAYER_NAME_KEY, tidy);
+            } else {
+                storage?.removeItem(PLAYER_NAME_KEY);
+            }
+        } catch (e) {
+            console.warn('Could not keep the player name:', e);
+        }
+    }
+    
+    /**
+     * Open a room on the server for a new game with the rules of `game`
+     * @param {TicTacToe} game - Game whose board and rules to play (its moves are not used)
+     */
+    createRoom(game) {
+        this.open({ type: 'create', settings: game.toJSON(), name: this.name });
+    }
+    
+    /**
+     * Take a seat in a room
+     * @param {string} code - Join code of the room
+     */
+    joinRoom(code) {
+        this.open({ type: 'join', code: normalizeRoomCode(code), name: this.name });
+    }
+    
+    /**
+     * Take a seat against the next player looking for a game with the rules of `game`
+     * @param {TicTacToe} game - Game whose board and rules to play (its moves are not used)
+     */
+    quickMatch(game) {
+        this.open({ type: 'quick', settings: game.toJSON(), name: this.name });
+    }
+    
+    /**
+     * Watch a room's game without a seat
+     * @param {string} code - Join code of the room
+     */
+    watchRoom(code) {
+        this.open({ type: 'watch', code: normalizeRoomCode(code) });
+    }
+    
+    /**
+     * Take back a seat held before, e.g. one found with loadSession()
+     * @param {string} code - Join code of the room
+     * @param {string} token - The seat's token
+     */
+    resume(code, token) {
+        this.open({ type: 'resume', code, token });
+    }
+    
+    /**
+     * @returns {boolean} True when this page may move: it is connected, every seat has been taken
+     *          and the game waits for this page's player
+     */
+    isMyTurn() {
+        return this.status === 'connected' && this.game !== null && !this.game.winner &&
+            this.game.currentPlayer === this.seat && !Object.values(this.seats).includes('open');
+    }
+    
+    /**
+     * Play a move for this page's player and send it to the server
+     * @param {Array<number>} coords - Coordinates of the move (1-based)
+     * @returns {Object|null} The makeMove() result, or null if it isn't this page's turn
+     */
+    playMove(coords) {
+        if (!this.isMyTurn()) return null;
+        
+        // The server times the move and decides whether it came too late; its clocks come back with the move
+        const result = this.game.makeTimedMove(coords, this.game.clock ? 0 : null);
+        if (result.accepted) {
+            // The landing cell is sent, so the server needn't work out gravity again
+            this.send({ type: 'move', coords: result.move.coords, moveNumber: this.game.historyIndex });
+        }
+        return result;
+    }
+    
+    /**
+     * Give up the seat and disconnect for good
+     */
+    leave() {
+        this.send({ type: 'leave' });
+        this.code = null;
+        this.token = null;
+        this.clearSession();
+        this.close();
+    }
+    
+    /**
+     * Disconnect without giving up the seat (it can still be resumed from the saved session)
+     */
+    close() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.request = null;
+        
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close();
+        this.setStatus('closed');
+    }
+    
+    /**
+     * Connect afresh, starting with a request
+     * @param {Object} request - First message to send once connected
+     */
+    open(request) {
+        this.close();
+        this.code = null;
+        this.token = null;
+        this.request = request;
+        this.reconnectAttempt = 0;
+        this.connect();
+    }
+    
+    /**
+     * Open a socket to the server and send the pending request when it is ready
+     */
+    connect() {
+        this.setStatus(this.code ? 'reconnecting' : 'connecting');
+        
+        const socket = new this.WebSocketImpl(this.url);
+        this.socket = socket;
+        
+        socket.onopen = () => {
+            this.reconnectAttempt = 0;
+            this.send(this.request);
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('Ignoring malformed message from the game server:', event.data);
+                return;
+            }
+            this.handleMessage(message);
+        };
+        socket.onclose = () => {
+            // Sockets this client replaced or closed itself are done with
+            if (this.socket !== socket) return;
+            this.socket = null;
+            
+            if (this.code) {
+                this.scheduleReconnect();
+            } else {
+                this.emit('error', { message: `Could not reach the game server at ${this.url}` });
+                this.close();
+            }
+        };
+    }
+    
+    /**
+     * Try the connection again after a wait that grows with every failed attempt
+     */
+    scheduleReconnect() {
+        this.setStatus('reconnecting');
+        const delay = RECONNECT_DELAYS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS.length - 1)];
+        this.reconnectAttempt++;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+    
+    /**
+     * Act on a message from the server
+     * @param {Object} message - The parsed message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.code = message.code;
+                this.seat = message.seat;
+                this.token = message.token;
+                this.request = message.token
+                    ? { type: 'resume', code: message.code, token: message.token }
+                    : { type: 'watch', code: message.code };
+                this.saveSession();
+                this.adoptGame(message.game);
+                this.setStatus('connected');
+                this.updatePresence(message);
+                break;
+            case 'state':
+                this.adoptGame(message.game);
+                this.updatePresence(message);
+                break;
+            case 'move':
+                this.applyMove(message);
+                break;
+            case 'rejected':
+                this.adoptGame(message.game);
+                this.emit('rejected', { reason: message.reason });
+                break;
+            case 'seats':
+                this.updatePresence(message);
+                break;
+            case 'error':
+                // A request that fails before we are in the room (unknown room, full room, expired seat) ends the session
+                if (this.status !== 'connected') {
+                    this.code = null;
+                    this.token = null;
+                    this.clearSession();
+                    this.close();
+                }
+                this.emit('error', { message: message.message });
+                break;
+        }
+    }
+    
+    /**
+     * Play a move the server accepted, unless it is our own move coming back
+     * In a timed game the clocks are then set to the server's, which keeps the time
+     * @param {Object} message - { coords, moveNumber, time, clock } of the move
+     */
+    applyMove({ coords, moveNumber, time = null, clock = null }) {
+        const game = this.game;
+        if (moveNumber <= game.historyIndex) {
+            const played = game.history[moveNumber - 1].coords;
+            if (played.join(',') !== coords.join(',')) {
+                this.send({ type: 'sync' });
+                return;
+            }
+        } else if (moveNumber !== game.historyIndex + 1 || !game.makeTimedMove(coords, time).accepted) {
+            // A move was missed or our copy has drifted: fetch the server's game
+            this.send({ type: 'sync' });
+            return;
+        }
+        game.syncClock(clock);
+    }
+    
+    /**
+     * Keep track of who is in the room
+     * @param {Object} message - Message with the room's { seats, players, spectators }
+     */
+    updatePresence({ seats, players = {}, spectators = 0 }) {
+        this.seats = seats;
+        this.players = players;
+        this.spectators = spectators;
+        this.emit('seats', { seats, players, spectators });
+    }
+    
+    /**
+     * Take the server's game, replacing our copy if it differs
+     * A game that can't be rebuilt would only come again on a sync, so the connection is closed instead
+     * @param {Object} state - The game as TicTacToe.toJSON() output
+     */
+    adoptGame(state) {
+        let game;
+        try {
+            game = TicTacToe.fromJSON(state);
+        } catch (e) {
+            this.emit('error', { message: `The server sent a game this page can't follow (${e.message})` });
+            this.close();
+            return;
+        }
+        if (this.game && this.game.historyIndex === game.historyIndex && this.game.winner === game.winner &&
+            JSON.stringify(this.game.toJSON().moves) === JSON.stringify(state.moves) &&
+            JSON.stringify(this.game.getFlags()) === JSON.stringify(game.getFlags())) {
+            this.game.syncClock(state.clock);
+            return;
+        }
+        
+        this.game = game;
+        this.emit('game', { game });
+    }
+    
+    /**
+     * @param {Object} message - Message for the server; dropped while disconnected
+     */
+    send(message) {
+        if (this.socket?.readyState === this.WebSocketImpl.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * @param {string} status - New connection status, announced if it changed
+     */
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.emit('status', { status });
+    }
+    
+    /**
+     * Remember the seat for this tab, so a reload can resume it (see loadSession())
+     */
+    saveSession() {
+        try {
+            this.storage?.setItem(SESSION_KEY, JSON.stringify({ url: this.url, code: this.code, token: this.token }));
+        } catch (e) {
+            console.warn('Could not keep the online seat for reloads:', e);
+        }
+    }
+    
+    /**
+     * Forget the remembered seat
+     */
+    clearSession() {
+        try {
+            this.storage?.removeItem(SESSION_KEY);
+        } catch (e) {
+            console.warn('Could not forget the online seat:', e);
+        }
+    }
+}
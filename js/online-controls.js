@@ -0,0 +1,135 @@
+// How each seat state is shown next to its player symbol
+const SEAT_LABELS = { connected: 'here', away: 'away', open: 'waiting' };
+
+/**
+ * Creates the online play panel shown in the bottom-left corner
+ * Opens or joins a room on the game server, or starts a direct game with another browser, then shows
+ * the room code to pass on, this page's seat and who else is connected or watching
+ * @param {Object} handlers - Callbacks for the controls
+ * @param {Function} handlers.onLobby - Called when the player wants to see the lobby (rooms, quick match, ratings)
+ * @param {Function} handlers.onCreate - Called when the player opens a room for the current rules
+ * @param {Function} handlers.onJoin - Called with the room code the player entered
+ * @param {Function} handlers.onWatch - Called with the code of a room the player wants to watch
+ * @param {Function} handlers.onDirect - Called when the player wants a direct game without the server
+ * @param {Function} handlers.onLeave - Called when the player leaves the room (or stops connecting)
+ * @returns {Object} { container, update(state), destroy() }
+ */
+export function createOnlineControls({ onLobby, onCreate, onJoin, onWatch, onDirect, onLeave }) {
+    const container = document.createElement('div');
+    container.id = 'online-controls';
+    
+    const label = document.createElement('div');
+    label.className = 'opponent-label';
+    label.textContent = 'ONLINE';
+    
+    const lobbyButton = document.createElement('button');
+    lobbyButton.className = 'history-button';
+    lobbyButton.textContent = 'Lobby';
+    lobbyButton.title = 'Find a game, get paired by quick match or see the ratings';
+    
+    const createButton = document.createElement('button');
+    createButton.className = 'history-button';
+    createButton.textContent = 'Create room';
+    createButton.title = 'Open a room for a game with the current board and rules';
+    
+    const joinButton = document.createElement('button');
+    joinButton.className = 'history-button';
+    joinButton.textContent = 'Join';
+    joinButton.title = 'Join a room with its code';
+    
+    const watchButton = document.createElement('button');
+    watchButton.className = 'history-button';
+    watchButton.textContent = 'Watch';
+    watchButton.title = 'Follow the game in a room without playing';
+    
+    const directButton = document.createElement('button');
+    directButton.className = 'history-button';
+    directButton.textContent = 'Direct';
+    directButton.title = 'Connect straight to another browser by swapping codes, without the server';
+    
+    const roomLabel = document.createElement('div');
+    roomLabel.className = 'history-label';
+    
+    const leaveButton = document.createElement('button');
+    leaveButton.className = 'history-button';
+    leaveButton.textContent = 'Leave';
+    
+    const row = document.createElement('div');
+    row.className = 'save-row';
+    row.append(label, lobbyButton, createButton, joinButton, watchButton, directButton, roomLabel, leaveButton);
+    
+    const seatsLabel = document.createElement('div');
+    seatsLabel.className = 'online-seats';
+    
+    container.append(row, seatsLabel);
+    document.body.appendChild(container);
+    
+    // Keep clicks on the controls from reaching the board's click handler
+    container.addEventListener('click', (e) => e.stopPropagation());
+    container.addEventListener('touchstart', (e) => e.stopPropagation());
+    
+    lobbyButton.addEventListener('click', () => onLobby());
+    createButton.addEventListener('click', () => onCreate());
+    joinButton.addEventListener('click', () => {
+        const code = prompt('Room code:');
+        if (code && code.trim()) onJoin(code.trim());
+    });
+    watchButton.addEventListener('click', () => {
+        const code = prompt('Room code to watch:');
+        if (code && code.trim()) onWatch(code.trim());
+    });
+    directButton.addEventListener('click', () => onDirect());
+    leaveButton.addEventListener('click', () => {
+        // Only a player has a seat to lose; a spectator can simply go
+        if (!seated || confirm('Leave the online game? Your seat will be given up.')) onLeave();
+    });
+    
+    let seated = false;
+    
+    const controls = {
+        container,
+        
+        /**
+         * Show the state of the online connection
+         * @param {Object} state - The OnlineClient's or PeerSession's { status, code, seat, seats, players, spectators }
+         */
+        update({ status, code, seat, seats, players = {}, spectators = 0 }) {
+            const inRoom = status !== 'closed';
+            seated = seat !== null;
+            lobbyButton.hidden = inRoom;
+            createButton.hidden = inRoom;
+            joinButton.hidden = inRoom;
+            watchButton.hidden = inRoom;
+            directButton.hidden = inRoom;
+            roomLabel.hidden = !inRoom;
+            leaveButton.hidden = !inRoom;
+            seatsLabel.hidden = !inRoom || Object.keys(seats).length === 0;
+            
+            if (status === 'connecting') {
+                roomLabel.textContent = 'CONNECTING…';
+            } else if (inRoom) {
+                const reconnecting = status === 'reconnecting' ? ' · RECONNECTING…' : '';
+                roomLabel.textContent = seated
+                    ? `${code ? `ROOM ${code}` : 'DIRECT'} · YOU PLAY ${seat}${reconnecting}`
+                    : `WATCHING ROOM ${code}${reconnecting}`;
+            }
+            const watching = spectators > 0 ? [`${spectators} watching`] : [];
+            seatsLabel.textContent = Object.entries(seats)
+                .map(([player, state]) => {
+                    // Named players are shown with their rating for this board, when the server rates games
+                    const named = players[player];
+                    const name = named ? ` ${named.name}${named.rating ? ` (${named.rating})` : ''}` : '';
+                    return `${player}${name} ${SEAT_LABELS[state]}`;
+                })
+                .concat(watching)
+                .join(' · ');
+        },
+        
+        destroy() {
+            container.remove();
+        }
+    };
+    
+    controls.update({ status: 'closed', code: null, seat: null, seats: {} });
+    return controls;
+}
@@ -0,0 +1,113 @@
+import { getRuleNames } from './notation.js';
+import { formatTimeControl } from './game-clock.js';
+
+/**
+ * Messages between the online game server (server/game-server.js) and the page (online-client.js,
+ * and lobby-client.js for the lobby)
+ *
+ * Every message is a JSON object with a type. The server holds the real game of every room and
+ * checks each move with the same TicTacToe engine the page uses; the pages only mirror it.
+ *
+ * Page -> server:
+ *   { type: 'create', settings, name }
+ *       Open a room for a new game and take its first seat. `settings` is TicTacToe.toJSON()
+ *       output for the rules to play (its moves are ignored). `name` is the player's name for
+ *       the lobby and the ratings; it can be left out to play unrated.
+ *   { type: 'join', code, name }
+ *       Take the next free seat of a room.
+ *   { type: 'quick', settings, name }
+ *       Quick match: take a seat in a room waiting for a player under the same rules, or open one.
+ *   { type: 'lobby' }
+ *       Follow the list of rooms; the server answers with a lobby message and sends a new one on every change.
+ *   { type: 'ratings', rules }
+ *       Ask for the rating table of one board configuration (see describeRules()).
+ *   { type: 'watch', code }
+ *       Follow a room's game as a spectator, without a seat.
+ *   { type: 'resume', code, token }
+ *       Take back a seat after the connection dropped, proving it with the seat's token.
+ *   { type: 'move', coords, moveNumber }
+ *       Play a move; coords must be one integer per board axis. moveNumber counts the moves of the game including this one, so the server
+ *       can tell a move made on an out of date board.
+ *   { type: 'sync' }
+ *       Ask for the whole game again, when the page finds its copy out of step.
+ *   { type: 'leave' }
+ *       Give up the seat for good (or stop watching).
+ *
+ * Server -> page:
+ *   { type: 'joined', code, seat, token, game, seats, players, spectators }
+ *       The page holds a seat (the player symbol it plays) in room `code`, or watches it with seat
+ *       and token null. `game` is the room's game as TicTacToe.toJSON() output, with every move so
+ *       far, so a page joining late starts from the current position; keep `token` to resume the seat later.
+ *   { type: 'state', game, seats, players, spectators }
+ *       The whole game, in answer to sync, or when a player ran out of time
+ *   { type: 'move', player, coords, moveNumber, time, clock }
+ *       A move was accepted. It is sent to every page in the room, the one that made it included,
+ *       with the cell taken (under gravity, where the mark landed).
+ *       In a timed game `time` is how long the move took and `clock` the clocks after it
+ *       (TicTacToe.getClockState()); both are null otherwise.
+ *   { type: 'rejected', reason, game }
+ *       A move was refused, with the reason and the server's game to fall back to.
+ *   { type: 'seats', seats, players, spectators }
+ *       Someone took, resumed or lost a seat, started or stopped watching, or a rated game ended
+ *   { type: 'lobby', rooms }
+ *       The rooms still being played or waiting for players, as
+ *       [{ code, rules, quick, seats, players, spectators }], oldest first
+ *   { type: 'ratings', rules, ratings }
+ *       The rating table of a board configuration, best first: [{ name, rating, games, wins, losses, draws }]
+ *   { type: 'error', message }       A request could not be handled
+ *
+ * `seats` maps every player symbol to 'open' (nobody has taken it yet), 'connected' or 'away'
+ * (its page lost the connection and may resume). `players` gives the { name, rating } of every seat
+ * taken by a named player, by player symbol. `spectators` is the number of pages watching.
+ *
+ * Finished two-player games between named players are rated with Elo, separately for every board
+ * configuration: players are only compared with others who played the same board and rules.
+ *
+ * Timed games run on the server's clocks: it times every move itself, and flags a player whose time
+ * runs out even if nobody moves. The pages show the clocks they are sent and let them run between messages.
+ */
+
+export const DEFAULT_SERVER_PORT = 8787;
+
+// Room codes avoid letters and digits that are easy to confuse (0/O, 1/I/L)
+export const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const ROOM_CODE_LENGTH = 5;
+
+/**
+ * Tidy a room code as typed by a player
+ * @param {string} code - Code as entered, in any case and with stray spaces
+ * @returns {string} The code in upper case without spaces
+ */
+export function normalizeRoomCode(code) {
+    return String(code).replace(/\s+/g, '').toUpperCase();
+}
+
+// Longest player name kept, in characters
+export const MAX_PLAYER_NAME_LENGTH = 20;
+
+/**
+ * Tidy a player name as typed
+ * Names of built-in object properties (__proto__, constructor, ...) are refused, as names are used as keys
+ * @param {*} name - Name as entered
+ * @returns {string|null} The name trimmed to MAX_PLAYER_NAME_LENGTH, or null if there is no usable name
+ */
+export function normalizePlayerName(name) {
+    if (typeof name !== 'string') return null;
+    const tidy = name.replace(/\s+/g, ' ').trim().slice(0, MAX_PLAYER_NAME_LENGTH).trim();
+    if (tidy in Object.prototype) return null;
+    return tidy || null;
+}
+
+/**
+ * Describe a game's board configuration: its size, line length, rule variants, number of players
+ * and time control
+ * Rooms are listed in the lobby with it, quick match pairs rooms by it and ratings are kept apart by it.
+ * @param {TicTacToe} game - The game
+ * @returns {string} e.g. '4x4x4 · 4 in a row · gravity · 3+2'
+ */
+export function describeRules(game) {
+    const parts = [game.dimensions.join('x'), `${game.winLength} in a row`, ...getRuleNames(game)];
+    if (game.players.length > 2) parts.push(`${game.players.length} players`);
+    if (game.timeControl) parts.push(formatTimeControl(game.timeControl));
+    return parts.join(' · ');
+}
@@ -0,0 +1,46 @@
+/**
+ * Creates the opponent selector shown in the top-left corner
+ * Lets the player switch between a two-player game and playing against the computer
+ * @param {Function} onChange - Called with the selected mode: 'human', 'easy', 'medium' or 'hard'
+ * @returns {Object} { container, getMode(), destroy() }
+ */
+export function createOpponentControls(onChange) {
+    const container = document.createElement('div');
+    container.id = 'opponent-controls';
+    
+    const label = document.createElement('label');
+    label.className = 'opponent-label';
+    label.textContent = 'OPPONENT';
+    
+    const select = document.createElement('select');
+    select.className = 'opponent-select';
+    [
+        { value: 'human', text: 'Two players' },
+        { value: 'easy', text: 'Computer · Easy' },
+        { value: 'medium', text: 'Computer · Medium' },
+        { value: 'hard', text: 'Computer · Hard' }
+    ].forEach(({ value, text }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+    
+    label.appendChild(select);
+    container.appendChild(label);
+    document.body.appendChild(container);
+    
+    // Keep clicks on the selector from reaching the board's click handler
+    container.addEventListener('click', (e) => e.stopPropagation());
+    container.addEventListener('touchstart', (e) => e.stopPropagation());
+    
+    select.addEventListener('change', () => onChange(select.value));
+    
+    return {
+        container,
+        getMode: () => select.value,
+        destroy() {
+            container.remove();
+        }
+    };
+}
@@ -1,6 +1,40 @@
 import * as THREE from 'three';
 
-export function createEmberGlowParticleSystem(type, position) {
+// Shader code for each movement pattern, applied to the drifting position `pos`
+const MOVEMENT_CODE = {
+    // Particles tend to move toward the diagonals:
+    // blend toward targets in the particle's own quadrant with a mix factor oscillating between 0.2 and 0.4
+    diagonal: `
+                float factor = 0.3 + 0.1 * sin(time);
+                vec2 diagonalTarget = vec2(sign(pos.x) * 0.3 * cos(time * 0.2), sign(pos.y) * 0.3 * sin(time * 0.2));
+                pos.xy = mix(pos.xy, diagonalTarget, factor);`,
+    // Particles move in a spiral/orbital pattern: rotate around the center with a pulsing radius
+    orbital: `
+                float angle = atan(pos.y, pos.x) + 0.3 * time;
+                float radius = length(pos.xy) * (0.8 + 0.2 * sin(time));
+                pos.x = cos(angle) * radius;
+                pos.y = sin(angle) * radius;`,
+    // Particles are pushed along a slowly turning swirl field
+    flowField: `
+                pos += 0.08 * vec3(sin(pos.y * 9.0 + time), sin(pos.z * 9.0 + time * 1.3), sin(pos.x * 9.0 + time * 0.7));`,
+    // Particles ripple in layered waves
+    wave: `
+                pos.y += 0.08 * sin(pos.x * 12.0 + time * 2.0);
+                pos.z += 0.06 * sin(pos.y * 10.0 + time * 1.5);`
+};
+
+/**
+ * Creates an Ember Glow particle system
+ * @param {Vector3} position - Center position of the effect
+ * @param {Object} options - Player styling (color and movementPattern, as in defaultPlayerStyles)
+ * @returns {THREE.Points} Particle system
+ */
+export function createEmberGlowParticleSystem(position, options = {}) {
+    const {
+        color = { primary: [1.0, 1.0, 1.0] },
+        movementPattern = { type: 'orbital' }
+    } = options;
+    
     const particleCount = 800; // More particles for better visibility
     const geometry = new THREE.BufferGeometry();
     const positions = new Float32Array(particleCount * 3);
@@ -68,25 +102,8 @@ export function createEmberGlowParticleSystem(type, position) {
                 // Calculate base position with some drift
                 vec3 pos = initialPosition + offset + velocity * localTime;
                 
-                // Apply different effects based on X or O
-                ${type === 'X' ? 
-                    // X pattern - particles tend to move toward diagonals
-                    // 1. Calculate a time-varying mix factor (0.3±0.1)
-                    // 2. Use mix() to blend between current position and diagonal target positions
-                    // 3. sign() preserves which quadrant the particle is in
-                    // 4. cos/sin with time create subtle oscillation in the diagonal targets
-                    'float factor = 0.3 + 0.1 * sin(time); // Mix factor that oscillates between 0.2-0.4\\n' +
-                    'vec2 diagonalTarget = vec2(sign(pos.x) * 0.3 * cos(time * 0.2), sign(pos.y) * 0.3 * sin(time * 0.2));\\n' +
-                    'pos.xy = mix(pos.xy, diagonalTarget, factor); // Blend toward diagonal pattern' : 
-                    
-                    // O pattern - particles move in spiral/orbital pattern
-                    // 1. Calculate angle (in radians) from origin to particle with gradual rotation
-                    // 2. Calculate radius with subtle pulsing effect
-                    // 3. Convert from polar to Cartesian coordinates using cos/sin
-                    'float angle = atan(pos.y, pos.x) + 0.3 * time; // Angle from center with rotation\\n' +
-                    'float radius = length(pos.xy) * (0.8 + 0.2 * sin(time)); // Pulsing radius\\n' +
-                    'pos.x = cos(angle) * radius; // Convert back to Cartesian coordinates\\n' +
-                    'pos.y = sin(angle) * radius;'}
+                // Apply the player's movement pattern
+                ${MOVEMENT_CODE[movementPattern.type] || MOVEMENT_CODE.orbital}
                 
                 // Soft confinement - particles bounce when they hit boundaries
                 float boxSize = 0.42;
@@ -105,6 +122,8 @@ export function createEmberGlowParticleSystem(type, position) {
         `,
         fragmentShader: `
             uniform float time;
+            uniform vec3 primaryColor;
+            uniform vec3 secondaryColor;
             varying vec2 vUv;
             varying float vDistFromCenter;
             
@@ -122,23 +141,17 @@ export function createEmberGlowParticleSystem(type, position) {
                 // - Distance factor (5.0) creates waves radiating from center
                 float glow = 0.6 + 0.4 * sin(time * 3.0 + vDistFromCenter * 5.0);
                 
-                // X is red, O is blue - with some color variation
-                vec3 color = ${type === 'X' ? 
-                    // X color: Primarily red (1.0) with small green component that varies with time and distance
-                    'vec3(1.0, // Red component (always full intensity)\n' +
-                    '      0.2 + 0.1 * sin(time + vDistFromCenter * 10.0), // Green component with variation\n' +
-                    '      0.2) // Blue component (fixed low intensity)' : 
-                    
-                    // O color: Primarily blue (1.0) with small green component that varies
-                    'vec3(0.2, // Red component (fixed low intensity)\n' +
-                    '      0.3 + 0.1 * sin(time + vDistFromCenter * 10.0), // Green component with variation\n' +
-                    '      1.0) // Blue component (always full intensity)'};
+                // Deeper version of the player color (between primary and secondary)
+                // with a green component that varies with time and distance
+                vec3 color = mix(primaryColor, secondaryColor, 0.5) + vec3(0.0, 0.1 * sin(time + vDistFromCenter * 10.0), 0.0);
                 
                 gl_FragColor = vec4(color * glow, alpha * 0.8);
             }
         `,
         uniforms: { 
-            time: { value: 0 }
+            time: { value: 0 },
+            primaryColor: { value: new THREE.Vector3().fromArray(color.primary) },
+            secondaryColor: { value: new THREE.Vector3().fromArray(color.secondary || color.primary) }
         },
         transparent: true,
         blending: THREE.AdditiveBlending,
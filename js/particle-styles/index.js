@@ -40,13 +40,80 @@ export const defaultPlayerStyles = {
         geometry: {
             distribution: 'circular'
         }
+    },
+    T: {
+        // Green-themed with flowing movement for the third player
+        color: { 
+            primary: [0.3, 1.0, 0.3], 
+            secondary: [0.1, 0.8, 0.1],
+            variation: 0.2 
+        },
+        movementPattern: { 
+            type: 'flowField', 
+            strength: 0.6
+        },
+        geometry: {
+            distribution: 'random'
+        }
+    },
+    S: {
+        // Amber-themed with wave movement for the fourth player
+        color: { 
+            primary: [1.0, 0.8, 0.2], 
+            secondary: [0.9, 0.6, 0.1],
+            variation: 0.2 
+        },
+        movementPattern: { 
+            type: 'wave', 
+            strength: 0.8
+        },
+        geometry: {
+            distribution: 'circular'
+        }
     }
 };
 
+// Default styles in seat order, handed out to players whose symbol has no default style
+const seatStyles = Object.values(defaultPlayerStyles);
+
+// Styles of the players in the current game, by symbol
+let playerStyles = { ...defaultPlayerStyles };
+
+/**
+ * Choose the particle styles of the players in a game
+ * Each player starts from the default style of their symbol (or of their seat, for other symbols)
+ * and any fields given for them in overrides replace the defaults
+ * @param {Array<string>} players - Player symbols in turn order
+ * @param {Object} [overrides] - Partial styles by symbol, e.g. { O: { color: { primary: [0.8, 0.2, 1.0] } } }
+ */
+export function setPlayerStyles(players, overrides = {}) {
+    playerStyles = {};
+    players.forEach((player, seat) => {
+        const base = defaultPlayerStyles[player] || seatStyles[seat % seatStyles.length];
+        const override = overrides[player] || {};
+        playerStyles[player] = {
+            ...base,
+            ...override,
+            color: { ...base.color, ...override.color },
+            movementPattern: { ...base.movementPattern, ...override.movementPattern },
+            geometry: { ...base.geometry, ...override.geometry }
+        };
+    });
+}
+
+/**
+ * Get the particle style of a player in the current game
+ * @param {string} player - Player symbol
+ * @returns {Object} The player's style ({ color, movementPattern, geometry }), or an empty object
+ */
+export function getPlayerStyle(player) {
+    return playerStyles[player] || {};
+}
+
 // Create a more simplified version of particles for the turn indicator
 export function createSimplifiedIndicatorParticles(player, position) {
     // Get player-specific styling
-    const playerStyle = defaultPlayerStyles[player] || {};
+    const playerStyle = getPlayerStyle(player);
     
     // Create particles using the quantum flux style with player styling
     // This implementation needs to be updated to support the new API
@@ -81,7 +148,7 @@ window.__ActiveParticleSystem = createQuantumFluxParticleSystem;
 // Dynamically use the current active particle system with player-specific styling
 export function createParticleSystem(player, position) {
     // Get player-specific styling
-    const playerStyle = defaultPlayerStyles[player] || {};
+    const playerStyle = getPlayerStyle(player);
     
     // Use the active particle system with player styling
     return window.__ActiveParticleSystem(position, playerStyle);
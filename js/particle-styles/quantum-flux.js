@@ -1,6 +1,29 @@
 import * as THREE from 'three';
 
-export function createQuantumFluxParticleSystem(type, position) {
+// Shader code for each movement pattern, applied to the drifting position `pos`
+const MOVEMENT_CODE = {
+    // Particles tend to move toward the diagonals
+    diagonal: 'float factor = 0.3 + 0.1 * sin(time); pos.xy = mix(pos.xy, vec2(sign(pos.x) * 0.3 * cos(time * 0.2), sign(pos.y) * 0.3 * sin(time * 0.2)), factor);',
+    // Particles move in a spiral/orbital pattern
+    orbital: 'float angle = atan(pos.y, pos.x) + 0.3 * time; float radius = length(pos.xy) * (0.8 + 0.2 * sin(time)); pos.x = cos(angle) * radius; pos.y = sin(angle) * radius;',
+    // Particles are pushed along a slowly turning swirl field
+    flowField: 'pos += 0.08 * vec3(sin(pos.y * 9.0 + time), sin(pos.z * 9.0 + time * 1.3), sin(pos.x * 9.0 + time * 0.7));',
+    // Particles ripple in layered waves
+    wave: 'pos.y += 0.08 * sin(pos.x * 12.0 + time * 2.0); pos.z += 0.06 * sin(pos.y * 10.0 + time * 1.5);'
+};
+
+/**
+ * Creates a Quantum Flux particle system
+ * @param {Vector3} position - Center position of the effect
+ * @param {Object} options - Player styling (color and movementPattern, as in defaultPlayerStyles)
+ * @returns {THREE.Points} Particle system
+ */
+export function createQuantumFluxParticleSystem(position, options = {}) {
+    const {
+        color = { primary: [1.0, 1.0, 1.0] },
+        movementPattern = { type: 'orbital' }
+    } = options;
+    
     const particleCount = 500;
     const geometry = new THREE.BufferGeometry();
     const positions = new Float32Array(particleCount * 3);
@@ -68,12 +91,8 @@ export function createQuantumFluxParticleSystem(type, position) {
                 // Calculate base position with some drift
                 vec3 pos = initialPosition + offset + velocity * localTime;
                 
-                // Apply different effects based on X or O
-                ${type === 'X' ? 
-                    // X pattern - particles tend to move toward diagonals
-                    'float factor = 0.3 + 0.1 * sin(time); pos.xy = mix(pos.xy, vec2(sign(pos.x) * 0.3 * cos(time * 0.2), sign(pos.y) * 0.3 * sin(time * 0.2)), factor);' : 
-                    // O pattern - particles move in spiral/orbital pattern
-                    'float angle = atan(pos.y, pos.x) + 0.3 * time; float radius = length(pos.xy) * (0.8 + 0.2 * sin(time)); pos.x = cos(angle) * radius; pos.y = sin(angle) * radius;'}
+                // Apply the player's movement pattern
+                ${MOVEMENT_CODE[movementPattern.type] || MOVEMENT_CODE.orbital}
                 
                 // Soft confinement - particles bounce when they hit boundaries
                 float boxSize = 0.42;
@@ -110,6 +129,7 @@ export function createQuantumFluxParticleSystem(type, position) {
         `,
         fragmentShader: `
             uniform float time;
+            uniform vec3 primaryColor;
             varying vec2 vUv;
             varying float vDistFromCenter;
             varying float vVisibility;
@@ -124,10 +144,8 @@ export function createQuantumFluxParticleSystem(type, position) {
                 // Glow effect that pulses
                 float glow = 0.7 + 0.3 * sin(time * 3.0 + vDistFromCenter * 5.0);
                 
-                // X is red, O is blue - with brighter color variation and stronger contrast
-                vec3 color = ${type === 'X' ? 
-                    'vec3(1.0, 0.3 + 0.15 * sin(time + vDistFromCenter * 10.0), 0.3)' : 
-                    'vec3(0.3, 0.4 + 0.15 * sin(time + vDistFromCenter * 10.0), 1.0)'};
+                // Player color with a shimmering green component for brighter variation
+                vec3 color = primaryColor + vec3(0.0, 0.15 * sin(time + vDistFromCenter * 10.0), 0.0);
                 
                 // Add pulsing brightness to make particles more visible
                 color += vec3(0.15) * sin(time * 2.0);
@@ -140,7 +158,8 @@ export function createQuantumFluxParticleSystem(type, position) {
             }
         `,
         uniforms: { 
-            time: { value: 0 }
+            time: { value: 0 },
+            primaryColor: { value: new THREE.Vector3().fromArray(color.primary) }
         },
         transparent: true,
         blending: THREE.AdditiveBlending,
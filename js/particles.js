@@ -4,7 +4,10 @@ import {
     createSimplifiedIndicatorParticles,
     createEmberGlowParticleSystem,
     createQuantumFluxParticleSystem,
-    createNebulaWhisperParticleSystem
+    createNebulaWhisperParticleSystem,
+    defaultPlayerStyles,
+    setPlayerStyles,
+    getPlayerStyle
 } from './particle-styles/index.js';
 
 // Function to set the active particle system
@@ -110,5 +113,8 @@ export {
     createSimplifiedIndicatorParticles,
     createEmberGlowParticleSystem,
     createQuantumFluxParticleSystem,
-    createNebulaWhisperParticleSystem
+    createNebulaWhisperParticleSystem,
+    defaultPlayerStyles,
+    setPlayerStyles,
+    getPlayerStyle
 };
\ No newline at end of file
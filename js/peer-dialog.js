@@ -0,0 +1,162 @@
+/**
+ * Creates the dialog that connects a direct game (see peer-session.js) by exchanging codes by hand
+ * The host hands out an offer code and pastes back the answer code; the guest pastes the offer and
+ * hands back the answer. Codes can travel over any chat, or be read off a screen.
+ * @param {Object} handlers - Callbacks for the dialog
+ * @param {Function} handlers.onHost - Called when the player chooses to host; answer with showOffer()
+ * @param {Function} handlers.onOffer - Called with the host's code pasted by the guest; answer with showAnswer()
+ * @param {Function} handlers.onAnswer - Called with the guest's code pasted by the host
+ * @param {Function} handlers.onCancel - Called when the player closes the dialog
+ * @returns {Object} { container, showOffer(code), showAnswer(code), destroy() }
+ */
+export function createPeerDialog({ onHost, onOffer, onAnswer, onCancel }) {
+    const container = document.createElement('div');
+    container.id = 'peer-dialog';
+    
+    const title = document.createElement('div');
+    title.className = 'opponent-label';
+    title.textContent = 'DIRECT GAME';
+    
+    const content = document.createElement('div');
+    content.className = 'peer-content';
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'history-button';
+    cancelButton.textContent = 'Cancel';
+    
+    container.append(title, content, cancelButton);
+    document.body.appendChild(container);
+    
+    // Keep clicks on the dialog from reaching the board's click handler
+    container.addEventListener('click', (e) => e.stopPropagation());
+    container.addEventListener('touchstart', (e) => e.stopPropagation());
+    
+    cancelButton.addEventListener('click', () => onCancel());
+    
+    const hostButton = createButton('Host', () => {
+        content.replaceChildren(createText('Preparing your code…'));
+        onHost();
+    });
+    const joinButton = createButton('Join', () => {
+        content.replaceChildren(
+            createText('Paste the code the host sent you:'),
+            createInput('Answer', (code) => {
+                content.replaceChildren(createText('Preparing your answer…'));
+                onOffer(code);
+            })
+        );
+    });
+    const choice = document.createElement('div');
+    choice.className = 'save-row';
+    choice.append(hostButton, joinButton);
+    content.append(
+        createText('Play straight against another browser, without a server: one player hosts, the other joins, and you swap codes.'),
+        choice
+    );
+    
+    return {
+        container,
+        
+        /**
+         * Show the host's code, and ask for the guest's answer
+         * @param {string} code - Offer code from PeerSession.host()
+         */
+        showOffer(code) {
+            content.replaceChildren(
+                createText('Send this code to the other player:'),
+                createCodeBox(code),
+                createText('Then paste the code they send back:'),
+                createInput('Connect', (answer) => {
+                    content.replaceChildren(createText('Connecting…'));
+                    onAnswer(answer);
+                })
+            );
+        },
+        
+        /**
+         * Show the guest's answer code
+         * @param {string} code - Answer code from PeerSession.join()
+         */
+        showAnswer(code) {
+            content.replaceChildren(
+                createText('Send this code back to the host. The game starts once they paste it.'),
+                createCodeBox(code)
+            );
+        },
+        
+        destroy() {
+            container.remove();
+        }
+    };
+}
+
+/**
+ * @param {string} text - Line of text
+ * @returns {HTMLElement}
+ */
+function createText(text) {
+    const line = document.createElement('div');
+    line.className = 'peer-text';
+    line.textContent = text;
+    return line;
+}
+
+/**
+ * @param {string} text - Button label
+ * @param {Function} onClick - Called when the button is pressed
+ * @returns {HTMLButtonElement}
+ */
+function createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'history-button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * @param {string} code - Code to hand to the other player
+ * @returns {HTMLElement} The code, selectable, with a button to copy it
+ */
+function createCodeBox(code) {
+    const box = document.createElement('div');
+    box.className = 'save-row';
+    
+    const field = document.createElement('textarea');
+    field.className = 'peer-code';
+    field.readOnly = true;
+    field.value = code;
+    field.addEventListener('focus', () => field.select());
+    
+    const copyButton = createButton('Copy', () => {
+        field.select();
+        const copy = navigator.clipboard ? navigator.clipboard.writeText(code) : Promise.reject();
+        copy.then(() => {
+            copyButton.textContent = 'Copied';
+        }, () => document.execCommand('copy'));
+    });
+    
+    box.append(field, copyButton);
+    return box;
+}
+
+/**
+ * @param {string} buttonText - Label of the button that submits the code
+ * @param {Function} onSubmit - Called with the pasted code
+ * @returns {HTMLElement} A field to paste a code into, with its button
+ */
+function createInput(buttonText, onSubmit) {
+    const box = document.createElement('div');
+    box.className = 'save-row';
+    
+    const field = document.createElement('textarea');
+    field.className = 'peer-code';
+    field.placeholder = 'Paste the code here';
+    
+    const submitButton = createButton(buttonText, () => {
+        if (field.value.trim()) onSubmit(field.value.trim());
+    });
+    
+    box.append(field, submitButton);
+    return box;
+}
@@ -0,0 +1,416 @@
+import { EventEmitter } from './event-emitter.js';
+import { TicTacToe } from './game.js';
+
+// Longest wait for the browser to finish gathering connection candidates before a code is handed out
+const ICE_GATHERING_TIMEOUT = 3000;
+
+/**
+ * Direct game between two browsers over a WebRTC data channel, without a game server
+ *
+ * Connecting takes one exchange of codes, passed on by hand (chat, mail, or a second tab):
+ *   1. The host calls host(game) and gives the offer code it returns to the other player.
+ *   2. The guest calls join(offerCode) and sends back the answer code it returns.
+ *   3. The host calls acceptAnswer(answerCode) and the data channel opens.
+ * No STUN or TURN server is used by default, so the browsers must reach each other directly:
+ * two tabs of one browser, or two machines on the same network.
+ *
+ * The host plays the first seat and the guest the second; both keep a full TicTacToe and check every
+ * move the other side sends against it. Each move carries its move number and the hash of the
+ * position it leads to, so a move made on an out of date board (both players moving at once) or
+ * a board that drifted apart is noticed at once. The host's game settles any disagreement.
+ * In a timed game each page times the other player's moves itself, as it can't trust the other page's
+ * clock, and watches the clock of the player to move for flag fall.
+ *
+ * Messages over the data channel:
+ *   { type: 'hello', game, seat }              Host -> guest once the channel opens: the game and the guest's seat
+ *   { type: 'move', coords, moveNumber, hash }
+ *                                              A move, with the position hash (hex) after it
+ *   { type: 'resync' }                         Guest -> host: send the whole game, my copy is wrong
+ *   { type: 'state', game }                    Host -> guest: the game to continue from
+ *   { type: 'leave' }                          The player is leaving
+ *
+ * The session has the same shape as OnlineClient (status, seat, seats, game, isMyTurn(), playMove(), leave())
+ * so the page can treat both alike.
+ *
+ * Events:
+ * - game { game }: there is a new copy of the game to show (after connecting or resolving a conflict)
+ * - status { status }: 'connecting', 'connected' or 'closed'
+ * - seats { seats }: 'connected' or 'open' by player symbol
+ * - rejected { reason }: the two games disagreed ('out-of-order', 'not-your-turn', 'hash-mismatch' or
+ *   a makeMove() refusal reason); the host's game is being restored
+ * - error { message }: the connection failed or the other player left
+ */
+export class PeerSession extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.iceServers=[]] - STUN/TURN servers, for players on different networks
+     * @param {Function} [options.RTCPeerConnectionImpl=RTCPeerConnection] - Peer connection class
+     */
+    constructor({ iceServers = [], RTCPeerConnectionImpl = globalThis.RTCPeerConnection } = {}) {
+        super();
+        this.iceServers = iceServers;
+        this.RTCPeerConnectionImpl = RTCPeerConnectionImpl;
+        this.connection = null;
+        this.channel = null;
+        this.role = null;
+        this.status = 'closed';
+        // A direct game has no room code; the field is kept for the shape shared with OnlineClient
+        this.code = null;
+        this.seat = null;
+        this.peerSeat = null;
+        this.game = null;
+        this.seats = {};
+    }
+    
+    /**
+     * Start a game as the host
+     * @param {TicTacToe} game - Game whose board and rules to play (its moves are not used)
+     * @returns {Promise<string>} The offer code to give the other player
+     * @throws {Error} If the game isn't for two players
+     */
+    async host(game) {
+        if (game.players.length !== 2) {
+            throw new Error('Direct games are for two players');
+        }
+        
+        this.start('host', TicTacToe.fromJSON({ ...game.toJSON(), moves: [], historyIndex: 0, winner: undefined, times: [], clock: null }));
+        this.seat = this.game.players[0];
+        this.peerSeat = this.game.players[1];
+        this.emit('game', { game: this.game });
+        this.updateSeats();
+        
+        this.attachChannel(this.connection.createDataChannel('moves', { ordered: true }));
+        await this.connection.setLocalDescription(await this.connection.createOffer());
+        return this.describeLocal();
+    }
+    
+    /**
+     * Join a host's game
+     * @param {string} offerCode - The code the host handed out
+     * @returns {Promise<string>} The answer code to send back to the host
+     * @throws {Error} If the code is not an offer code
+     */
+    async join(offerCode) {
+        const offer = await decodeSignal(offerCode, 'offer');
+        
+        this.start('guest', null);
+        this.connection.ondatachannel = (event) => this.attachChannel(event.channel);
+        await this.connection.setRemoteDescription(offer);
+        await this.connection.setLocalDescription(await this.connection.createAnswer());
+        return this.describeLocal();
+    }
+    
+    /**
+     * Complete the host's side of the connection
+     * @param {string} answerCode - The code the guest sent back
+     * @throws {Error} If the code is not an answer code, or the session isn't hosting
+     */
+    async acceptAnswer(answerCode) {
+        if (this.role !== 'host' || !this.connection) {
+            throw new Error('Only a hosted game can accept an answer');
+        }
+        await this.connection.setRemoteDescription(await decodeSignal(answerCode, 'answer'));
+    }
+    
+    /**
+     * @returns {boolean} True when this page may move: connected, and the game waits for this page's player
+     */
+    isMyTurn() {
+        return this.status === 'connected' && this.game !== null && !this.game.winner && this.game.currentPlayer === this.seat;
+    }
+    
+    /**
+     * Play a move for this page's player and send it to the other player
+     * @param {Array<number>} coords - Coordinates of the move (1-based)
+     * @returns {Object|null} The makeMove() result, or null if it isn't this page's turn
+     */
+    playMove(coords) {
+        if (!this.isMyTurn()) return null;
+        
+        const result = this.game.makeMove(...coords);
+        if (result.accepted) {
+            this.send({
+                type: 'move',
+                coords: result.move.coords,
+                moveNumber: this.game.historyIndex,
+                hash: this.game.getHash().toString(16)
+            });
+        }
+        return result;
+    }
+    
+    /**
+     * Tell the other player we're leaving and close the connection
+     */
+    leave() {
+        this.send({ type: 'leave' });
+        this.close();
+    }
+    
+    /**
+     * Close the connection
+     */
+    close() {
+        const { channel, connection } = this;
+        this.channel = null;
+        this.connection = null;
+        channel?.close();
+        connection?.close();
+        this.setStatus('closed');
+    }
+    
+    /**
+     * Open a fresh peer connection for a role
+     * @param {string} role - 'host' or 'guest'
+     * @param {TicTacToe|null} game - The host's game; the guest receives its game once connected
+     */
+    start(role, game) {
+        this.close();
+        this.role = role;
+        this.game = game;
+        const connection = new this.RTCPeerConnectionImpl({ iceServers: this.iceServers });
+        this.connection = connection;
+        connection.onconnectionstatechange = () => {
+            if (this.connection !== connection || connection.connectionState !== 'failed') return;
+            this.emit('error', { message: 'Could not connect to the other player' });
+            this.close();
+        };
+        this.setStatus('connecting');
+    }
+    
+    /**
+     * Listen to the data channel the moves travel over
+     * @param {RTCDataChannel} channel - The channel (created by the host, received by the guest)
+     */
+    attachChannel(channel) {
+        this.channel = channel;
+        
+        channel.onopen = () => {
+            // The guest is connected once it has the host's game
+            if (this.role !== 'host') return;
+            this.send({ type: 'hello', game: this.game.toJSON(), seat: this.peerSeat });
+            this.setStatus('connected');
+            this.updateSeats();
+        };
+        channel.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('Ignoring malformed message from the other player:', event.data);
+                return;
+            }
+            this.handleMessage(message);
+        };
+        channel.onclose = () => {
+            // Channels this session closed itself are done with
+            if (this.channel !== channel) return;
+            this.emit('error', { message: 'The connection to the other player was lost' });
+            this.close();
+        };
+    }
+    
+    /**
+     * Act on a message from the other player
+     * @param {Object} message - The parsed message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'hello':
+                if (this.role !== 'guest') return;
+                this.seat = message.seat;
+                this.adoptGame(message.game);
+                this.peerSeat = this.game.players.find(player => player !== this.seat);
+                this.setStatus('connected');
+                this.updateSeats();
+                break;
+            case 'move':
+                this.receiveMove(message);
+                break;
+            case 'resync':
+                if (this.role === 'host') this.send({ type: 'state', game: this.game.toJSON() });
+                break;
+            case 'state':
+                if (this.role === 'guest') this.adoptGame(message.game);
+                break;
+            case 'leave':
+                this.channel = null;
+                this.emit('error', { message: 'The other player left the game' });
+                this.close();
+                break;
+        }
+    }
+    
+    /**
+     * Check and play a move from the other player
+     * The move is timed by this page's clock, so the other page can't report a shorter time than it took
+     * @param {Object} message - { coords, moveNumber, hash } of the move
+     */
+    receiveMove({ coords, moveNumber, hash }) {
+        const game = this.game;
+        let problem = null;
+        if (moveNumber !== game.historyIndex + 1) {
+            // Both players moved at once, or a move went missing
+            problem = 'out-of-order';
+        } else if (game.winner || game.currentPlayer !== this.peerSeat) {
+            problem = game.winner ? 'game-over' : 'not-your-turn';
+        } else {
+            const result = game.makeMove(...coords);
+            if (!result.accepted) {
+                problem = result.reason;
+            } else if (game.getHash().toString(16) !== hash) {
+                problem = 'hash-mismatch';
+            }
+        }
+        
+        if (problem) this.resolveConflict(problem);
+    }
+    
+    /**
+     * Bring the two games back together after they disagreed: the host sends its game, the guest asks for it
+     * @param {string} reason - What went wrong
+     */
+    resolveConflict(reason) {
+        this.emit('rejected', { reason });
+        if (this.role === 'host') {
+            this.send({ type: 'state', game: this.game.toJSON() });
+        } else {
+            this.send({ type: 'resync' });
+        }
+    }
+    
+    /**
+     * Take the host's game, replacing our copy if it differs
+     * The host's game settles disagreements, so there is nothing to go back to if it can't be rebuilt
+     * @param {Object} state - The game as TicTacToe.toJSON() output
+     */
+    adoptGame(state) {
+        let game;
+        try {
+            game = TicTacToe.fromJSON(state);
+        } catch (e) {
+            this.emit('error', { message: `The other player sent a game this page can't follow (${e.message})` });
+            this.leave();
+            return;
+        }
+        if (this.game && this.game.historyIndex === game.historyIndex && this.game.getHash() === game.getHash() &&
+            this.game.winner === game.winner && JSON.stringify(this.game.toJSON().moves) === JSON.stringify(state.moves) &&
+            JSON.stringify(this.game.getFlags()) === JSON.stringify(game.getFlags())) {
+            this.game.syncClock(state.clock);
+            return;
+        }
+        
+        this.game = game;
+        this.emit('game', { game });
+    }
+    
+    /**
+     * Tell listeners who holds which seat
+     */
+    updateSeats() {
+        if (!this.game) return;
+        this.seats = {
+            [this.seat]: 'connected',
+            [this.peerSeat]: this.status === 'connected' ? 'connected' : 'open'
+        };
+        this.emit('seats', { seats: this.seats });
+    }
+    
+    /**
+     * @returns {Promise<string>} Code for our side of the connection, once all its candidates are known
+     */
+    async describeLocal() {
+        const connection = this.connection;
+        await waitForIceGathering(connection);
+        return encodeSignal(connection.localDescription);
+    }
+    
+    /**
+     * @param {Object} message - Message for the other player; dropped while the channel isn't open
+     */
+    send(message) {
+        if (this.channel?.readyState === 'open') {
+            this.channel.send(JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * @param {string} status - New connection status, announced if it changed
+     */
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.emit('status', { status });
+    }
+}
+
+/**
+ * Wait until a peer connection knows all its candidates, so one code holds everything the other side needs
+ * @param {RTCPeerConnection} connection - The connection
+ * @returns {Promise<void>} Resolves when gathering is complete, or after ICE_GATHERING_TIMEOUT
+ */
+function waitForIceGathering(connection) {
+    if (connection.iceGatheringState === 'complete') return Promise.resolve();
+    
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ICE_GATHERING_TIMEOUT);
+        connection.addEventListener('icegatheringstatechange', () => {
+            if (connection.iceGatheringState !== 'complete') return;
+            clearTimeout(timer);
+            resolve();
+        });
+    });
+}
+
+/**
+ * Turn a session description into a code that can be pasted into a chat or shown as a QR code:
+ * its type, then the SDP in URL-safe base64. Browsers that can deflate the SDP mark the type with
+ * ".z" (e.g. "offer.z:hVPLbtsw…"); plain codes are just "offer:…", so either side can tell which it got.
+ * @param {RTCSessionDescription} description - Offer or answer
+ * @returns {Promise<string>} The code
+ */
+export async function encodeSignal({ type, sdp }) {
+    let bytes = new TextEncoder().encode(sdp);
+    const compressed = typeof CompressionStream === 'function';
+    if (compressed) {
+        bytes = new Uint8Array(await new Response(new Blob([bytes]).stream()
+            .pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer());
+    }
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return `${type}${compressed ? '.z' : ''}:${btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+}
+
+/**
+ * Read a code made by encodeSignal()
+ * @param {string} code - The code, as pasted (surrounding white space is ignored)
+ * @param {string} expectedType - 'offer' or 'answer'
+ * @returns {Promise<Object>} { type, sdp } for setRemoteDescription()
+ * @throws {Error} If the code is of the wrong kind or damaged, or compressed and this browser can't inflate it
+ */
+export async function decodeSignal(code, expectedType) {
+    const match = /^(offer|answer)(\.z)?:([A-Za-z0-9_-]+)$/.exec(String(code).replace(/\s+/g, ''));
+    if (!match) {
+        throw new Error('That is not a connection code');
+    }
+    const [, type, compressed, data] = match;
+    if (type !== expectedType) {
+        throw new Error(`That is an ${type} code; an ${expectedType} code is needed here`);
+    }
+    if (compressed && typeof DecompressionStream !== 'function') {
+        throw new Error('This browser can\'t read compressed connection codes; try a newer browser');
+    }
+    
+    try {
+        let bytes = Uint8Array.from(atob(data.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+        if (compressed) {
+            bytes = new Uint8Array(await new Response(new Blob([bytes]).stream()
+                .pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer());
+        }
+        return { type: expectedType, sdp: new TextDecoder().decode(bytes) };
+    } catch (e) {
+        throw new Error('The connection code is damaged; copy it again in full');
+    }
+}
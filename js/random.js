@@ -0,0 +1,17 @@
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, which keeps AI games reproducible
+ * @param {number} seed - Any 32-bit integer
+ * @returns {Function} Function returning a float in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,123 @@
+import { isEditableTarget } from './keyboard.js';
+
+// Playback speeds offered, as multiples of one move per second
+const SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Creates the replay bar shown above the undo/redo controls while a recorded game is replayed
+ * Keys: Left/Right arrow for the previous/next move, Space to play or pause, Escape to leave the replay
+ * @param {Object} options - Title and callbacks for the controls
+ * @param {string} [options.title] - Describes the game being replayed
+ * @param {Function} options.onTogglePlay - Called when the player asks to play or pause
+ * @param {Function} options.onStep - Called with -1 or 1 to step to the previous or next move
+ * @param {Function} options.onSeek - Called with the number of moves to show when the scrub bar is dragged
+ * @param {Function} options.onSpeed - Called with the chosen playback speed
+ * @param {Function} options.onExit - Called when the player leaves the replay
+ * @returns {Object} { container, update(state), destroy() }
+ */
+export function createReplayControls({ title = '', onTogglePlay, onStep, onSeek, onSpeed, onExit }) {
+    const container = document.createElement('div');
+    container.id = 'replay-controls';
+    
+    const titleLabel = document.createElement('div');
+    titleLabel.className = 'replay-title';
+    titleLabel.textContent = title ? `REPLAY · ${title}` : 'REPLAY';
+    
+    const row = document.createElement('div');
+    row.className = 'save-row';
+    
+    const previousButton = document.createElement('button');
+    previousButton.className = 'history-button';
+    previousButton.textContent = '◀';
+    previousButton.title = 'Previous move (Left arrow)';
+    
+    const playButton = document.createElement('button');
+    playButton.className = 'history-button';
+    playButton.title = 'Play / pause (Space)';
+    
+    const nextButton = document.createElement('button');
+    nextButton.className = 'history-button';
+    nextButton.textContent = '▶';
+    nextButton.title = 'Next move (Right arrow)';
+    
+    const scrubBar = document.createElement('input');
+    scrubBar.type = 'range';
+    scrubBar.className = 'replay-scrub';
+    scrubBar.min = 0;
+    scrubBar.step = 1;
+    
+    const moveLabel = document.createElement('div');
+    moveLabel.className = 'history-label';
+    
+    const speedSelect = document.createElement('select');
+    speedSelect.className = 'opponent-select';
+    speedSelect.title = 'Playback speed';
+    SPEEDS.forEach(speed => {
+        const option = document.createElement('option');
+        option.value = speed;
+        option.textContent = `${speed}x`;
+        speedSelect.appendChild(option);
+    });
+    speedSelect.value = 1;
+    
+    const exitButton = document.createElement('button');
+    exitButton.className = 'history-button';
+    exitButton.textContent = 'Exit';
+    exitButton.title = 'Back to the game (Escape)';
+    
+    row.append(previousButton, playButton, nextButton, scrubBar, moveLabel, speedSelect, exitButton);
+    container.append(titleLabel, row);
+    document.body.appendChild(container);
+    
+    // Keep clicks on the controls from reaching the board's click handler
+    container.addEventListener('click', (e) => e.stopPropagation());
+    container.addEventListener('touchstart', (e) => e.stopPropagation());
+    
+    previousButton.addEventListener('click', () => onStep(-1));
+    nextButton.addEventListener('click', () => onStep(1));
+    playButton.addEventListener('click', () => onTogglePlay());
+    scrubBar.addEventListener('input', () => onSeek(Number(scrubBar.value)));
+    speedSelect.addEventListener('change', () => onSpeed(Number(speedSelect.value)));
+    exitButton.addEventListener('click', () => onExit());
+    
+    const onKeyDown = (e) => {
+        // Leave keys typed into form fields alone
+        if (isEditableTarget(e.target) && e.target !== scrubBar) return;
+        
+        if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            onStep(-1);
+        } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            onStep(1);
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            onTogglePlay();
+        } else if (e.key === 'Escape') {
+            onExit();
+        }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    
+    return {
+        container,
+        
+        /**
+         * Refresh the controls from the replay's state
+         * @param {Object} state - { position, length, playing } as sent by the replay's change event
+         */
+        update({ position, length, playing }) {
+            scrubBar.max = length;
+            scrubBar.value = position;
+            moveLabel.textContent = `MOVE ${position} / ${length}`;
+            playButton.textContent = playing ? 'Pause' : 'Play';
+            previousButton.disabled = position === 0;
+            nextButton.disabled = position === length;
+        },
+        
+        destroy() {
+            window.removeEventListener('keydown', onKeyDown);
+            container.remove();
+        }
+    };
+}
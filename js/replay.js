@@ -0,0 +1,144 @@
+import { EventEmitter } from './event-emitter.js';
+
+// Time between moves at normal speed, in milliseconds
+const STEP_INTERVAL = 1000;
+
+/**
+ * Plays back a recorded game one move at a time
+ *
+ * The game keeps its whole move list as undo/redo history, so moving through the replay is just
+ * undoing and redoing: the board shown for any position is exactly the game's state at that point.
+ *
+ * Events:
+ * - change { position, length, playing }: the position or play state changed
+ */
+export class Replay extends EventEmitter {
+    /**
+     * @param {TicTacToe} game - Game holding the recorded moves as history (see gameFromMatch())
+     */
+    constructor(game) {
+        super();
+        this.game = game;
+        this.speed = 1;
+        this.playing = false;
+        this.timer = null;
+    }
+    
+    /**
+     * Number of moves played so far in the replay
+     * @returns {number}
+     */
+    get position() {
+        return this.game.historyIndex;
+    }
+    
+    /**
+     * Number of moves in the recorded game
+     * @returns {number}
+     */
+    get length() {
+        return this.game.history.length;
+    }
+    
+    /**
+     * Show the position after a number of moves
+     * @param {number} position - Moves to have played, clamped to the length of the game
+     */
+    seek(position) {
+        const target = Math.max(0, Math.min(this.length, Math.round(position)));
+        while (this.game.historyIndex > target) this.game.undo();
+        while (this.game.historyIndex < target) this.game.redo();
+        this.emitChange();
+    }
+    
+    /**
+     * Move forwards or backwards through the game
+     * @param {number} delta - Moves to step (negative to go back)
+     * @returns {boolean} Whether the position changed
+     */
+    step(delta) {
+        const position = this.position;
+        this.seek(position + delta);
+        return this.position !== position;
+    }
+    
+    /**
+     * Start playing from the current position (from the start if the end has been reached)
+     */
+    play() {
+        if (this.playing) return;
+        if (this.position === this.length) this.seek(0);
+        
+        this.playing = true;
+        this.emitChange();
+        this.scheduleStep();
+    }
+    
+    /**
+     * Stop playing, staying on the current position
+     */
+    pause() {
+        if (!this.playing) return;
+        
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.playing = false;
+        this.emitChange();
+    }
+    
+    /**
+     * Play or pause, whichever the replay isn't doing
+     */
+    togglePlay() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+    
+    /**
+     * Change the playback speed
+     * @param {number} speed - Multiple of the normal speed of one move per second
+     * @throws {Error} If the speed is not a positive number
+     */
+    setSpeed(speed) {
+        if (!(speed > 0)) {
+            throw new Error(`Replay speed must be a positive number, got ${speed}`);
+        }
+        this.speed = speed;
+        
+        // Take up the new speed from the next move on
+        if (this.playing) {
+            clearTimeout(this.timer);
+            this.scheduleStep();
+        }
+    }
+    
+    /**
+     * Stop playback for good
+     */
+    destroy() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.playing = false;
+    }
+    
+    /**
+     * Play the next move after one interval, and keep going until the end of the game
+     */
+    scheduleStep() {
+        this.timer = setTimeout(() => {
+            this.step(1);
+            if (this.position < this.length) {
+                this.scheduleStep();
+            } else {
+                this.pause();
+            }
+        }, STEP_INTERVAL / this.speed);
+    }
+    
+    /**
+     * Tell listeners where the replay stands
+     */
+    emitChange() {
+        this.emit('change', { position: this.position, length: this.length, playing: this.playing });
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Creates the saved games panel shown below the opponent selector
+ * Offers to continue the last unfinished game, saves, loads and deletes named slots,
+ * and shares the current game as a link
+ * @param {Object} handlers - Callbacks for the controls
+ * @param {Function} handlers.onContinue - Called when the player resumes the autosaved game
+ * @param {Function} handlers.onSave - Called with the slot name to save the current game under
+ * @param {Function} handlers.onLoad - Called with the name of the slot to load
+ * @param {Function} handlers.onDelete - Called with the name of the slot to delete
+ * @param {Function} handlers.onShare - Called when the player asks for a link to the current game
+ * @returns {Object} { container, update(slots), setContinueVisible(visible), destroy() }
+ */
+export function createSaveControls({ onContinue, onSave, onLoad, onDelete, onShare }) {
+    const container = document.createElement('div');
+    container.id = 'save-controls';
+    
+    const continueButton = document.createElement('button');
+    continueButton.className = 'history-button';
+    continueButton.textContent = 'Continue last game';
+    continueButton.hidden = true;
+    
+    const slotRow = document.createElement('div');
+    slotRow.className = 'save-row';
+    
+    const label = document.createElement('label');
+    label.className = 'opponent-label';
+    label.textContent = 'SAVES';
+    
+    const select = document.createElement('select');
+    select.className = 'opponent-select';
+    label.appendChild(select);
+    
+    const loadButton = document.createElement('button');
+    loadButton.className = 'history-button';
+    loadButton.textContent = 'Load';
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'history-button';
+    deleteButton.textContent = 'Delete';
+    
+    const saveButton = document.createElement('button');
+    saveButton.className = 'history-button';
+    saveButton.textContent = 'Save';
+    saveButton.title = 'Save the current game under a name';
+    
+    const shareButton = document.createElement('button');
+    shareButton.className = 'history-button';
+    shareButton.textContent = 'Share';
+    shareButton.title = 'Copy a link that opens this game';
+    
+    slotRow.append(label, loadButton, deleteButton, saveButton, shareButton);
+    container.append(continueButton, slotRow);
+    document.body.appendChild(container);
+    
+    // Keep clicks on the controls from reaching the board's click handler
+    container.addEventListener('click', (e) => e.stopPropagation());
+    container.addEventListener('touchstart', (e) => e.stopPropagation());
+    
+    continueButton.addEventListener('click', () => onContinue());
+    loadButton.addEventListener('click', () => {
+        if (select.value) onLoad(select.value);
+    });
+    deleteButton.addEventListener('click', () => {
+        if (select.value && confirm(`Delete the saved game "${select.value}"?`)) onDelete(select.value);
+    });
+    saveButton.addEventListener('click', () => {
+        const name = prompt('Save the game as:', select.value || `Game ${new Date().toLocaleString()}`);
+        if (name && name.trim()) onSave(name.trim());
+    });
+    shareButton.addEventListener('click', () => onShare());
+    
+    return {
+        container,
+        
+        /**
+         * Refresh the list of named slots
+         * @param {Array<Object>} slots - Slots as listed by SaveStore.listSlots()
+         * @param {string} [selected] - Name of the slot to select, e.g. the one just saved
+         */
+        update(slots, selected = select.value) {
+            select.replaceChildren();
+            if (slots.length === 0) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = 'No saved games';
+                select.appendChild(option);
+            }
+            slots.forEach(({ name, dimensions, moves }) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = `${name} · ${dimensions.join('x')} · move ${moves}`;
+                select.appendChild(option);
+            });
+            if (slots.some(slot => slot.name === selected)) select.value = selected;
+            
+            loadButton.disabled = slots.length === 0;
+            deleteButton.disabled = slots.length === 0;
+        },
+        
+        /**
+         * Show or hide the button that resumes the autosaved game
+         * @param {boolean} visible
+         */
+        setContinueVisible(visible) {
+            continueButton.hidden = !visible;
+        },
+        
+        destroy() {
+            container.remove();
+        }
+    };
+}
@@ -0,0 +1,203 @@
+import { TicTacToe } from './game.js';
+
+// Prefix of every key the store writes, so saves don't clash with other data on the same origin
+const KEY_PREFIX = 'tictactoe3d';
+// Bumped when the record format changes in a way old saves can't be read with
+const SAVE_VERSION = 1;
+
+/**
+ * Saved games in Web Storage (localStorage by default)
+ *
+ * Holds one autosave of the game in progress and any number of named slots. A record keeps the
+ * game as TicTacToe.toJSON() output together with the particle style it was played with; loading
+ * replays the moves, so a record that no longer describes a legal game is reported and ignored.
+ * Storage errors (full quota, storage disabled in private browsing) are logged, not thrown: a
+ * failed save should never interrupt a game.
+ */
+export class SaveStore {
+    /**
+     * @param {Storage} [storage=localStorage] - Where records are kept; anything with the Web Storage
+     *                                           interface (getItem, setItem, removeItem, key, length)
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.autosaveKey = `${KEY_PREFIX}:autosave`;
+        this.slotPrefix = `${KEY_PREFIX}:slot:`;
+    }
+    
+    /**
+     * Save the game in progress, replacing the previous autosave
+     * @param {TicTacToe} game - The game to save
+     * @param {string} style - Name of the particle style in use
+     * @returns {boolean} Whether the game was saved
+     */
+    saveAutosave(game, style) {
+        return this.write(this.autosaveKey, createRecord(game, style));
+    }
+    
+    /**
+     * Load the autosaved game
+     * @returns {Object|null} { game, style, savedAt } or null if there is no usable autosave
+     */
+    loadAutosave() {
+        return this.read(this.autosaveKey);
+    }
+    
+    /**
+     * Forget the autosaved game (e.g. once it has finished)
+     */
+    clearAutosave() {
+        this.remove(this.autosaveKey);
+    }
+    
+    /**
+     * Save a game under a name, replacing any slot of the same name
+     * @param {string} name - Slot name
+     * @param {TicTacToe} game - The game to save
+     * @param {string} style - Name of the particle style in use
+     * @returns {boolean} Whether the game was saved
+     * @throws {Error} If the name is empty
+     */
+    saveSlot(name, game, style) {
+        const slotName = String(name ?? '').trim();
+        if (!slotName) {
+            throw new Error('Save slot name must not be empty');
+        }
+        return this.write(this.slotPrefix + slotName, { ...createRecord(game, style), name: slotName });
+    }
+    
+    /**
+     * Load the game saved under a name
+     * @param {string} name - Slot name
+     * @returns {Object|null} { game, style, savedAt, name } or null if the slot is missing or unusable
+     */
+    loadSlot(name) {
+        return this.read(this.slotPrefix + name);
+    }
+    
+    /**
+     * Delete a named slot
+     * @param {string} name - Slot name
+     */
+    deleteSlot(name) {
+        this.remove(this.slotPrefix + name);
+    }
+    
+    /**
+     * List the named slots, most recently saved first, without replaying their games
+     * @returns {Array<Object>} { name, savedAt, dimensions, moves } for every slot
+     */
+    listSlots() {
+        const slots = [];
+        for (const key of this.keys()) {
+            if (!key.startsWith(this.slotPrefix)) continue;
+            
+            const record = this.parse(key);
+            if (!record) continue;
+            const { width, height, depth, options = {}, moves = [], historyIndex = moves.length } = record.game;
+            slots.push({
+                name: key.slice(this.slotPrefix.length),
+                savedAt: record.savedAt,
+                dimensions: [width, height, depth, ...(options.extraDimensions || [])],
+                moves: historyIndex
+            });
+        }
+        return slots.sort((a, b) => b.savedAt - a.savedAt);
+    }
+    
+    /**
+     * Every key currently in the storage
+     * @returns {Array<string>}
+     */
+    keys() {
+        try {
+            return Array.from({ length: this.storage.length }, (_, i) => this.storage.key(i));
+        } catch (error) {
+            console.warn('Could not read saved games:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Read and check the raw record under a key
+     * @param {string} key - Storage key
+     * @returns {Object|null} The parsed record, or null if it is missing or not a saved game
+     */
+    parse(key) {
+        try {
+            const text = this.storage.getItem(key);
+            if (text === null) return null;
+            
+            const record = JSON.parse(text);
+            if (record?.version !== SAVE_VERSION || !record.game || typeof record.game !== 'object') {
+                console.warn(`Ignoring saved game ${key}: unknown format`);
+                return null;
+            }
+            return record;
+        } catch (error) {
+            console.warn(`Could not read saved game ${key}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Read a record and rebuild its game
+     * @param {string} key - Storage key
+     * @returns {Object|null} The record with game replaced by the restored TicTacToe, or null
+     */
+    read(key) {
+        const record = this.parse(key);
+        if (!record) return null;
+        
+        try {
+            const { version, ...fields } = record;
+            return { ...fields, game: TicTacToe.fromJSON(record.game) };
+        } catch (error) {
+            console.warn(`Ignoring saved game ${key}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Store a record under a key
+     * @param {string} key - Storage key
+     * @param {Object} record - Record to store
+     * @returns {boolean} Whether it was stored
+     */
+    write(key, record) {
+        try {
+            this.storage.setItem(key, JSON.stringify(record));
+            return true;
+        } catch (error) {
+            console.warn(`Could not save game ${key}:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Remove a key from the storage
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+        try {
+            this.storage.removeItem(key);
+        } catch (error) {
+            console.warn(`Could not delete saved game ${key}:`, error);
+        }
+    }
+}
+
+/**
+ * Build the stored form of a game
+ * @param {TicTacToe} game - The game to save
+ * @param {string} style - Name of the particle style in use
+ * @returns {Object} { version, game, style, savedAt }
+ */
+function createRecord(game, style) {
+    return {
+        version: SAVE_VERSION,
+        game: game.toJSON(),
+        style,
+        savedAt: Date.now()
+    };
+}
@@ -0,0 +1,187 @@
+// Chart icon for the button that opens the panel
+const STATS_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24">
+    <path d="M3,21V19H21V21H3M4,18V11H7V18H4M9,18V5H12V18H9M14,18V9H17V18H14M19,18V13H22V18H19Z" />
+</svg>`;
+
+/**
+ * Creates the statistics button shown next to the style selector's gear, with a popup
+ * summarising the match history and listing the latest matches for replay
+ * @param {Object} handlers - Callbacks for the panel
+ * @param {Function} handlers.onOpen - Called when the popup opens, to refresh the figures
+ * @param {Function} handlers.onClear - Called when the player asks to clear the match history
+ * @param {Function} handlers.onReplay - Called with the match record the player wants to replay
+ * @returns {Object} { container, update(stats, matches), destroy() }
+ */
+export function createStatsPanel({ onOpen, onClear, onReplay }) {
+    const container = document.createElement('div');
+    container.id = 'stats-panel';
+    
+    const button = document.createElement('div');
+    button.id = 'stats-button';
+    button.title = 'Match statistics';
+    button.innerHTML = STATS_ICON;
+    
+    const popup = document.createElement('div');
+    popup.id = 'stats-popup';
+    
+    const content = document.createElement('div');
+    content.className = 'stats-content';
+    
+    const clearButton = document.createElement('button');
+    clearButton.className = 'history-button';
+    clearButton.textContent = 'Clear history';
+    
+    popup.append(content, clearButton);
+    container.append(button, popup);
+    document.body.appendChild(container);
+    
+    // Keep clicks on the panel from reaching the board's click handler
+    container.addEventListener('click', (e) => e.stopPropagation());
+    container.addEventListener('touchstart', (e) => e.stopPropagation());
+    
+    button.addEventListener('click', () => {
+        popup.classList.toggle('visible');
+        if (popup.classList.contains('visible')) onOpen();
+    });
+    clearButton.addEventListener('click', () => {
+        if (confirm('Forget every recorded match?')) onClear();
+    });
+    
+    // Close the popup when clicking elsewhere
+    const onDocumentClick = () => popup.classList.remove('visible');
+    document.addEventListener('click', onDocumentClick);
+    
+    return {
+        container,
+        
+        /**
+         * Show a set of statistics
+         * @param {Object} stats - Statistics from computeStats()
+         * @param {Array<Object>} [matches=[]] - Matches to offer for replay, most recent first
+         */
+        update(stats, matches = []) {
+            content.replaceChildren();
+            clearButton.disabled = stats.games === 0;
+            
+            if (stats.games === 0) {
+                content.appendChild(createLine('No finished games yet'));
+                return;
+            }
+            
+            content.append(
+                createHeading('OVERALL'),
+                createLine(`${stats.games} ${stats.games === 1 ? 'game' : 'games'} · ` +
+                    `${stats.averageMoves.toFixed(1)} moves · ${formatDuration(stats.averageDuration)} on average`)
+            );
+            
+            const first = stats.firstPlayer;
+            if (first.games > 0) {
+                const advantage = Math.round(first.advantage * 100);
+                content.appendChild(createLine(
+                    `First player ${first.wins}-${first.losses}-${first.draws} (W-L-D), ` +
+                    `${advantage >= 0 ? '+' : ''}${advantage}% over an even share`
+                ));
+            }
+            
+            content.append(
+                createHeading('PLAYERS'),
+                createTable(['', 'W', 'L', 'D'], Object.entries(stats.players).map(([player, record]) =>
+                    [player, record.wins, record.losses, record.draws])),
+                createHeading('BOARDS'),
+                createTable(['', 'GAMES', 'WINS', 'D', 'MOVES'], Object.entries(stats.boards).map(([size, board]) => [
+                    size,
+                    board.games,
+                    Object.entries(board.wins).map(([player, wins]) => `${player} ${wins}`).join(' · ') || '-',
+                    board.draws,
+                    board.averageMoves.toFixed(1)
+                ]))
+            );
+            
+            if (matches.length > 0) {
+                content.appendChild(createHeading('RECENT'));
+                matches.forEach(match => content.appendChild(createMatchRow(match, () => {
+                    popup.classList.remove('visible');
+                    onReplay(match);
+                })));
+            }
+        },
+        
+        destroy() {
+            document.removeEventListener('click', onDocumentClick);
+            container.remove();
+        }
+    };
+}
+
+/**
+ * @param {string} text - Section title
+ * @returns {HTMLElement}
+ */
+function createHeading(text) {
+    const heading = document.createElement('div');
+    heading.className = 'stats-heading';
+    heading.textContent = text;
+    return heading;
+}
+
+/**
+ * @param {string} text - Line of text
+ * @returns {HTMLElement}
+ */
+function createLine(text) {
+    const line = document.createElement('div');
+    line.className = 'stats-line';
+    line.textContent = text;
+    return line;
+}
+
+/**
+ * @param {Array<string>} headers - Column titles
+ * @param {Array<Array>} rows - Cell values of every row
+ * @returns {HTMLTableElement}
+ */
+function createTable(headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+    [headers, ...rows].forEach((values, i) => {
+        const row = table.insertRow();
+        values.forEach(value => {
+            const cell = document.createElement(i === 0 ? 'th' : 'td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+    });
+    return table;
+}
+
+/**
+ * @param {Object} match - Match record
+ * @param {Function} onReplay - Called when the row's replay button is pressed
+ * @returns {HTMLElement} One line describing the match, with a button to replay it
+ */
+function createMatchRow(match, onReplay) {
+    const row = document.createElement('div');
+    row.className = 'stats-match';
+    
+    const result = match.winner === 'draw' ? 'Draw' : `${match.winner} won`;
+    const description = createLine(`${result} · ${match.dimensions.join('x')} · ${match.moves.length} moves`);
+    description.title = new Date(match.endedAt).toLocaleString();
+    
+    const replayButton = document.createElement('button');
+    replayButton.className = 'history-button';
+    replayButton.textContent = 'Replay';
+    replayButton.addEventListener('click', onReplay);
+    
+    row.append(description, replayButton);
+    return row;
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "45s" or "3m 20s"
+ */
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
@@ -0,0 +1,119 @@
+/**
+ * Board symmetries and canonical position hashing
+ *
+ * A symmetry permutes the axes of the board and mirrors some of them. A cube has 48 (6 axis orders
+ * times 8 mirrorings); a board whose sides differ has fewer, as only axes of equal size can swap.
+ * Every symmetry maps lines onto lines, so positions related by one are equivalent: canonicalize()
+ * gives them all the same hash, letting search, opening books and statistics merge them.
+ */
+
+// Symmetry lists, cached per board shape
+const symmetryCache = new Map();
+
+/**
+ * List the symmetries of a board
+ * @param {Array<number>} dimensions - Size of every axis ([width, height, depth, ...])
+ * @param {Object} [options]
+ * @param {boolean} [options.gravity=false] - Marks fall along the Y axis, which then has to stay in place
+ * @returns {Array<Object>} Symmetries, the identity first. Each has:
+ *          - axes: the source axis of every axis of the image
+ *          - flips: whether each axis of the image is mirrored
+ *          - cells: cells[i] is the index cell i moves to
+ *          - inverse: inverse[i] is the index of the cell that moves to cell i
+ */
+export function getSymmetries(dimensions, { gravity = false } = {}) {
+    const key = `${dimensions.join('x')}${gravity ? ':gravity' : ''}`;
+    if (symmetryCache.has(key)) return symmetryCache.get(key);
+    
+    const strides = dimensions.map((_, axis) =>
+        dimensions.slice(axis + 1).reduce((product, size) => product * size, 1));
+    const totalCells = dimensions.reduce((product, size) => product * size, 1);
+    
+    // Axis orders that only swap axes of equal size (and leave Y alone under gravity)
+    let orders = [[]];
+    for (let axis = 0; axis < dimensions.length; axis++) {
+        orders = orders.flatMap(order => dimensions
+            .map((size, source) => source)
+            .filter(source => !order.includes(source) && dimensions[source] === dimensions[axis] &&
+                (!gravity || (source === 1) === (axis === 1)))
+            .map(source => [...order, source]));
+    }
+    
+    let flipSets = [[]];
+    for (let axis = 0; axis < dimensions.length; axis++) {
+        const choices = gravity && axis === 1 ? [false] : [false, true];
+        flipSets = flipSets.flatMap(flips => choices.map(flip => [...flips, flip]));
+    }
+    
+    const symmetries = [];
+    for (const axes of orders) {
+        for (const flips of flipSets) {
+            const cells = new Int32Array(totalCells);
+            const inverse = new Int32Array(totalCells);
+            
+            for (let index = 0; index < totalCells; index++) {
+                const coords = dimensions.map((size, axis) => Math.floor(index / strides[axis]) % size);
+                const image = axes.reduce((sum, source, axis) => {
+                    const value = flips[axis] ? dimensions[axis] - 1 - coords[source] : coords[source];
+                    return sum + value * strides[axis];
+                }, 0);
+                cells[index] = image;
+                inverse[image] = index;
+            }
+            
+            symmetries.push({ axes, flips, cells, inverse });
+        }
+    }
+    
+    symmetryCache.set(key, symmetries);
+    return symmetries;
+}
+
+/**
+ * Find the canonical form of a game's position: of all the positions its symmetries map it to,
+ * the one with the smallest Zobrist hash
+ * @param {TicTacToe} game - The position to canonicalize
+ * @returns {Object} { hash, symmetry }: the canonical hash (equal for every equivalent position,
+ *          and including whose turn it is) and the symmetry that maps the position onto the canonical one
+ */
+export function canonicalize(game) {
+    const { cells: keys, turns } = game.zobrist;
+    const turnKey = turns[game.players.indexOf(game.currentPlayer)];
+    
+    // Marks on the board as (seat, cell index) pairs
+    const marks = [];
+    game.cells.forEach((player, index) => {
+        if (player) marks.push([game.players.indexOf(player), index]);
+    });
+    
+    let best = null;
+    for (const symmetry of getSymmetries(game.dimensions, { gravity: game.gravity })) {
+        let hash = turnKey;
+        for (const [seat, index] of marks) hash ^= keys[seat][symmetry.cells[index]];
+        if (!best || hash < best.hash) best = { hash, symmetry };
+    }
+    
+    return best;
+}
+
+/**
+ * Map a move into the frame of the canonical position (e.g. to look it up in an opening book)
+ * @param {TicTacToe} game - Game the move belongs to
+ * @param {Object} symmetry - Symmetry returned by canonicalize()
+ * @param {Array<number>} coords - Move coordinates (1-based)
+ * @returns {Array<number>} Coordinates of the same move on the canonical position
+ */
+export function toCanonicalMove(game, symmetry, coords) {
+    return game.getCellCoordinates(symmetry.cells[game.getCellIndex(coords)]);
+}
+
+/**
+ * Map a move on the canonical position back onto the game's own position
+ * @param {TicTacToe} game - Game to play the move in
+ * @param {Object} symmetry - Symmetry returned by canonicalize()
+ * @param {Array<number>} coords - Move coordinates on the canonical position (1-based)
+ * @returns {Array<number>} Coordinates of the same move in the game
+ */
+export function fromCanonicalMove(game, symmetry, coords) {
+    return game.getCellCoordinates(symmetry.inverse[game.getCellIndex(coords)]);
+}
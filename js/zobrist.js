@@ -0,0 +1,34 @@
+import { createSeededRandom } from './random.js';
+
+/**
+ * Zobrist hashing: every (cell, player) pair gets a random 64-bit key and a position hashes to the
+ * XOR of the keys of its marks, so a move or an undo updates the hash with a single XOR.
+ * Keys come from a fixed seed, so the same position hashes the same in every session.
+ */
+
+const ZOBRIST_SEED = 0x2B0B215;
+
+// Key tables, cached per board size and number of players
+const keyCache = new Map();
+
+/**
+ * Get the Zobrist keys for a board
+ * @param {number} totalCells - Number of cells on the board
+ * @param {number} playerCount - Number of players
+ * @returns {Object} { cells, turns }: cells[seat][index] is the key of the player in that seat holding
+ *          a cell, turns[seat] the key added for that player being the one to move (BigInts)
+ */
+export function getZobristKeys(totalCells, playerCount) {
+    const key = `${totalCells}:${playerCount}`;
+    if (keyCache.has(key)) return keyCache.get(key);
+    
+    const random = createSeededRandom(ZOBRIST_SEED);
+    const nextKey = () => (BigInt(Math.floor(random() * 2 ** 32)) << 32n) | BigInt(Math.floor(random() * 2 ** 32));
+    
+    const keys = {
+        cells: Array.from({ length: playerCount }, () => Array.from({ length: totalCells }, nextKey)),
+        turns: Array.from({ length: playerCount }, nextKey)
+    };
+    keyCache.set(key, keys);
+    return keys;
+}
@@ -0,0 +1,661 @@
+import { randomBytes, randomInt } from 'node:crypto';
+import { TicTacToe, DEFAULT_PLAYERS, MAX_AXES } from '../js/game.js';
+import { MAX_BOARD_CELLS } from '../js/config.js';
+import {
+    ROOM_CODE_ALPHABET, ROOM_CODE_LENGTH, normalizeRoomCode, normalizePlayerName, describeRules
+} from '../js/online-protocol.js';
+
+// How long a room is kept once nobody is connected to it, in milliseconds
+const ROOM_IDLE_TIMEOUT = 10 * 60 * 1000;
+
+// Time between pings to every page; a page that hasn't answered the previous ping is dropped
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Most players a room seats, and the longest player symbol it takes
+const MAX_ONLINE_PLAYERS = 8;
+const MAX_PLAYER_SYMBOL_LENGTH = 4;
+
+/**
+ * One game on the server and the seats of its players
+ */
+class Room {
+    /**
+     * @param {string} code - Join code of the room
+     * @param {TicTacToe} game - The game played in the room
+     * @param {boolean} quick - Whether the room was opened by quick match, to be paired with the next player
+     */
+    constructor(code, game, quick) {
+        this.code = code;
+        this.game = game;
+        this.rules = describeRules(game);
+        this.quick = quick;
+        // Seats by player symbol once taken: { token, connection, name }, connection null while its page is away
+        this.seats = new Map();
+        // Connections of the pages watching without a seat
+        this.spectators = new Set();
+        this.idleTimer = null;
+        // Fires when the player to move runs out of time, in a timed game
+        this.clockTimer = null;
+        // Names of the players seated when the first move was played, the pair the game is rated between
+        this.ratedNames = null;
+        // Set once the finished game has been rated, so it only counts once
+        this.rated = false;
+    }
+    
+    /**
+     * @returns {boolean} True while a seat is free and no move has been played
+     */
+    isWaiting() {
+        return this.seats.size < this.game.players.length && this.game.historyIndex === 0;
+    }
+    
+    /**
+     * @returns {Object} 'open', 'connected' or 'away' for every player symbol
+     */
+    getSeatStates() {
+        return Object.fromEntries(this.game.players.map(player => {
+            const seat = this.seats.get(player);
+            if (!seat) return [player, 'open'];
+            return [player, seat.connection ? 'connected' : 'away'];
+        }));
+    }
+    
+    /**
+     * @returns {Array<Object>} Connections of the pages in the room, players and spectators
+     */
+    getConnections() {
+        return [...this.seats.values()].map(seat => seat.connection).filter(Boolean).concat([...this.spectators]);
+    }
+    
+    /**
+     * @param {RatingStore|null} ratings - Ratings to show next to the names, if games are rated
+     * @returns {Object} { name, rating } of every seat taken by a named player, by player symbol
+     */
+    getPlayers(ratings) {
+        return Object.fromEntries([...this.seats]
+            .filter(([, seat]) => seat.name)
+            .map(([player, seat]) => [player, { name: seat.name, rating: ratings ? ratings.getRating(this.rules, seat.name) : null }]));
+    }
+    
+    /**
+     * @param {RatingStore|null} ratings - Ratings to show next to the names, if games are rated
+     * @returns {Object} Who is in the room, as sent in seats messages: { seats, players, spectators }
+     */
+    getPresence(ratings) {
+        return { seats: this.getSeatStates(), players: this.getPlayers(ratings), spectators: this.spectators.size };
+    }
+}
+
+/**
+ * Authoritative game server for online play (see js/online-protocol.js for the messages)
+ *
+ * Each room holds the real game. Moves from the pages are checked against the seat that sent them
+ * and played on the room's TicTacToe, so a page can only ever show a game the engine accepted.
+ * Seats outlive their connection: a page that reconnects with the seat's token takes it back and
+ * receives the whole game to catch up. Spectators get every move too, but the server refuses theirs.
+ *
+ * In timed games the server's clocks count: it times the moves and flags a player who runs out of
+ * time, even if their page is gone.
+ *
+ * Pages that follow the lobby get the list of rooms again whenever it changes. Finished two-player
+ * games between named players are rated in the RatingStore, if the server was given one.
+ */
+export class GameServer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.idleTimeout] - Milliseconds an empty room is kept for its players to come back
+     * @param {number} [options.heartbeatInterval] - Milliseconds between pings to detect dead connections
+     * @param {RatingStore} [options.ratings] - Where finished games are rated; without it games are unrated
+     */
+    constructor({ idleTimeout = ROOM_IDLE_TIMEOUT, heartbeatInterval = HEARTBEAT_INTERVAL, ratings = null } = {}) {
+        this.idleTimeout = idleTimeout;
+        this.ratings = ratings;
+        this.rooms = new Map();
+        this.connections = new Set();
+        
+        this.heartbeat = setInterval(() => this.checkConnections(), heartbeatInterval);
+        // The heartbeat alone shouldn't keep Node running
+        this.heartbeat.unref?.();
+    }
+    
+    /**
+     * Serve a page that connected
+     * @param {WebSocket} socket - The page's socket (a ws WebSocket)
+     */
+    connect(socket) {
+        const connection = { socket, room: null, seat: null, inLobby: false, alive: true };
+        this.connections.add(connection);
+        
+        socket.on('message', (data) => this.handleMessage(connection, data));
+        socket.on('pong', () => {
+            connection.alive = true;
+        });
+        socket.on('close', () => this.disconnect(connection));
+        // A broken frame or a failed write ends this page's connection, not the server
+        socket.on('error', () => {
+            socket.terminate();
+            this.disconnect(connection);
+        });
+    }
+    
+    /**
+     * Handle one message from a page
+     * @param {Object} connection - The page's connection
+     * @param {string|Buffer} data - The raw message
+     */
+    handleMessage(connection, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (e) {
+            this.sendError(connection, 'Messages must be JSON');
+            return;
+        }
+        
+        switch (message?.type) {
+            case 'create':
+                this.createRoom(connection, message.settings, message.name);
+                break;
+            case 'join':
+                this.joinRoom(connection, message.code, message.name);
+                break;
+            case 'quick':
+                this.quickMatch(connection, message.settings, message.name);
+                break;
+            case 'watch':
+                this.watchRoom(connection, message.code);
+                break;
+            case 'resume':
+                this.resumeSeat(connection, message.code, message.token);
+                break;
+            case 'move':
+                this.playMove(connection, message.coords, message.moveNumber);
+                break;
+            case 'sync':
+                if (!connection.room) {
+                    this.sendError(connection, 'Join a room first');
+                    return;
+                }
+                this.send(connection, { type: 'state', game: connection.room.game.toJSON(), ...connection.room.getPresence(this.ratings) });
+                break;
+            case 'lobby':
+                connection.inLobby = true;
+                this.send(connection, { type: 'lobby', rooms: this.listRooms() });
+                break;
+            case 'ratings':
+                this.send(connection, {
+                    type: 'ratings',
+                    rules: String(message.rules),
+                    ratings: this.ratings ? this.ratings.getTable(String(message.rules)) : []
+                });
+                break;
+            case 'leave':
+                this.leaveRoom(connection);
+                break;
+            default:
+                this.sendError(connection, `Unknown message type: ${message?.type}`);
+        }
+    }
+    
+    /**
+     * Open a room and seat its creator as the first player
+     * @param {Object} connection - The creator's connection
+     * @param {Object} settings - Rules of the game, as TicTacToe.toJSON() output
+     * @param {string} [name] - The creator's player name
+     * @param {boolean} [quick=false] - Whether the room is opened by quick match
+     */
+    createRoom(connection, settings, name, quick = false) {
+        let game;
+        try {
+            game = createGame(settings);
+        } catch (e) {
+            this.sendError(connection, e.message);
+            return;
+        }
+        
+        let code;
+        do {
+            code = Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)]).join('');
+        } while (this.rooms.has(code));
+        
+        const room = new Room(code, game, quick);
+        this.rooms.set(code, room);
+        this.takeSeat(connection, room, game.players[0], createToken(), normalizePlayerName(name));
+    }
+    
+    /**
+     * Seat a page in the first free seat of a room
+     * @param {Object} connection - The page's connection
+     * @param {string} code - Join code of the room
+     * @param {string} [name] - The page's player name
+     */
+    joinRoom(connection, code, name) {
+        const room = this.rooms.get(normalizeRoomCode(code));
+        if (!room) {
+            this.sendError(connection, `There is no room ${code}`);
+            return;
+        }
+        
+        const player = room.game.players.find(symbol => !room.seats.has(symbol));
+        if (!player) {
+            this.sendError(connection, `Room ${room.code} is full`);
+            return;
+        }
+        this.takeSeat(connection, room, player, createToken(), normalizePlayerName(name));
+    }
+    
+    /**
+     * Pair a page with the oldest quick match room waiting under the same rules, or open one for it
+     * @param {Object} connection - The page's connection
+     * @param {Object} settings - Rules of the game, as TicTacToe.toJSON() output
+     * @param {string} [name] - The page's player name
+     */
+    quickMatch(connection, settings, name) {
+        let rules;
+        try {
+            rules = describeRules(createGame(settings));
+        } catch (e) {
+            this.sendError(connection, e.message);
+            return;
+        }
+        
+        // Rooms are kept in the order they were opened, so the longest wait is served first
+        const room = [...this.rooms.values()].find(room =>
+            room.quick && room.rules === rules && room.isWaiting() && room !== connection.room);
+        if (room) {
+            this.joinRoom(connection, room.code, name);
+        } else {
+            this.createRoom(connection, settings, name, true);
+        }
+    }
+    
+    /**
+     * Let a page follow a room's game without a seat
+     * @param {Object} connection - The page's connection
+     * @param {string} code - Join code of the room
+     */
+    watchRoom(connection, code) {
+        const room = this.rooms.get(normalizeRoomCode(code));
+        if (!room) {
+            this.sendError(connection, `There is no room ${code}`);
+            return;
+        }
+        
+        if (connection.room) this.leaveRoom(connection);
+        clearTimeout(room.idleTimer);
+        room.idleTimer = null;
+        room.spectators.add(connection);
+        connection.room = room;
+        
+        // The whole game comes with the welcome, so a late spectator sees every move played so far
+        this.send(connection, {
+            type: 'joined',
+            code: room.code,
+            seat: null,
+            token: null,
+            game: room.game.toJSON(),
+            ...room.getPresence(this.ratings)
+        });
+        this.broadcastSeats(room);
+    }
+    
+    /**
+     * Give a page back the seat it held before its connection dropped
+     * @param {Object} connection - The page's new connection
+     * @param {string} code - Join code of the room
+     * @param {string} token - Token the seat was given when it was taken
+     */
+    resumeSeat(connection, code, token) {
+        const room = this.rooms.get(normalizeRoomCode(code));
+        const player = room && [...room.seats.keys()].find(symbol => room.seats.get(symbol).token === token);
+        if (!player) {
+            this.sendError(connection, `The seat in room ${code} can't be resumed`);
+            return;
+        }
+        
+        // A page that reconnects before its old connection timed out replaces it
+        const previous = room.seats.get(player).connection;
+        if (previous && previous !== connection) {
+            previous.room = null;
+            previous.seat = null;
+            previous.socket.close();
+        }
+        this.takeSeat(connection, room, player, token, room.seats.get(player).name);
+    }
+    
+    /**
+     * Put a page in a seat and tell the room
+     * @param {Object} connection - The page's connection
+     * @param {Room} room - The room
+     * @param {string} player - Player symbol of the seat
+     * @param {string} token - Token that resumes the seat
+     * @param {string|null} name - Player name of the seat
+     */
+    takeSeat(connection, room, player, token, name) {
+        if (connection.room && (connection.room !== room || connection.seat !== player)) this.leaveRoom(connection);
+        
+        clearTimeout(room.idleTimer);
+        room.idleTimer = null;
+        room.seats.set(player, { token, connection, name });
+        connection.room = room;
+        connection.seat = player;
+        
+        this.send(connection, {
+            type: 'joined',
+            code: room.code,
+            seat: player,
+            token,
+            game: room.game.toJSON(),
+            ...room.getPresence(this.ratings)
+        });
+        this.broadcastSeats(room);
+    }
+    
+    /**
+     * Play a move for a page's seat if the rules allow it, and pass it on to the whole room
+     * @param {Object} connection - The page's connection
+     * @param {Array<number>} coords - Coordinates of the move (1-based)
+     * @param {number} moveNumber - Number of the move in the game, as the page counted it
+     */
+    playMove(connection, coords, moveNumber) {
+        const room = connection.room;
+        if (!room) {
+            this.sendError(connection, 'Join a room first');
+            return;
+        }
+        
+        const { game } = room;
+        let reason = null;
+        if (!connection.seat) {
+            reason = 'spectator';
+        } else if (room.seats.size < game.players.length) {
+            reason = 'waiting-for-players';
+        } else if (!game.winner && game.currentPlayer !== connection.seat) {
+            reason = 'not-your-turn';
+        } else if (moveNumber !== game.historyIndex + 1) {
+            reason = 'out-of-date';
+        } else if (!Array.isArray(coords) || coords.length !== game.dimensions.length || !coords.every(Number.isInteger)) {
+            reason = 'out-of-bounds';
+        } else {
+            // The move is timed by the server's clock, not the page's
+            const flags = game.clock?.flagged.length;
+            const result = game.makeMove(...coords);
+            if (result.accepted) {
+                if (moveNumber === 1) room.ratedNames = game.players.map(player => room.seats.get(player)?.name);
+                this.broadcast(room, {
+                    type: 'move',
+                    player: result.move.player,
+                    coords: result.move.coords,
+                    moveNumber,
+                    time: game.lastMove.time ?? null,
+                    clock: game.getClockState()
+                });
+                if (game.winner) this.rateGame(room);
+                else this.watchClock(room);
+                return;
+            }
+            // A move that came too late made the mover's flag fall
+            if (game.clock && game.clock.flagged.length !== flags) this.announceFlag(room);
+            reason = result.reason;
+        }
+        
+        this.send(connection, { type: 'rejected', reason, game: game.toJSON() });
+    }
+    
+    /**
+     * Set a timer for when the player to move runs out of time, so a flag falls even if nobody moves
+     * @param {Room} room - Room whose game's clock to watch
+     */
+    watchClock(room) {
+        clearTimeout(room.clockTimer);
+        room.clockTimer = null;
+        const { game } = room;
+        if (!game.clock || game.winner || !game.clock.isRunning()) return;
+        
+        room.clockTimer = setTimeout(() => {
+            room.clockTimer = null;
+            if (game.checkClock()) {
+                this.announceFlag(room);
+            } else {
+                this.watchClock(room);
+            }
+        }, game.getTimeLeft(game.currentPlayer) + 1);
+        room.clockTimer.unref?.();
+    }
+    
+    /**
+     * Send a room the game after a flag fell, and rate it or go on timing the next player
+     * @param {Room} room - Room whose game just had a flag fall
+     */
+    announceFlag(room) {
+        this.broadcast(room, { type: 'state', game: room.game.toJSON(), ...room.getPresence(this.ratings) });
+        if (room.game.winner) {
+            clearTimeout(room.clockTimer);
+            room.clockTimer = null;
+            this.rateGame(room);
+            // The finished game leaves the lobby
+            this.broadcastLobby();
+        } else {
+            this.watchClock(room);
+        }
+    }
+    
+    /**
+     * Rate a finished game, if it was a two-player game between named players
+     * @param {Room} room - Room whose game just ended
+     */
+    rateGame(room) {
+        const { game } = room;
+        const score = game.winner === 'draw' ? 0.5 : Number(game.winner === game.players[0]);
+        this.recordRating(room, score);
+    }
+    
+    /**
+     * Count a started game as lost by a player who leaves it before it ends
+     * @param {Room} room - Room the player is leaving
+     * @param {string} player - Symbol of the seat being given up
+     */
+    rateForfeit(room, player) {
+        if (room.game.winner || room.game.historyIndex === 0) return;
+        this.recordRating(room, Number(player !== room.game.players[0]));
+    }
+    
+    /**
+     * Record a game between the players seated at its first move, when both were named
+     * @param {Room} room - Room whose game to rate
+     * @param {number} score - First player's score: 1 win, 0.5 draw, 0 loss
+     */
+    recordRating(room, score) {
+        const names = room.ratedNames;
+        if (!this.ratings || room.rated || names?.length !== 2 || !names.every(Boolean) || names[0] === names[1]) return;
+        
+        this.ratings.recordGame(room.rules, names[0], names[1], score);
+        room.rated = true;
+        // The seats message carries the new ratings
+        this.broadcastSeats(room);
+    }
+    
+    /**
+     * Free a page's seat for good, or stop it watching
+     * @param {Object} connection - The page's connection
+     */
+    leaveRoom(connection) {
+        const room = connection.room;
+        if (!room) return;
+        
+        if (connection.seat) {
+            this.rateForfeit(room, connection.seat);
+            room.seats.delete(connection.seat);
+        }
+        room.spectators.delete(connection);
+        connection.room = null;
+        connection.seat = null;
+        this.broadcastSeats(room);
+        this.checkIdle(room);
+    }
+    
+    /**
+     * Mark a page's seat as away when its connection closes, keeping it for the page to resume
+     * @param {Object} connection - The closed connection
+     */
+    disconnect(connection) {
+        this.connections.delete(connection);
+        const room = connection.room;
+        if (!room) return;
+        
+        const seat = room.seats.get(connection.seat);
+        if (seat?.connection === connection) seat.connection = null;
+        room.spectators.delete(connection);
+        connection.room = null;
+        this.broadcastSeats(room);
+        this.checkIdle(room);
+    }
+    
+    /**
+     * Start the countdown to close a room once no page is connected to it
+     * @param {Room} room - The room to check
+     */
+    checkIdle(room) {
+        if (room.getConnections().length > 0 || room.idleTimer) return;
+        
+        room.idleTimer = setTimeout(() => {
+            clearTimeout(room.clockTimer);
+            this.rooms.delete(room.code);
+            this.broadcastLobby();
+        }, this.idleTimeout);
+        room.idleTimer.unref?.();
+    }
+    
+    /**
+     * Drop connections that didn't answer the last ping and ping the rest
+     */
+    checkConnections() {
+        this.connections.forEach(connection => {
+            if (!connection.alive) {
+                connection.socket.terminate();
+                return;
+            }
+            connection.alive = false;
+            connection.socket.ping();
+        });
+    }
+    
+    /**
+     * @param {Room} room - Room whose pages to tell who is seated and how many are watching
+     */
+    broadcastSeats(room) {
+        this.broadcast(room, { type: 'seats', ...room.getPresence(this.ratings) });
+        // Seats and spectators are shown in the lobby too
+        this.broadcastLobby();
+    }
+    
+    /**
+     * @returns {Array<Object>} The rooms to show in the lobby: those whose game isn't over, oldest first
+     */
+    listRooms() {
+        return [...this.rooms.values()]
+            .filter(room => !room.game.winner)
+            .map(room => ({ code: room.code, rules: room.rules, quick: room.quick, ...room.getPresence(this.ratings) }));
+    }
+    
+    /**
+     * Send the list of rooms to every page following the lobby
+     */
+    broadcastLobby() {
+        const followers = [...this.connections].filter(connection => connection.inLobby);
+        if (followers.length === 0) return;
+        
+        const message = { type: 'lobby', rooms: this.listRooms() };
+        followers.forEach(connection => this.send(connection, message));
+    }
+    
+    /**
+     * @param {Room} room - Room whose pages get the message
+     * @param {Object} message - Message to send
+     */
+    broadcast(room, message) {
+        room.getConnections().forEach(connection => this.send(connection, message));
+    }
+    
+    /**
+     * @param {Object} connection - Connection to send to
+     * @param {string} message - Description of what went wrong
+     */
+    sendError(connection, message) {
+        this.send(connection, { type: 'error', message });
+    }
+    
+    /**
+     * @param {Object} connection - Connection to send to
+     * @param {Object} message - Message to send
+     */
+    send(connection, message) {
+        // Messages to a page whose socket is closing are dropped; it catches up when it resumes
+        if (connection.socket.readyState === connection.socket.OPEN) {
+            connection.socket.send(JSON.stringify(message));
+        }
+    }
+    
+    /**
+     * Stop the heartbeat and forget every room
+     */
+    close() {
+        clearInterval(this.heartbeat);
+        this.rooms.forEach(room => {
+            clearTimeout(room.idleTimer);
+            clearTimeout(room.clockTimer);
+        });
+        this.rooms.clear();
+        this.connections.forEach(connection => connection.socket.terminate());
+        this.connections.clear();
+    }
+}
+
+/**
+ * Create an empty game with the rules a page asked for
+ * Everything is checked before the game is built, as a page could otherwise ask for a board that
+ * takes the server's memory (see MAX_BOARD_CELLS and MAX_AXES)
+ * @param {Object} settings - TicTacToe.toJSON() output; only the rules are used
+ * @returns {TicTacToe} A game with no moves
+ * @throws {Error} If the rules are not a playable game
+ */
+function createGame(settings) {
+    if (!settings || typeof settings !== 'object') {
+        throw new Error('A new room needs the rules of its game');
+    }
+    
+    const { width, height, depth, winLength, options = {}, players = DEFAULT_PLAYERS } = settings;
+    if (![width, height, depth, winLength].every(size => Number.isInteger(size) && size >= 1)) {
+        throw new Error('Board sizes and the win length must be positive integers');
+    }
+    if (!options || typeof options !== 'object') {
+        throw new Error('Game options must be an object');
+    }
+    const { gravity = false, wrap = false, winRule = 'standard', extraDimensions = [], timeControl = null } = options;
+    if (typeof gravity !== 'boolean' || typeof wrap !== 'boolean' || typeof winRule !== 'string' ||
+        (timeControl !== null && typeof timeControl !== 'object')) {
+        throw new Error('Game options have the wrong types');
+    }
+    if (!Array.isArray(extraDimensions) || extraDimensions.length > MAX_AXES - 3 ||
+        !extraDimensions.every(size => Number.isInteger(size) && size >= 2)) {
+        throw new Error(`Boards have at most ${MAX_AXES} axes, each beyond the third of size 2 or more`);
+    }
+    if (!Array.isArray(players) || players.length > MAX_ONLINE_PLAYERS ||
+        !players.every(player => typeof player === 'string' && player.length <= MAX_PLAYER_SYMBOL_LENGTH)) {
+        throw new Error(`Online games have at most ${MAX_ONLINE_PLAYERS} players, with symbols of up to ${MAX_PLAYER_SYMBOL_LENGTH} characters`);
+    }
+    
+    const dimensions = [width, height, depth, ...extraDimensions];
+    if (dimensions.reduce((product, size) => product * size, 1) > MAX_BOARD_CELLS) {
+        throw new Error(`Online games are limited to boards of ${MAX_BOARD_CELLS} cells`);
+    }
+    const rules = { gravity, wrap, winRule, extraDimensions, timeControl };
+    return TicTacToe.fromJSON({ width, height, depth, winLength, options: rules, players, moves: [] });
+}
+
+/**
+ * @returns {string} A hard to guess token that lets a page resume its seat
+ */
+function createToken() {
+    return randomBytes(16).toString('hex');
+}
@@ -0,0 +1,22 @@
+// Online game server entry point: npm run server (the port can be set with PORT=...)
+// Pages connect to ws://<host>:<port>, or to the URL given with ?server= in the page URL
+// Ratings are kept in ratings.json in the working directory, or in the file given with RATINGS_FILE=...
+import { WebSocketServer } from 'ws';
+import { GameServer } from './game-server.js';
+import { RatingStore } from './rating-store.js';
+import { DEFAULT_SERVER_PORT } from '../js/online-protocol.js';
+
+const port = Number(process.env.PORT) || DEFAULT_SERVER_PORT;
+const ratings = new RatingStore(process.env.RATINGS_FILE || 'ratings.json');
+const gameServer = new GameServer({ ratings });
+const socketServer = new WebSocketServer({ port });
+
+socketServer.on('connection', (socket) => gameServer.connect(socket));
+socketServer.on('listening', () => console.log(`Game server listening on port ${port}`));
+
+const shutDown = () => {
+    gameServer.close();
+    socketServer.close(() => process.exit(0));
+};
+process.on('SIGINT', shutDown);
+process.on('SIGTERM', shutDown);
@@ -0,0 +1,106 @@
+import { readFileSync, writeFileSync, renameSync } from 'node:fs';
+
+// Rating every player starts from
+const INITIAL_RATING = 1500;
+
+// Most rating points a single game can move
+const K_FACTOR = 32;
+
+/**
+ * Elo ratings of the players, kept in a JSON file
+ *
+ * Ratings are kept apart for every board configuration (see describeRules() in online-protocol.js),
+ * since being good at 3x3x3 says little about 4x4x4 with gravity. The file holds
+ * { [rules]: { [name]: { rating, games, wins, losses, draws } } } and is rewritten after every rated game.
+ */
+export class RatingStore {
+    /**
+     * @param {string|null} file - Path of the JSON file, or null to keep ratings in memory only
+     */
+    constructor(file) {
+        this.file = file;
+        // Tables and the entries in them are keyed by names from the pages, so they have no prototype to reach
+        this.tables = Object.create(null);
+        
+        if (!file) return;
+        try {
+            const tables = JSON.parse(readFileSync(file, 'utf8'));
+            if (tables && typeof tables === 'object') {
+                Object.entries(tables).forEach(([rules, table]) => {
+                    this.tables[rules] = Object.assign(Object.create(null), table);
+                });
+            }
+        } catch (e) {
+            // A missing file is a new ladder; an unreadable one is reported and left for someone to look at
+            if (e.code !== 'ENOENT') throw new Error(`Can't read the ratings in ${file}: ${e.message}`);
+        }
+    }
+    
+    /**
+     * @param {string} rules - Board configuration
+     * @param {string} name - Player name
+     * @returns {number} The player's rating, rounded, or the starting rating for a newcomer
+     */
+    getRating(rules, name) {
+        return Math.round(this.getEntry(rules, name)?.rating ?? INITIAL_RATING);
+    }
+    
+    /**
+     * @param {string} rules - Board configuration
+     * @param {string} name - Player name
+     * @returns {Object|null} The player's { rating, games, wins, losses, draws }, or null for a newcomer
+     */
+    getEntry(rules, name) {
+        const table = Object.hasOwn(this.tables, rules) ? this.tables[rules] : null;
+        return table && Object.hasOwn(table, name) ? table[name] : null;
+    }
+    
+    /**
+     * @param {string} rules - Board configuration
+     * @returns {Array<Object>} [{ name, rating, games, wins, losses, draws }], best rating first
+     */
+    getTable(rules) {
+        return Object.entries(Object.hasOwn(this.tables, rules) ? this.tables[rules] : {})
+            .map(([name, entry]) => ({ name, ...entry, rating: Math.round(entry.rating) }))
+            .sort((a, b) => b.rating - a.rating || a.name.localeCompare(b.name));
+    }
+    
+    /**
+     * Rate a finished game between two players
+     * @param {string} rules - Board configuration the game was played on
+     * @param {string} first - Name of one player
+     * @param {string} second - Name of the other player
+     * @param {number} score - The first player's result: 1 for a win, 0.5 for a draw, 0 for a loss
+     */
+    recordGame(rules, first, second, score) {
+        if (!Object.hasOwn(this.tables, rules)) this.tables[rules] = Object.create(null);
+        const table = this.tables[rules];
+        const [a, b] = [first, second].map(name => this.getEntry(rules, name) || (table[name] = {
+            rating: INITIAL_RATING, games: 0, wins: 0, losses: 0, draws: 0
+        }));
+        
+        const expected = 1 / (1 + 10 ** ((b.rating - a.rating) / 400));
+        const change = K_FACTOR * (score - expected);
+        a.rating += change;
+        b.rating -= change;
+        
+        [[a, score], [b, 1 - score]].forEach(([entry, result]) => {
+            entry.games++;
+            if (result === 1) entry.wins++;
+            else if (result === 0) entry.losses++;
+            else entry.draws++;
+        });
+        this.save();
+    }
+    
+    /**
+     * Write the ratings to the file, replacing it whole so a crash can't leave half a file
+     */
+    save() {
+        if (!this.file) return;
+        
+        const temporary = `${this.file}.tmp`;
+        writeFileSync(temporary, JSON.stringify(this.tables, null, 2));
+        renameSync(temporary, this.file);
+    }
+}
@@ -3,6 +3,7 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { TicTacToe } from '../js/game.js';
 import { Board } from '../js/board.js';
+import { createBoard } from '../js/hyper-board.js';
 import { 
     createParticleSystem, 
     createSimplifiedIndicatorParticles,
@@ -10,8 +11,35 @@ import {
     createQuantumFluxParticleSystem,
     createNebulaWhisperParticleSystem,
     setActiveParticleSystem,
-    configureParticleSystemForCell
+    configureParticleSystemForCell,
+    setPlayerStyles,
+    getPlayerStyle
 } from '../js/particles.js';
+import { MarkerLayer } from '../js/markers.js';
+import { createHistoryControls } from '../js/history-controls.js';
+import { createOpponentControls } from '../js/opponent-controls.js';
+import { createAIWorkerClient } from '../js/ai-client.js';
+import { createAnalysisControls, showMoveValues, showHint } from '../js/analysis-overlay.js';
+import { SaveStore } from '../js/save-store.js';
+import { createSaveControls } from '../js/save-controls.js';
+import { MatchHistory, createMatchRecord, computeStats, gameFromMatch } from '../js/match-history.js';
+import { createStatsPanel } from '../js/stats-panel.js';
+import { Replay } from '../js/replay.js';
+import { createReplayControls } from '../js/replay-controls.js';
+import { readConfig } from '../js/config.js';
+import { decodeGameLink, createGameLink, shareLink } from '../js/game-link.js';
+import { OnlineClient } from '../js/online-client.js';
+import { createOnlineControls } from '../js/online-controls.js';
+import { DEFAULT_SERVER_PORT, normalizePlayerName, describeRules } from '../js/online-protocol.js';
+import { PeerSession } from '../js/peer-session.js';
+import { createPeerDialog } from '../js/peer-dialog.js';
+import { createMoveList } from '../js/move-list.js';
+import { createClockDisplay } from '../js/clock-display.js';
+import { LobbyClient } from '../js/lobby-client.js';
+import { createLobbyPanel } from '../js/lobby-panel.js';
+
+// How far the camera may zoom out from a standard 3x3x3 board
+const MAX_CAMERA_DISTANCE = 25;
 
 const TicTacToe3D = () => {
     const containerRef = useRef(null);
@@ -23,6 +51,41 @@ const TicTacToe3D = () => {
     const controlsRef = useRef(null);
     const timeRef = useRef(0);
     const activeParticlesRef = useRef([]);
+    const markersRef = useRef(null);
+    const historyControlsRef = useRef(null);
+    const opponentControlsRef = useRef(null);
+    const opponentDifficultyRef = useRef(null);
+    const aiClientRef = useRef(null);
+    const analysisClientRef = useRef(null);
+    const analysisControlsRef = useRef(null);
+    const analysisEnabledRef = useRef(false);
+    const playerStylesRef = useRef({});
+    const saveStoreRef = useRef(null);
+    const saveControlsRef = useRef(null);
+    // Unfinished game from an earlier visit, offered back until the new game replaces its autosave
+    const leftoverGameRef = useRef(null);
+    const matchHistoryRef = useRef(null);
+    const statsPanelRef = useRef(null);
+    // Replay of a recorded match; while one is shown, the game being played waits in liveGameRef
+    const replayRef = useRef(null);
+    const replayControlsRef = useRef(null);
+    const liveGameRef = useRef(null);
+    // Network session while the page plays against other browsers: an OnlineClient on the game server
+    // or a direct PeerSession (see connectOnline)
+    const onlineRef = useRef(null);
+    const onlineControlsRef = useRef(null);
+    const peerDialogRef = useRef(null);
+    const moveListRef = useRef(null);
+    const clockDisplayRef = useRef(null);
+    const serverUrlRef = useRef(null);
+    // Name the player takes seats under, for the lobby and the ratings
+    const playerNameRef = useRef(OnlineClient.loadPlayerName());
+    // The open lobby: { client, panel }
+    const lobbyRef = useRef(null);
+    // Game opened from a link in the URL fragment: { game, replay }
+    const sharedGameRef = useRef(null);
+    // Bumped on every refresh so late hint/analysis results for an old position are dropped
+    const viewVersionRef = useRef(0);
     const turnIndicatorRef = useRef(null);
     const previewRenderersRef = useRef({});
     const raycasterRef = useRef(new THREE.Raycaster());
@@ -53,7 +116,7 @@ const TicTacToe3D = () => {
         controls.enableDamping = true;
         controls.dampingFactor = 0.1;
         controls.minDistance = 8;
-        controls.maxDistance = 25;
+        controls.maxDistance = MAX_CAMERA_DISTANCE;
         controlsRef.current = controls;
 
         // Lighting
@@ -65,27 +128,44 @@ const TicTacToe3D = () => {
         scene.add(ambientLight, pointLight, directionalLight);
 
         // Game Configuration
-        const config = {
-            width: 3,
-            height: 3,
-            depth: 3,
-            winLength: 3
-        };
+        // Defaults from config.js, changed by any settings in the page URL (e.g. ?w=4&h=4&d=4&win=4)
+        const config = readConfig(window.location.search);
+        serverUrlRef.current = config.server || `ws://${window.location.hostname || 'localhost'}:${DEFAULT_SERVER_PORT}`;
+        
+        // A game link (see game-link.js) opens the game in its URL fragment instead
+        try {
+            sharedGameRef.current = decodeGameLink(window.location.hash);
+        } catch (error) {
+            console.error('Could not open game link:', error);
+            alert(`The game link could not be opened. ${error.message}`);
+        }
+        // Drop the fragment, so reloading the page doesn't go back to the linked position
+        if (window.location.hash) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        const sharedGame = sharedGameRef.current;
 
         // Game Setup
-        const game = new TicTacToe(config.width, config.height, config.depth, config.winLength);
+        const game = sharedGame && !sharedGame.replay ? sharedGame.game : new TicTacToe(config.width, config.height, config.depth, config.winLength, {
+            gravity: config.gravity,
+            wrap: config.wrap,
+            winRule: config.winRule,
+            players: config.players,
+            extraDimensions: config.extraDimensions,
+            timeControl: config.timeControl
+        });
+        playerStylesRef.current = config.playerStyles;
+        setPlayerStyles(game.players, config.playerStyles);
         gameRef.current = game;
+        watchGame(game);
         
-        const board = new Board(config.width, config.height, config.depth);
+        const board = createBoard(game.dimensions);
         boardRef.current = board;
         scene.add(board.getObject());
+        
+        markersRef.current = new MarkerLayer(scene, board, activeParticlesRef.current);
+        fitCameraToBoard();
 
-        // Set camera position
-        camera.position.set(6, 5, 8);
-        camera.lookAt(0, 0, 0);
-
-        // Set up for global access (needed for particle style system)
-        window.__currentParticleStyle = 'quantum-flux';
+        // Set up for global access (needed for particle style system); applied once the style selector exists
+        window.__currentParticleStyle = config.style;
         
         return () => {
             // Cleanup
@@ -119,10 +199,459 @@ const TicTacToe3D = () => {
         return () => window.removeEventListener('resize', handleResize);
     }, []);
 
+    // Set camera position, pulled back for boards larger than the standard cube (such as a row of 4D slices)
+    const fitCameraToBoard = () => {
+        const boardSize = new THREE.Box3().setFromObject(boardRef.current.getObject()).getSize(new THREE.Vector3());
+        const viewScale = Math.max(1, Math.max(boardSize.x, boardSize.y, boardSize.z) / 3);
+        controlsRef.current.maxDistance = MAX_CAMERA_DISTANCE * viewScale;
+        cameraRef.current.position.set(6, 5, 8).multiplyScalar(viewScale);
+        cameraRef.current.lookAt(0, 0, 0);
+    };
+
+    // Subscribe the view to a game's events
+    const watchGame = (game) => {
+        // Every new move, whoever made it, refreshes the view; a move that ends the game is announced
+        game.on('move', () => refreshGameView());
+        game.on('win', ({ player, onTime }) => announceResult(player, onTime));
+        game.on('draw', () => announceResult('draw'));
+        
+        // Keep the autosave in step with every change to the game
+        ['move', 'undo', 'redo', 'reset', 'flag'].forEach(event => game.on(event, () => autosave()));
+        
+        // Time the match from its first move and record it once it ends; finishing it again after
+        // an undo replaces the record
+        const match = { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, startedAt: Date.now() };
+        game.on('move', ({ moveNumber }) => {
+            if (moveNumber === 1) match.startedAt = Date.now();
+        });
+        ['win', 'draw'].forEach(event => game.on(event, () => {
+            matchHistoryRef.current?.record(createMatchRecord(game, { ...match, opponent: onlineRef.current ? 'online' : opponentDifficultyRef.current }));
+        }));
+    };
+
+    // Save the current game as the one to continue next time, or drop the autosave once it is over
+    const autosave = () => {
+        const game = gameRef.current;
+        const saveStore = saveStoreRef.current;
+        if (!game || !saveStore) return;
+        
+        leftoverGameRef.current = null;
+        saveControlsRef.current?.setContinueVisible(false);
+        // Online games are kept by the game server
+        if (onlineRef.current) return;
+        
+        if (game.winner || game.historyIndex === 0) {
+            saveStore.clearAutosave();
+        } else {
+            saveStore.saveAutosave(game, window.__currentParticleStyle);
+        }
+    };
+
+    // Replace the current game with a saved one ({ game, style } from the SaveStore)
+    // The board and markers are rebuilt, as the saved game may have a different size and rules
+    const restoreGame = (saved) => {
+        if (!sceneRef.current) return;
+        
+        closeReplay();
+        onlineRef.current?.leave();
+        if (saved.style) selectParticleStyle(saved.style);
+        showGame(saved.game);
+        
+        watchGame(saved.game);
+        autosave();
+        refreshGameView();
+        playComputerMove();
+    };
+
+    // Put a game on the board, rebuilding the board and markers for its size and rules
+    const showGame = (game) => {
+        const scene = sceneRef.current;
+        aiClientRef.current?.cancel();
+        markersRef.current.clear();
+        scene.remove(boardRef.current.getObject());
+        boardRef.current.dispose();
+        
+        gameRef.current = game;
+        setPlayerStyles(game.players, playerStylesRef.current);
+        const board = createBoard(game.dimensions);
+        boardRef.current = board;
+        scene.add(board.getObject());
+        markersRef.current = new MarkerLayer(scene, board, activeParticlesRef.current);
+        fitCameraToBoard();
+    };
+
+    // Replay a match from the match history
+    const replayMatch = (match) => {
+        let replayGame;
+        try {
+            replayGame = gameFromMatch(match);
+        } catch (error) {
+            console.error('Could not replay match:', error);
+            alert('This match could not be replayed.');
+            return;
+        }
+        
+        const result = match.winner === 'draw' ? 'draw' : `${match.winner} won`;
+        startReplay(replayGame, `${match.dimensions.join('x')} · ${result}`);
+    };
+
+    // Replay a game move by move, setting the game being played aside until the replay ends
+    // Stepping back undoes moves on the replayed game, so the markers of those moves leave the scene
+    const startReplay = (replayGame, title) => {
+        if (!sceneRef.current) return;
+        
+        // Replaying another match keeps the same game set aside
+        const playedGame = liveGameRef.current || gameRef.current;
+        closeReplay();
+        liveGameRef.current = playedGame;
+        
+        const replay = new Replay(replayGame);
+        replayRef.current = replay;
+        replayControlsRef.current = createReplayControls({
+            title,
+            onTogglePlay: () => replay.togglePlay(),
+            onStep: (delta) => {
+                replay.pause();
+                replay.step(delta);
+            },
+            onSeek: (position) => {
+                replay.pause();
+                replay.seek(position);
+            },
+            onSpeed: (speed) => replay.setSpeed(speed),
+            onExit: () => exitReplay()
+        });
+        replay.on('change', (state) => {
+            replayControlsRef.current.update(state);
+            refreshGameView();
+        });
+        updateLocalControls();
+        
+        showGame(replayGame);
+        replay.seek(0);
+    };
+
+    // Stop the replay and remove its controls, leaving the board as it is
+    const closeReplay = () => {
+        if (!replayRef.current) return;
+        
+        replayRef.current.destroy();
+        replayControlsRef.current.destroy();
+        replayRef.current = null;
+        replayControlsRef.current = null;
+        liveGameRef.current = null;
+        updateLocalControls();
+    };
+
+    // Leave the replay and go back to the game being played
+    const exitReplay = () => {
+        if (!replayRef.current) return;
+        
+        const playedGame = liveGameRef.current;
+        closeReplay();
+        showGame(playedGame);
+        refreshGameView();
+        playComputerMove();
+    };
+
+    // Offer undo/redo and the computer opponent only where they apply: not in a replay, not online
+    // The move list is shown instead while online, for the players and anyone watching
+    const updateLocalControls = () => {
+        const online = onlineRef.current;
+        if (historyControlsRef.current) {
+            historyControlsRef.current.container.style.visibility = replayRef.current || online ? 'hidden' : '';
+        }
+        if (opponentControlsRef.current) opponentControlsRef.current.container.style.visibility = online ? 'hidden' : '';
+        if (moveListRef.current) moveListRef.current.container.style.display = online ? '' : 'none';
+    };
+
+    // Connect to the game server, giving up any seat held before, and return the client to create,
+    // join or resume a room with
+    const startOnline = (url) => connectOnline(new OnlineClient(url, { name: playerNameRef.current }));
+
+    // Play through a network session (OnlineClient or PeerSession) from now on, leaving any session held before
+    // While the page plays over the network, the game shown is the session's copy of the shared game: this page's
+    // moves go through the session, and the other players' moves arrive through it as ordinary move events
+    const connectOnline = (client) => {
+        onlineRef.current?.leave();
+        
+        onlineRef.current = client;
+        client.on('game', ({ game }) => {
+            closeReplay();
+            showGame(game);
+            watchGame(game);
+            refreshGameView();
+        });
+        client.on('status', ({ status }) => {
+            if (status === 'closed') endOnline(client);
+            onlineControlsRef.current?.update(client);
+        });
+        client.on('seats', () => {
+            onlineControlsRef.current?.update(client);
+            refreshGameView();
+        });
+        client.on('rejected', ({ reason }) => console.warn(`Went back to the agreed game after a refused or conflicting move (${reason})`));
+        client.on('error', ({ message }) => alert(`Online game: ${message}`));
+        
+        aiClientRef.current?.cancel();
+        updateLocalControls();
+        return client;
+    };
+
+    // Go back to playing at this page once a session is over; the game stays on the board, to be played on locally
+    const endOnline = (client) => {
+        if (onlineRef.current !== client) return;
+        
+        onlineRef.current = null;
+        updateLocalControls();
+        onlineControlsRef.current?.update(client);
+        refreshGameView();
+    };
+
+    // Open the dialog that connects a direct game with another browser by swapping codes
+    const openPeerDialog = () => {
+        closePeerDialog();
+        
+        const session = new PeerSession();
+        const giveUp = () => {
+            session.close();
+            endOnline(session);
+            closePeerDialog();
+        };
+        // Codes and errors that arrive after the attempt was given up are dropped
+        const fail = (error) => {
+            if (onlineRef.current !== session) return;
+            alert(`Direct game: ${error.message}`);
+            giveUp();
+        };
+        // The dialog stays up until the two browsers are connected or the attempt is given up
+        session.on('status', ({ status }) => {
+            if (status !== 'connecting') closePeerDialog();
+        });
+        
+        peerDialogRef.current = createPeerDialog({
+            onHost: () => {
+                const game = liveGameRef.current || gameRef.current;
+                connectOnline(session).host(game).then(code => {
+                    if (onlineRef.current === session) peerDialogRef.current.showOffer(code);
+                }, fail);
+            },
+            onOffer: (code) => {
+                connectOnline(session).join(code).then(answer => {
+                    if (onlineRef.current === session) peerDialogRef.current.showAnswer(answer);
+                }, fail);
+            },
+            onAnswer: (code) => session.acceptAnswer(code).catch(fail),
+            onCancel: giveUp
+        });
+    };
+
+    // Remove the direct game dialog, if it is open
+    const closePeerDialog = () => {
+        peerDialogRef.current?.destroy();
+        peerDialogRef.current = null;
+    };
+
+    // Open the lobby: the rooms on the server, quick match and the ratings for the current board
+    const openLobby = () => {
+        const rulesGame = liveGameRef.current || gameRef.current;
+        if (!rulesGame) return;
+        closeLobby();
+        
+        // Picking a game closes the lobby before the seat is taken
+        const leaveLobbyFor = (start) => {
+            closeLobby();
+            start(startOnline(serverUrlRef.current));
+        };
+        const client = new LobbyClient(serverUrlRef.current);
+        const panel = createLobbyPanel({
+            name: playerNameRef.current,
+            rules: describeRules(rulesGame),
+            onNameChange: (name) => {
+                playerNameRef.current = normalizePlayerName(name);
+                OnlineClient.savePlayerName(playerNameRef.current);
+            },
+            onQuickMatch: () => leaveLobbyFor(online => online.quickMatch(rulesGame)),
+            onJoin: (code) => leaveLobbyFor(online => online.joinRoom(code)),
+            onWatch: (code) => leaveLobbyFor(online => online.watchRoom(code)),
+            onClose: () => closeLobby()
+        });
+        client.on('status', () => panel.update(client));
+        client.on('rooms', () => panel.update(client));
+        client.on('ratings', ({ ratings }) => panel.showRatings(ratings));
+        client.open();
+        client.requestRatings(rulesGame);
+        lobbyRef.current = { client, panel };
+    };
+
+    // Close the lobby, if it is open
+    const closeLobby = () => {
+        lobbyRef.current?.client.close();
+        lobbyRef.current?.panel.destroy();
+        lobbyRef.current = null;
+    };
+
+    // Bring the markers, turn indicator and history controls in line with the game state
+    const refreshGameView = () => {
+        const game = gameRef.current;
+        if (!game || !markersRef.current) return;
+        
+        viewVersionRef.current++;
+        markersRef.current.sync(game, { animateLastMove: game.gravity });
+        updateTurnIndicator();
+        historyControlsRef.current?.update(game);
+        moveListRef.current?.update(game);
+        
+        // Light up the cells of every completed line in the color of the player who owns it
+        boardRef.current.clearHighlights();
+        game.winningLines.forEach(line => {
+            boardRef.current.highlightCells(line, getPlayerStyle(game.getCell(...line[0])).color.primary);
+        });
+        
+        const textElement = turnIndicatorRef.current?.textElement;
+        if (textElement) {
+            // Under the scoring rule the running line count is shown next to the state
+            const score = game.winRule === 'scoring' ? ` ${formatScores()}` : '';
+            if (game.winner === 'draw') {
+                textElement.textContent = `DRAW${score}`;
+                textElement.style.fontWeight = '';
+            } else if (game.winner) {
+                textElement.textContent = `WINNER${score}`;
+                textElement.style.fontWeight = 'bold';
+            } else {
+                textElement.textContent = `NEXT${score}`;
+                textElement.style.fontWeight = '';
+            }
+        }
+        
+        updateAnalysis();
+    };
+
+    const isHumanTurn = () => !replayRef.current && !!gameRef.current && !gameRef.current.winner && !isComputerTurn() &&
+        (!onlineRef.current || onlineRef.current.isMyTurn());
+
+    // Re-run the analysis overlay for the current position, if it is switched on
+    const updateAnalysis = () => {
+        const analysisControls = analysisControlsRef.current;
+        const analysisClient = analysisClientRef.current;
+        if (!analysisControls || !analysisClient) return;
+        
+        analysisControls.setHintEnabled(isHumanTurn());
+        analysisControls.setHintPending(false);
+        analysisClient.cancel();
+        // The move evaluator is a two-player search
+        if (!analysisEnabledRef.current || !isHumanTurn() || gameRef.current.players.length > 2) return;
+        
+        const version = viewVersionRef.current;
+        analysisClient.analyze(gameRef.current).then(result => {
+            if (result && version === viewVersionRef.current) showMoveValues(boardRef.current, result.moves);
+        }).catch(error => console.error('Analysis failed:', error));
+    };
+
+    // Ask the evaluator for the best move and make its cell glow
+    const requestHint = () => {
+        const analysisControls = analysisControlsRef.current;
+        if (!analysisControls || !isHumanTurn()) return;
+        
+        const version = viewVersionRef.current;
+        const player = gameRef.current.currentPlayer;
+        analysisControls.setHintPending(true);
+        analysisClientRef.current.think(gameRef.current, { difficulty: 'hard' }).then(result => {
+            if (!result || version !== viewVersionRef.current) return;
+            
+            analysisControls.setHintPending(false);
+            if (result.move) showHint(boardRef.current, result.move, getPlayerStyle(player).color.primary);
+        }).catch(error => {
+            console.error('Hint failed:', error);
+            analysisControls.setHintPending(false);
+        });
+    };
+
+    // Completed lines per player in turn order for the scoring rule, e.g. "X 3 · O 2"
+    const formatScores = () => {
+        const { players, scores } = gameRef.current;
+        return players.map(player => `${player} ${scores[player]}`).join(' · ');
+    };
+
+    // Tell the players how the game ended (winner is the winning player or 'draw'; onTime when the others ran out of time)
+    const announceResult = (winner, onTime = false) => {
+        const game = gameRef.current;
+        let message;
+        if (onTime) {
+            message = `${winner} wins on time!`;
+        } else if (game.winRule === 'scoring') {
+            message = winner === 'draw'
+                ? `Game ended level on lines (${formatScores()})`
+                : `${winner} wins on lines (${formatScores()})!`;
+        } else if (winner === 'draw') {
+            message = 'Game ended in a draw!';
+        } else if (game.winRule === 'misere') {
+            message = `${winner} wins! ${game.eliminated.join(', ')} completed a line.`;
+        } else {
+            message = `${winner} wins!`;
+        }
+        
+        setTimeout(() => {
+            alert(message);
+        }, 100);
+    };
+
+    // Tint the cells the MCTS player spent most of its playouts on, brighter for more visits
+    // The tint is cleared by the next refresh of the game view
+    const showConsideredMoves = (statistics) => {
+        const considered = statistics.moves.slice(0, 6);
+        const maxVisits = considered[0]?.visits || 0;
+        if (maxVisits === 0 || !boardRef.current) return;
+        
+        considered.forEach(({ move, visits }) => {
+            if (gameRef.current.getCell(...move)) return;
+            const share = visits / maxVisits;
+            boardRef.current.highlightCells([move], [0.9 * share, 0.8 * share, 0.3 * share]);
+        });
+    };
+
+    // Against the computer the human takes the first seat and the computer plays every other player
+    const isComputerTurn = () => {
+        const game = gameRef.current;
+        return !replayRef.current && !onlineRef.current && opponentDifficultyRef.current !== null && !!game && !game.winner && game.currentPlayer !== game.players[0];
+    };
+
+    // Let the computer answer if it is its turn
+    // The search runs in a worker so the render loop keeps going while the computer thinks
+    const playComputerMove = () => {
+        const aiClient = aiClientRef.current;
+        if (!aiClient || !isComputerTurn() || aiClient.isThinking()) return;
+        
+        const game = gameRef.current;
+        const position = game.historyIndex;
+        if (turnIndicatorRef.current) {
+            turnIndicatorRef.current.textElement.textContent = 'THINKING';
+        }
+        
+        aiClient.think(game, { difficulty: opponentDifficultyRef.current }).then(result => {
+            // Drop results for searches that were cancelled or overtaken by undo/redo
+            if (!result || !result.move || game !== gameRef.current ||
+                game.historyIndex !== position || !isComputerTurn()) return;
+            
+            game.makeMove(...result.move);
+            if (result.statistics) showConsideredMoves(result.statistics);
+            
+            // With more than two players the next seat may be the computer's too
+            playComputerMove();
+        }).catch(error => {
+            console.error('Computer player failed:', error);
+            refreshGameView();
+        });
+    };
+
     // Handle clicks/touches
     const handleClick = (event) => {
         if (!gameRef.current || !boardRef.current || !cameraRef.current || !sceneRef.current) return;
         
+        // Ignore clicks while the computer or another online player is to move, or a replay is shown
+        const online = onlineRef.current;
+        if (replayRef.current || isComputerTurn() || (online && !online.isMyTurn())) return;
+        
         const clientX = event.clientX || (event.touches && event.touches[0].clientX);
         const clientY = event.clientY || (event.touches && event.touches[0].clientY);
         
@@ -135,51 +664,12 @@ const TicTacToe3D = () => {
         
         if (intersects.length > 0) {
             const cell = intersects[0].object;
-            const [x, y, z] = boardRef.current.getCellCoordinates(cell);
-            
-            const prevPlayer = gameRef.current.currentPlayer;
-            const winner = gameRef.current.makeMove(x, y, z);
+            const coords = boardRef.current.getCellCoordinates(cell);
             
-            // If the move was valid
-            if (gameRef.current.getCell(x, y, z)) {
-                // Add particles for the move
-                const particles = createParticleSystem(gameRef.current.getCell(x, y, z), cell.position);
-                
-                // Special handling for Nebula Whisper style
-                const currentStyle = window.__currentParticleStyle || '';
-                if (currentStyle === 'nebula-whisper') {
-                    configureParticleSystemForCell(particles, 0.9, 0.9, 0.42, 0.65);
-                }
-                
-                sceneRef.current.add(particles);
-                activeParticlesRef.current.push(particles);
-                
-                // Only update turn indicator if we actually made a move
-                if (gameRef.current.currentPlayer !== prevPlayer) {
-                    updateTurnIndicator();
-                }
-                
-                // Handle win or draw
-                if (winner) {
-                    if (winner === 'draw') {
-                        if (turnIndicatorRef.current) {
-                            turnIndicatorRef.current.textElement.textContent = 'DRAW';
-                        }
-                        setTimeout(() => {
-                            alert('Game ended in a draw!');
-                        }, 100);
-                    } else {
-                        // If there's a winner, update the turn indicator text
-                        if (turnIndicatorRef.current) {
-                            turnIndicatorRef.current.textElement.textContent = 'WINNER';
-                            turnIndicatorRef.current.textElement.style.fontWeight = 'bold';
-                        }
-                        setTimeout(() => {
-                            alert(`${winner} wins!`);
-                        }, 100);
-                    }
-                }
-            }
+            // The move event refreshes the view; refused moves (occupied cell, finished game) change nothing
+            // Online, the client plays the move and sends it to the server
+            const result = online ? online.playMove(coords) : gameRef.current.makeMove(...coords);
+            if (result.accepted) playComputerMove();
         }
     };
 
@@ -298,10 +788,14 @@ const TicTacToe3D = () => {
         const turnIndicator = turnIndicatorRef.current;
         if (!turnIndicator) return;
         
+        // Show the winner once the game is decided (under misère it is not the player who moved last)
+        const { winner, currentPlayer } = gameRef.current;
+        const shownPlayer = winner && winner !== 'draw' ? winner : currentPlayer;
+        
         // Update particles for current player
         turnIndicator.scene.remove(turnIndicator.particles);
         turnIndicator.particles = createParticleSystem(
-            gameRef.current.currentPlayer, 
+            shownPlayer, 
             new THREE.Vector3(0, 0, 0)
         );
         
@@ -323,10 +817,8 @@ const TicTacToe3D = () => {
         const miniCell = turnIndicator.miniBoard.getCell(1, 1, 1);
         if (miniCell) {
             // Set cell glow color based on player
-            const colorVector = gameRef.current.currentPlayer === 'X' 
-                ? new THREE.Vector3(1.0, 0.2, 0.2)  // Red for X
-                : new THREE.Vector3(0.2, 0.2, 1.0); // Blue for O
-                
+            const colorVector = new THREE.Vector3().fromArray(getPlayerStyle(shownPlayer).color.primary);
+            
             miniCell.material.uniforms.playerColor = { value: colorVector };
         }
     };
@@ -401,26 +893,28 @@ const TicTacToe3D = () => {
         // Handle style selection
         document.querySelectorAll('.style-option').forEach(option => {
             option.addEventListener('click', () => {
-                const styleName = option.getAttribute('data-style');
-                
-                // Update selection UI
-                document.querySelectorAll('.style-option').forEach(opt => {
-                    opt.classList.remove('selected');
-                });
-                option.classList.add('selected');
-                
-                // Set the active particle system
-                setActiveParticleSystem(styleName);
-                
-                // Store current style selection
-                window.__currentParticleStyle = styleName;
-                updateTurnIndicator();
+                selectParticleStyle(option.getAttribute('data-style'));
             });
         });
         
         return selector;
     };
 
+    // Switch the particle style used for new markers and the turn indicator
+    const selectParticleStyle = (styleName) => {
+        // Update selection UI
+        document.querySelectorAll('.style-option').forEach(opt => {
+            opt.classList.toggle('selected', opt.getAttribute('data-style') === styleName);
+        });
+        
+        // Set the active particle system
+        setActiveParticleSystem(styleName);
+        
+        // Store current style selection
+        window.__currentParticleStyle = styleName;
+        updateTurnIndicator();
+    };
+
     const initializeStylePreviews = () => {
         const styles = [
             { name: 'ember-glow', fn: createEmberGlowParticleSystem },
@@ -468,8 +962,8 @@ const TicTacToe3D = () => {
             });
             scene.add(miniBoard.getObject());
             
-            // Create example particles using this style
-            const particles = style.fn('X', new THREE.Vector3(0, 0, 0));
+            // Use the first player's style for all previews for consistency
+            const particles = style.fn(new THREE.Vector3(0, 0, 0), getPlayerStyle(gameRef.current?.players[0]));
             
             // Configure particles
             if (style.name === 'nebula-whisper') {
@@ -494,8 +988,138 @@ const TicTacToe3D = () => {
     useEffect(() => {
         // Create UI elements
         createStyleSelector();
+        selectParticleStyle(window.__currentParticleStyle);
+        
+        // Finished games, summarised by the statistics panel next to the style selector
+        const matchHistory = new MatchHistory();
+        matchHistoryRef.current = matchHistory;
+        statsPanelRef.current = createStatsPanel({
+            onOpen: () => {
+                const matches = matchHistory.getMatches();
+                statsPanelRef.current.update(computeStats(matches), matches.slice(-10).reverse());
+            },
+            onClear: () => {
+                matchHistory.clear();
+                statsPanelRef.current.update(computeStats([]));
+            },
+            onReplay: replayMatch
+        });
         updateTurnIndicator();
         
+        aiClientRef.current = createAIWorkerClient();
+        
+        // Hints and analysis use their own worker so they never cancel the computer opponent's search
+        analysisClientRef.current = createAIWorkerClient();
+        analysisControlsRef.current = createAnalysisControls({
+            onHint: requestHint,
+            onToggleAnalysis: (enabled) => {
+                analysisEnabledRef.current = enabled;
+                refreshGameView();
+            }
+        });
+        
+        opponentControlsRef.current = createOpponentControls((mode) => {
+            aiClientRef.current.cancel();
+            opponentDifficultyRef.current = mode === 'human' ? null : mode;
+            refreshGameView();
+            playComputerMove();
+        });
+        
+        // Against the computer, undo and redo step over its replies so the human is always to move
+        // Undoing while the computer is thinking cancels its search
+        historyControlsRef.current = createHistoryControls({
+            onUndo: () => {
+                const game = gameRef.current;
+                if (!game || replayRef.current || onlineRef.current) return;
+                aiClientRef.current.cancel();
+                if (!game.undo()) return;
+                while (isComputerTurn() && game.canUndo()) game.undo();
+                refreshGameView();
+            },
+            onRedo: () => {
+                const game = gameRef.current;
+                if (!game || replayRef.current || onlineRef.current || aiClientRef.current.isThinking() || !game.redo()) return;
+                while (isComputerTurn() && game.canRedo()) game.redo();
+                refreshGameView();
+                playComputerMove();
+            }
+        });
+        if (gameRef.current) historyControlsRef.current.update(gameRef.current);
+        
+        // Move list, shown instead of the undo/redo controls during online games
+        moveListRef.current = createMoveList();
+        if (gameRef.current) moveListRef.current.update(gameRef.current);
+        moveListRef.current.container.style.display = 'none';
+        
+        // Players' clocks, shown in timed games
+        clockDisplayRef.current = createClockDisplay();
+        
+        // Saved games: the game in progress is autosaved after every change
+        const saveStore = new SaveStore();
+        saveStoreRef.current = saveStore;
+        leftoverGameRef.current = saveStore.loadAutosave();
+        saveControlsRef.current = createSaveControls({
+            onContinue: () => {
+                if (leftoverGameRef.current) restoreGame(leftoverGameRef.current);
+            },
+            onSave: (name) => {
+                // During a replay it is still the game being played that gets saved
+                const game = liveGameRef.current || gameRef.current;
+                if (!game) return;
+                if (!saveStore.saveSlot(name, game, window.__currentParticleStyle)) {
+                    alert('The game could not be saved. The browser storage may be full or disabled.');
+                }
+                saveControlsRef.current.update(saveStore.listSlots(), name);
+            },
+            onLoad: (name) => {
+                const saved = saveStore.loadSlot(name);
+                if (saved) {
+                    restoreGame(saved);
+                } else {
+                    alert(`The saved game "${name}" could not be loaded.`);
+                }
+            },
+            onDelete: (name) => {
+                saveStore.deleteSlot(name);
+                saveControlsRef.current.update(saveStore.listSlots());
+            },
+            // During a replay the link opens the same replay
+            onShare: () => {
+                if (gameRef.current) shareLink(createGameLink(gameRef.current, { replay: replayRef.current !== null }));
+            }
+        });
+        saveControlsRef.current.update(saveStore.listSlots());
+        saveControlsRef.current.setContinueVisible(leftoverGameRef.current !== null);
+        
+        // Online play on the game server
+        onlineControlsRef.current = createOnlineControls({
+            onLobby: openLobby,
+            onCreate: () => {
+                const game = liveGameRef.current || gameRef.current;
+                if (game) startOnline(serverUrlRef.current).createRoom(game);
+            },
+            onJoin: (code) => startOnline(serverUrlRef.current).joinRoom(code),
+            onWatch: (code) => startOnline(serverUrlRef.current).watchRoom(code),
+            onDirect: openPeerDialog,
+            onLeave: () => onlineRef.current?.leave()
+        });
+        
+        // Take back the seat of an online game this tab was playing (or go on watching it) before it was reloaded
+        const onlineSession = OnlineClient.loadSession();
+        if (onlineSession?.token) {
+            startOnline(onlineSession.url).resume(onlineSession.code, onlineSession.token);
+        } else if (onlineSession) {
+            startOnline(onlineSession.url).watchRoom(onlineSession.code);
+        }
+        
+        // Show a game opened from a link; a link to a replay opens straight into it
+        const sharedGame = sharedGameRef.current;
+        if (sharedGame?.replay) {
+            startReplay(sharedGame.game, 'shared game');
+        } else if (sharedGame) {
+            refreshGameView();
+        }
+        
         // Animation loop
         const animate = () => {
             if (!sceneRef.current || !rendererRef.current || !cameraRef.current || 
@@ -516,6 +1140,18 @@ const TicTacToe3D = () => {
                     p.material.uniforms.time.value = time;
                 }
             });
+            markersRef.current?.animate();
+            
+            // Run the clocks; online, the game server decides when a flag falls
+            const game = gameRef.current;
+            if (game) {
+                clockDisplayRef.current?.update(game);
+                if (!replayRef.current && !(onlineRef.current instanceof OnlineClient) && game.checkClock()) {
+                    aiClientRef.current?.cancel();
+                    refreshGameView();
+                    playComputerMove();
+                }
+            }
             
             // Animate turn indicator
             if (turnIndicatorRef.current) {
@@ -586,6 +1222,22 @@ const TicTacToe3D = () => {
             if (turnIndicatorRef.current) {
                 document.body.removeChild(turnIndicatorRef.current.container);
             }
+            
+            historyControlsRef.current?.destroy();
+            opponentControlsRef.current?.destroy();
+            aiClientRef.current?.terminate();
+            analysisClientRef.current?.terminate();
+            analysisControlsRef.current?.destroy();
+            saveControlsRef.current?.destroy();
+            statsPanelRef.current?.destroy();
+            replayRef.current?.destroy();
+            replayControlsRef.current?.destroy();
+            onlineRef.current?.close();
+            onlineControlsRef.current?.destroy();
+            peerDialogRef.current?.destroy();
+            moveListRef.current?.destroy();
+            clockDisplayRef.current?.destroy();
+            closeLobby();
         };
     }, []);
 
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import { TicTacToe } from '../js/game.js';
+import { AIWorkerClient } from '../js/ai-client.js';
+
+const WORKER_URL = new URL('../js/ai-worker-node.js', import.meta.url);
+
+/**
+ * Settings for a seeded MCTS search of a fixed number of playouts
+ * @param {number} iterations - Playouts to run; Infinity for a search that only ends when it is cancelled
+ * @returns {Object} { difficulty, engine, options } as sent with a think request
+ */
+const playouts = (iterations) => ({ difficulty: 'easy', engine: 'mcts', options: { seed: 1, iterations, timeLimit: Infinity } });
+
+/**
+ * Run a test against a fresh worker, stopping it afterwards
+ * @param {Function} body - Called with the worker
+ */
+async function withWorker(body) {
+    const worker = new Worker(WORKER_URL);
+    try {
+        await body(worker);
+    } finally {
+        await worker.terminate();
+    }
+}
+
+/**
+ * Collect the worker's replies until one of the given types arrives
+ * @param {Worker} worker - Worker to listen to
+ * @param {Array<string>} types - Message types that end the exchange
+ * @returns {Promise<Array<Object>>} Every message received, the final one last
+ */
+function receiveUntil(worker, types) {
+    return new Promise(resolve => {
+        const messages = [];
+        const onMessage = (message) => {
+            messages.push(message);
+            if (!types.includes(message.type)) return;
+            worker.off('message', onMessage);
+            resolve(messages);
+        };
+        worker.on('message', onMessage);
+    });
+}
+
+test('a search reports progress and ends with a result for its request', () => withWorker(async (worker) => {
+    const game = new TicTacToe(4, 4, 4, 4);
+    const replies = receiveUntil(worker, ['result', 'error']);
+    worker.postMessage({ type: 'think', id: 7, game: game.toJSON(), ...playouts(600) });
+    
+    const messages = await replies;
+    const result = messages.pop();
+    assert.deepEqual(messages.map(({ type, id, iterations }) => [type, id, iterations]), [['progress', 7, 250], ['progress', 7, 500]]);
+    assert.equal(result.type, 'result');
+    assert.equal(result.id, 7);
+    assert.equal(result.iterations, 600);
+    assert.equal(game.makeMove(...result.move).accepted, true);
+}));
+
+test('a cancelled search answers with cancelled and stops', () => withWorker(async (worker) => {
+    const replies = receiveUntil(worker, ['cancelled']);
+    worker.postMessage({ type: 'think', id: 1, game: new TicTacToe(4, 4, 4, 4).toJSON(), ...playouts(Infinity) });
+    worker.once('message', () => worker.postMessage({ type: 'cancel', id: 1 }));
+    
+    const messages = await replies;
+    assert.deepEqual(messages.pop(), { type: 'cancelled', id: 1 });
+    assert.ok(messages.every(({ type, id }) => type === 'progress' && id === 1));
+}));
+
+test('requests the worker can\'t handle are answered with an error', () => withWorker(async (worker) => {
+    let replies = receiveUntil(worker, ['error']);
+    worker.postMessage({ type: 'think', id: 2, game: { width: 0 } });
+    const [invalid] = await replies;
+    assert.equal(invalid.id, 2);
+    assert.match(invalid.message, /Invalid game data/);
+    
+    replies = receiveUntil(worker, ['error']);
+    worker.postMessage({ type: 'ponder', id: 3 });
+    assert.deepEqual(await replies, [{ type: 'error', id: 3, message: 'Unknown message type: ponder' }]);
+}));
+
+test('analysis scores every legal move, best first', () => withWorker(async (worker) => {
+    // X can finish the bottom row at 3,1,1
+    const game = new TicTacToe(3, 3, 3, 3);
+    [[1, 1, 1], [1, 3, 3], [2, 1, 1], [3, 3, 1]].forEach(move => game.makeMove(...move));
+    const replies = receiveUntil(worker, ['result', 'error']);
+    worker.postMessage({ type: 'analyze', id: 4, game: game.toJSON(), depth: 1 });
+    
+    const { type, moves } = (await replies).pop();
+    assert.equal(type, 'result');
+    assert.equal(moves.length, game.getLegalMoves().length);
+    assert.deepEqual(moves[0].move, [3, 1, 1]);
+    assert.ok(moves.every(({ score }, i) => i === 0 || score <= moves[i - 1].score));
+}));
+
+test('the client resolves cancelled and replaced searches with null', () => withWorker(async (worker) => {
+    const client = new AIWorkerClient(worker);
+    const game = new TicTacToe(4, 4, 4, 4);
+    
+    const cancelled = client.think(game, playouts(Infinity), () => client.cancel());
+    assert.equal(await cancelled, null);
+    assert.equal(client.isThinking(), false);
+    
+    const replaced = client.think(game, playouts(Infinity));
+    const result = client.think(game, playouts(300));
+    assert.equal(await replaced, null);
+    assert.equal((await result).iterations, 300);
+}));
+
+test('the client rejects a search the worker refused or crashed during', async () => {
+    await withWorker(async (worker) => {
+        const client = new AIWorkerClient(worker);
+        await assert.rejects(client.request({ type: 'ponder' }, null), /Unknown message type: ponder/);
+    });
+    
+    const crashing = new Worker('require("node:worker_threads").parentPort.on("message", () => { throw new Error("boom"); })', { eval: true });
+    const client = new AIWorkerClient(crashing);
+    await assert.rejects(client.think(new TicTacToe(3, 3, 3, 3)), /boom/);
+    assert.equal(client.isThinking(), false);
+    await crashing.terminate();
+});
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TicTacToe } from '../js/game.js';
+
+/**
+ * Copy every piece of game state a move changes
+ * @param {TicTacToe} game - Game to take the state of
+ * @returns {Object} Plain copy, for deepEqual
+ */
+function snapshot(game) {
+    return {
+        cells: [...game.cells],
+        bitboards: { ...game.bitboards },
+        occupied: game.occupied,
+        hash: game.getHash(),
+        moveCount: game.moveCount,
+        currentPlayer: game.currentPlayer,
+        winner: game.winner,
+        winningLines: game.winningLines,
+        scores: { ...game.scores },
+        eliminated: game.eliminated,
+        lastMove: game.lastMove?.coords ?? null
+    };
+}
+
+// X wins on the fifth move along the bottom row
+const WINNING_GAME = [[1, 1, 1], [1, 2, 1], [2, 1, 1], [2, 2, 1], [3, 1, 1]];
+
+test('undo restores the state before every move, back to the empty board', () => {
+    const game = new TicTacToe(3, 3, 3, 3);
+    const states = [snapshot(game)];
+    for (const move of WINNING_GAME) {
+        game.makeMove(...move);
+        states.push(snapshot(game));
+    }
+    assert.equal(game.winner, 'X');
+    
+    for (let n = WINNING_GAME.length - 1; n >= 0; n--) {
+        assert.deepEqual(game.undo(), { coords: WINNING_GAME[n], player: n % 2 === 0 ? 'X' : 'O' });
+        assert.deepEqual(snapshot(game), states[n]);
+    }
+    assert.equal(game.canUndo(), false);
+    assert.equal(game.undo(), null);
+    
+    for (let n = 1; n <= WINNING_GAME.length; n++) {
+        assert.deepEqual(game.redo().coords, WINNING_GAME[n - 1]);
+        assert.deepEqual(snapshot(game), states[n]);
+    }
+    assert.equal(game.canRedo(), false);
+    assert.equal(game.redo(), null);
+});
+
+test('jumpTo puts exactly the first n moves on the board', () => {
+    const game = new TicTacToe(3, 3, 3, 3);
+    const states = [snapshot(game)];
+    for (const move of WINNING_GAME) {
+        game.makeMove(...move);
+        states.push(snapshot(game));
+    }
+    
+    for (const n of [2, 0, 5, 3, 3, 1]) {
+        assert.equal(game.jumpTo(n), true);
+        assert.equal(game.historyIndex, n);
+        assert.deepEqual(snapshot(game), states[n]);
+    }
+    for (const n of [-1, 6, 1.5, '2']) {
+        assert.equal(game.jumpTo(n), false);
+        assert.equal(game.historyIndex, 1);
+    }
+});
+
+test('a move after undo discards the moves waiting for redo', () => {
+    const game = new TicTacToe(3, 3, 3, 3);
+    WINNING_GAME.forEach(move => game.makeMove(...move));
+    game.jumpTo(2);
+    
+    assert.equal(game.makeMove(3, 3, 3).accepted, true);
+    assert.equal(game.canRedo(), false);
+    assert.deepEqual(game.getMoveHistory(), [
+        { coords: [1, 1, 1], player: 'X' },
+        { coords: [1, 2, 1], player: 'O' },
+        { coords: [3, 3, 3], player: 'X' }
+    ]);
+});
+
+test('a finished game can be undone and played on', () => {
+    const game = new TicTacToe(3, 3, 3, 3);
+    WINNING_GAME.forEach(move => game.makeMove(...move));
+    assert.equal(game.makeMove(3, 3, 3).reason, 'game-over');
+    
+    game.undo();
+    assert.equal(game.winner, null);
+    assert.deepEqual(game.winningLines, []);
+    assert.equal(game.makeMove(3, 3, 3).accepted, true);
+    assert.equal(game.currentPlayer, 'O');
+});
+
+test('undo and redo hand out copies of the moves', () => {
+    const game = new TicTacToe(3, 3, 3, 3);
+    game.makeMove(1, 1, 1);
+    game.undo().coords[0] = 3;
+    game.redo().coords[0] = 3;
+    game.getMoveHistory()[0].coords[0] = 3;
+    assert.equal(game.getCell(1, 1, 1), 'X');
+    assert.deepEqual(game.undo().coords, [1, 1, 1]);
+});
+
+test('undo and redo tell listeners which move changed', () => {
+    const game = new TicTacToe(3, 3, 3, 3);
+    const events = [];
+    for (const type of ['undo', 'redo', 'turnChange']) {
+        game.on(type, (event) => events.push([type, event]));
+    }
+    game.makeMove(1, 1, 1);
+    events.length = 0;
+    
+    game.undo();
+    game.redo();
+    assert.deepEqual(events, [
+        ['undo', { coords: [1, 1, 1], player: 'X', moveNumber: 1 }],
+        ['turnChange', { player: 'X', previous: 'O' }],
+        ['redo', { coords: [1, 1, 1], player: 'X', moveNumber: 1 }],
+        ['turnChange', { player: 'O', previous: 'X' }]
+    ]);
+});
+
+test('undo puts back the scores and eliminated players of the other win rules', () => {
+    const scoring = new TicTacToe(3, 3, 1, 3, { winRule: 'scoring' });
+    [[1, 1, 1], [1, 2, 1], [2, 1, 1], [2, 2, 1], [3, 1, 1]].forEach(move => scoring.makeMove(...move));
+    assert.deepEqual(scoring.scores, { X: 1, O: 0 });
+    scoring.undo();
+    assert.deepEqual(scoring.scores, { X: 0, O: 0 });
+    scoring.redo();
+    assert.deepEqual(scoring.scores, { X: 1, O: 0 });
+    
+    const misere = new TicTacToe(3, 3, 1, 3, { winRule: 'misere', players: ['X', 'O', 'T'] });
+    [[1, 1, 1], [1, 2, 1], [1, 3, 1], [2, 1, 1], [2, 2, 1], [2, 3, 1], [3, 1, 1]].forEach(move => misere.makeMove(...move));
+    assert.deepEqual(misere.eliminated, ['X']);
+    assert.equal(misere.currentPlayer, 'O');
+    misere.undo();
+    assert.deepEqual(misere.eliminated, []);
+    assert.equal(misere.currentPlayer, 'X');
+});
+
+test('undo gives the mover back the time the move took and redo charges it again', () => {
+    let now = 0;
+    const game = new TicTacToe(3, 3, 3, 3, { timeControl: { type: 'sudden-death', initial: 60000 } });
+    game.clock.now = () => now;
+    game.makeMove(1, 1, 1);
+    now += 5000;
+    game.makeMove(2, 2, 2);
+    assert.equal(game.getTimeLeft('O'), 55000);
+    
+    game.undo();
+    assert.equal(game.getTimeLeft('O'), 60000);
+    game.redo();
+    assert.equal(game.getTimeLeft('O'), 55000);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TicTacToe } from '../js/game.js';
+import { getLineDirections, getLineTable } from '../js/line-table.js';
+
+function play(game, moves) {
+    moves.forEach(move => assert.equal(game.makeMove(...move).accepted, true));
+    return game;
+}
+
+test('every line direction is listed once, without its opposite', () => {
+    assert.equal(getLineDirections(2).length, 4);
+    assert.equal(getLineDirections(3).length, 13);
+    assert.equal(getLineDirections(4).length, 40);
+});
+
+test('the line table lists every winning line of the board once', () => {
+    assert.equal(getLineTable([3, 3, 3], 3).lines.length, 49);
+    // Qubic
+    assert.equal(getLineTable([4, 4, 4], 4).lines.length, 76);
+    assert.equal(getLineTable([3, 3], 3).lines.length, 8);
+    assert.equal(getLineTable([3, 3, 3, 3], 3).lines.length, 272);
+    // Shorter lines fit in more places: 4x4 has 8 lines of 3 along the rows, 8 along the columns and 8 diagonal
+    assert.equal(getLineTable([4, 4], 3).lines.length, 24);
+    
+    for (const table of [getLineTable([3, 3, 3], 3), getLineTable([4, 3, 5], 3), getLineTable([4, 4, 4], 3, true)]) {
+        const keys = table.lines.map(line => [...line].sort((a, b) => a - b).join(','));
+        assert.equal(new Set(keys).size, keys.length);
+    }
+});
+
+test('the cells, masks and cell lists of the table agree', () => {
+    const table = getLineTable([4, 3, 5], 3);
+    table.lines.forEach((line, id) => {
+        assert.equal(table.masks[id], line.reduce((mask, index) => mask | table.cellBits[index], 0n));
+        line.forEach(index => assert.ok(table.cellLines[index].includes(id)));
+    });
+    table.cellLines.forEach((ids, index) => {
+        assert.equal(ids.length, table.lines.filter(line => line.includes(index)).length);
+    });
+    
+    // The center of a 3x3x3 board lies on 13 lines, a corner on 7
+    const cube = getLineTable([3, 3, 3], 3);
+    assert.equal(cube.cellLines[13].length, 13);
+    assert.equal(cube.cellLines[0].length, 7);
+});
+
+test('tables are shared between games of the same shape', () => {
+    assert.equal(new TicTacToe(4, 4, 4, 4).lineTable, new TicTacToe(4, 4, 4, 4).lineTable);
+    assert.notEqual(new TicTacToe(4, 4, 4, 4).lineTable, new TicTacToe(4, 4, 4, 3).lineTable);
+});
+
+test('a line in any direction wins, and only the completing move ends the game', () => {
+    const cases = [
+        // Row, column, pillar, face diagonal and space diagonal
+        [[1, 1, 1], [2, 1, 1], [3, 1, 1]],
+        [[1, 1, 1], [1, 2, 1], [1, 3, 1]],
+        [[2, 2, 1], [2, 2, 2], [2, 2, 3]],
+        [[1, 3, 2], [2, 2, 2], [3, 1, 2]],
+        [[3, 1, 3], [2, 2, 2], [1, 3, 1]]
+    ];
+    for (const line of cases) {
+        const game = new TicTacToe(3, 3, 3, 3);
+        // O plays two corners off every tested line
+        const others = [[1, 1, 3], [3, 3, 3]];
+        play(game, [line[0], others[0], line[1], others[1]]);
+        assert.equal(game.winner, null);
+        const result = game.makeMove(...line[2]);
+        assert.equal(result.winner, 'X');
+        assert.equal(game.winningLines.length, 1);
+        assert.deepEqual(new Set(game.winningLines[0].map(String)), new Set(line.map(String)));
+    }
+});
+
+test('marks that don\'t form a line never win', () => {
+    const game = play(new TicTacToe(3, 3, 3, 3), [[1, 1, 1], [2, 2, 2], [2, 1, 1], [3, 1, 1], [1, 2, 2], [3, 3, 1]]);
+    assert.equal(game.winner, null);
+    assert.equal(game.checkWin(game.getCellIndex([1, 2, 2])), null);
+    assert.equal(game.bitboards.X, [[1, 1, 1], [2, 1, 1], [1, 2, 2]]
+        .reduce((bits, move) => bits | game.lineTable.cellBits[game.getCellIndex(move)], 0n));
+});
+
+test('a move completing two lines reports both', () => {
+    const game = play(new TicTacToe(3, 3, 3, 3), [[1, 1, 1], [1, 1, 3], [3, 1, 1], [1, 3, 3], [2, 2, 1], [3, 3, 3], [2, 3, 1], [3, 2, 3]]);
+    game.makeMove(2, 1, 1);
+    assert.equal(game.winner, 'X');
+    assert.equal(game.winningLines.length, 2);
+});
+
+test('a longer run than the win length is reported whole', () => {
+    const game = play(new TicTacToe(5, 5, 1, 3), [[1, 1, 1], [1, 5, 1], [2, 1, 1], [2, 5, 1], [4, 1, 1], [4, 5, 1], [5, 1, 1], [5, 4, 1]]);
+    game.makeMove(3, 1, 1);
+    assert.equal(game.winner, 'X');
+    assert.deepEqual(game.winningLines, [[[1, 1, 1], [2, 1, 1], [3, 1, 1], [4, 1, 1], [5, 1, 1]]]);
+});
+
+test('lines continue across the faces of a wrapping board', () => {
+    const game = play(new TicTacToe(4, 4, 1, 3, { wrap: true }), [[4, 1, 1], [2, 3, 1], [1, 1, 1]]);
+    assert.equal(game.winner, null);
+    game.makeMove(2, 4, 1);
+    game.makeMove(2, 1, 1);
+    assert.equal(game.winner, 'X');
+});
+
+test('threats count the lines one mark short whose last cell is free', () => {
+    const game = play(new TicTacToe(3, 3, 3, 3), [[1, 1, 1], [3, 3, 3], [2, 1, 1]]);
+    // Only 3,1,1 finishes X's row
+    assert.equal(game.countThreats('X'), 1);
+    assert.equal(game.countThreats('O'), 0);
+    
+    // O blocks it, lining 3,1,1 up with its 3,3,3
+    game.makeMove(3, 1, 1);
+    assert.equal(game.countThreats('X'), 0);
+    assert.equal(game.countThreats('O'), 1);
+    
+    // 1,2,1 lines up with 1,1,1, leaving 1,3,1 to finish the column
+    game.makeMove(1, 2, 1);
+    assert.equal(game.countThreats('X'), 1);
+    // O's 2,2,1 lines up with 3,1,1 again, on the diagonal ending at the same cell; each line counts
+    game.makeMove(2, 2, 1);
+    assert.equal(game.countThreats('O'), 2);
+    assert.equal(game.countThreats('X'), 1);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TicTacToe } from '../js/game.js';
+import { MCTSAI } from '../js/mcts.js';
+
+function play(game, moves) {
+    moves.forEach(move => assert.equal(game.makeMove(...move).accepted, true));
+    return game;
+}
+
+// A fixed number of playouts and no time limit, so only the seed decides the search
+const budget = (seed) => ({ seed, iterations: 600, timeLimit: Infinity, tactics: false });
+
+test('the same seed gives the same search', () => {
+    const game = play(new TicTacToe(4, 4, 4, 4), [[2, 2, 2], [3, 3, 3]]);
+    const first = new MCTSAI(budget(42)).chooseMove(game);
+    const second = new MCTSAI(budget(42)).chooseMove(game);
+    
+    assert.deepEqual(second.move, first.move);
+    assert.deepEqual(second.statistics.moves, first.statistics.moves);
+    assert.equal(first.iterations, 600);
+    assert.equal(first.statistics.moves.reduce((sum, { visits }) => sum + visits, 0), 600);
+});
+
+test('a player keeps its random sequence across moves', () => {
+    const game = new TicTacToe(4, 4, 4, 4);
+    const replies = (seed) => {
+        const ai = new MCTSAI(budget(seed));
+        const copy = game.clone();
+        const moves = [];
+        for (let i = 0; i < 3; i++) {
+            const { move } = ai.chooseMove(copy);
+            copy.makeMove(...move);
+            moves.push(move);
+        }
+        return moves;
+    };
+    assert.deepEqual(replies(7), replies(7));
+});
+
+test('the search leaves the game it was given as it was', () => {
+    const game = play(new TicTacToe(4, 4, 4, 3), [[1, 1, 1], [2, 2, 2], [4, 4, 4]]);
+    game.undo();
+    const before = JSON.stringify(game.toJSON());
+    const hash = game.getHash();
+    
+    new MCTSAI(budget(1)).chooseMove(game);
+    assert.equal(JSON.stringify(game.toJSON()), before);
+    assert.equal(game.getHash(), hash);
+    assert.equal(game.canRedo(), true);
+});
+
+test('the search reports progress between batches of playouts', () => {
+    const search = new MCTSAI({ ...budget(3), iterations: 1000 }).think(new TicTacToe(4, 4, 4, 4));
+    const progress = [];
+    let step = search.next();
+    for (; !step.done; step = search.next()) progress.push(step.value.iterations);
+    
+    assert.deepEqual(progress, [250, 500, 750]);
+    assert.equal(step.value.iterations, 1000);
+});
+
+test('an immediate win is taken and an immediate loss blocked without searching', () => {
+    const ai = new MCTSAI({ seed: 5, iterations: 200, timeLimit: Infinity });
+    
+    // X can finish the bottom row
+    const win = play(new TicTacToe(3, 3, 3, 3), [[1, 1, 1], [1, 3, 3], [2, 1, 1], [3, 3, 1]]);
+    assert.deepEqual(ai.chooseMove(win).move, [3, 1, 1]);
+    assert.equal(ai.getStatistics().forced, true);
+    
+    // O must stop it
+    const block = play(new TicTacToe(3, 3, 3, 3), [[1, 1, 1], [1, 3, 3], [2, 1, 1]]);
+    assert.deepEqual(ai.chooseMove(block).move, [3, 1, 1]);
+});
+
+test('every move chosen is legal, under gravity too', () => {
+    const game = new TicTacToe(4, 4, 4, 4, { gravity: true });
+    const ai = new MCTSAI({ ...budget(9), iterations: 100, tactics: true });
+    while (!game.winner) {
+        const { move } = ai.chooseMove(game);
+        assert.equal(game.makeMove(...move).accepted, true);
+        assert.deepEqual(game.lastMove.coords, move);
+    }
+    assert.equal(ai.chooseMove(game), null);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TicTacToe } from '../js/game.js';
+import { formatGame, parseGame, NotationError } from '../js/notation.js';
+
+test('a game lost on time survives formatting and parsing', () => {
+    let now = 0;
+    const game = new TicTacToe(3, 3, 3, 3, { timeControl: { type: 'fischer', initial: 60000, increment: 2000 } });
+    game.clock.now = () => now;
+    game.makeMove(1, 1, 1);
+    now += 1000;
+    game.makeMove(2, 2, 2);
+    now += 70000;
+    assert.equal(game.checkClock(), true);
+    
+    const text = formatGame(game);
+    assert.match(text, /\[TimeControl "1\+2"\]/);
+    assert.match(text, /\[Termination "time forfeit"\]/);
+    
+    const parsed = parseGame(text);
+    assert.equal(parsed.winner, 'O');
+    assert.deepEqual(parsed.timeControl, game.timeControl);
+    assert.deepEqual(parsed.getFlags(), [{ player: 'X', moveNumber: 2 }]);
+    assert.equal(formatGame(parsed), text);
+});
+
+const RECORD = `[Size "3x3x3"]
+[WinLength "3"]
+[Players "X O"]
+[Result "X"]
+
+1. 2,2,2 2,3,3 2. 2,2,1 1,2,2 3. 3,3,1 1,1,2 4. 3,2,1 1,2,1 5. 1,1,1`;
+
+test('a record parses into the game it describes and formats back the same', () => {
+    const game = parseGame(RECORD);
+    assert.equal(game.winner, 'X');
+    assert.equal(game.historyIndex, 9);
+    assert.deepEqual(game.getMoveHistory()[1], { coords: [2, 3, 3], player: 'O' });
+    assert.equal(formatGame(game), `${RECORD}\n`);
+});
+
+test('a game survives toJSON and fromJSON, undone moves included', () => {
+    const game = parseGame(RECORD);
+    game.jumpTo(4);
+    const copy = TicTacToe.fromJSON(JSON.stringify(game));
+    assert.deepEqual(copy.toJSON(), game.toJSON());
+    assert.equal(copy.getHash(), game.getHash());
+    assert.equal(copy.canRedo(), true);
+    
+    const rules = new TicTacToe(4, 4, 4, 3, { gravity: true, winRule: 'misere', players: ['A', 'B', 'C'] });
+    rules.makeMove(2, 4, 3);
+    assert.deepEqual(TicTacToe.fromJSON(rules.toJSON()).toJSON(), rules.toJSON());
+});
+
+test('records that are malformed, illegal or inconsistent are refused with the reason and line', () => {
+    const header = '[Size "3x3x3"]\n';
+    const cases = [
+        [42, /must be a string/, null],
+        ['1. 1,1,1', /Missing required tag: Size/, null],
+        ['[Size "3x3"]', /Size must look like/, null],
+        ['[Size "3x3x3x3x3x3x3"]', /at most 6 axes/, null],
+        ['[Size "3x3x3x1"]', /of size 2 or more/, null],
+        [`${header}[WinLength "4"]`, /does not fit/, null],
+        [`${header}[Rules "gravity chess"]`, /Unknown rule "chess"/, null],
+        [`${header}[Rules "misere scoring"]`, /conflicting rules/, null],
+        [`${header}[Players "X X"]`, /distinct symbols/, null],
+        [`${header}[Result "Z"]`, /Result must be one of/, null],
+        [`${header}[Flags "X 1"]`, /Only timed games/, null],
+        [`${header}[Size "4x4x4"]`, /Duplicate tag: Size/, 2],
+        [`${header}[Size 3x3x3]`, /Malformed tag/, 2],
+        [`${header}\n1. 1,1,1\n[Result "X"]`, /Tags must come before the move list/, 4],
+        [`${header}\n1. 1,1,1 2,2,2 3. 3,3,3`, /Unexpected move number 3\. \(expected 2\.\)/, 3],
+        [`${header}\n1. 1,1,1 2,2,2 3,3,3`, /Missing move number 2\. before 3,3,3/, 3],
+        [`${header}\n1. 1,1,1 x`, /Unrecognized token: x/, 3],
+        [`${header}\n1. 1,1`, /needs 3 coordinates/, 3],
+        [`${header}\n1. 1,1,1 1,1,4`, /Move 2 \(1,1,4\) is outside the 3x3x3 board/, 3],
+        [`${header}\n1. 1,1,1\n1,1,1`, /Move 2 \(1,1,1\) is on a cell already taken by X/, 4],
+        [`[Size "3x3x3"]\n[Rules "gravity"]\n\n1. 1,2,1`, /not where a mark dropped in that column lands \(y = 1\)/, 4],
+        [`${header}\n1. 1,1,1 1,2,1 2. 2,1,1 2,2,1 3. 3,1,1 3,2,1`, /Move 6 \(3,2,1\) was played after the game ended/, 3],
+        [`${header}[Result "O"]\n\n1. 1,1,1`, /Result "O" does not match the moves, which give "\*"/, null],
+        [`${header}[Rules "scoring"]\n[Score "X 1 O 0"]`, /Score "X 1 O 0" does not match/, null],
+        [`${header}[TimeControl "1"]\n[Flags "X 2"]\n\n1. 1,1,1`, /names a move beyond the 1 recorded/, null],
+        [`${header}[TimeControl "1"]\n[Flags "X 1"]\n\n1. 1,1,1 2,2,2`, /X was not to move after move 1/, null],
+        [`${header}[TimeControl "1"]\n[Termination "time forfeit"]`, /does not match the moves and flags/, null]
+    ];
+    
+    for (const [text, message, line] of cases) {
+        assert.throws(() => parseGame(text), (error) => {
+            assert.ok(error instanceof NotationError, `${text} threw ${error}`);
+            assert.match(error.message, message);
+            assert.equal(error.line, line, `line of ${error.message}`);
+            return true;
+        });
+    }
+});
+
+test('game data that doesn\'t describe a legal game is refused', () => {
+    const good = parseGame(RECORD).toJSON();
+    const cases = [
+        ['null', /expected an object/],
+        [{ ...good, width: 0 }, /width must be a positive integer/],
+        [{ ...good, winLength: 4 }, /does not fit/],
+        [{ ...good, options: { extraDimensions: [1] } }, /extraDimensions/],
+        [{ ...good, players: ['X'] }, /players must be a list/],
+        [{ ...good, moves: [[1, 1, 1], [1, 1, 1]], winner: undefined }, /move 2 \(1,1,1\) was refused \(occupied\)/],
+        [{ ...good, moves: [[1, 1, '1']], winner: undefined }, /move 1 must be an array of 3 integers/],
+        [{ ...good, moves: [...good.moves, [3, 3, 3]] }, /move 10 was played after the game ended/],
+        [{ ...good, historyIndex: 10 }, /historyIndex 10 is outside the move list/],
+        [{ ...good, winner: 'O' }, /recorded winner O does not match/],
+        [{ ...good, options: { winRule: 'chess' } }, /unknown win rule chess/]
+    ];
+    
+    for (const [data, message] of cases) {
+        assert.throws(() => TicTacToe.fromJSON(data), message);
+    }
+});
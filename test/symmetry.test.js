@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TicTacToe } from '../js/game.js';
+import { getSymmetries, canonicalize, toCanonicalMove, fromCanonicalMove } from '../js/symmetry.js';
+
+/**
+ * Play the same moves again with a symmetry applied to each of them
+ * @param {TicTacToe} game - Game whose moves to replay
+ * @param {Object} symmetry - One of getSymmetries()
+ * @returns {TicTacToe} The game's image under the symmetry
+ */
+function transform(game, symmetry) {
+    const image = new TicTacToe(game.width, game.height, game.depth, game.winLength, game.getOptions());
+    for (const { coords } of game.history.slice(0, game.historyIndex)) {
+        assert.equal(image.makeMove(...toCanonicalMove(game, symmetry, coords)).accepted, true);
+    }
+    return image;
+}
+
+function play(game, moves) {
+    moves.forEach(move => assert.equal(game.makeMove(...move).accepted, true));
+    return game;
+}
+
+test('a board has a symmetry for every way of swapping axes of equal size and mirroring', () => {
+    assert.equal(getSymmetries([3, 3, 3]).length, 48);
+    // Only X and Y can swap
+    assert.equal(getSymmetries([3, 3, 4]).length, 16);
+    // Y stays put under gravity: X and Z swap, and only they mirror
+    assert.equal(getSymmetries([4, 4, 4], { gravity: true }).length, 8);
+    assert.equal(getSymmetries([3, 3, 3, 3]).length, 384);
+});
+
+test('positions related by a symmetry share a canonical hash on cubic and non-cubic boards', () => {
+    const games = [
+        play(new TicTacToe(3, 3, 3, 3), [[1, 1, 1], [2, 2, 2], [3, 1, 2]]),
+        play(new TicTacToe(3, 3, 4, 3), [[1, 2, 1], [3, 3, 4], [2, 1, 3], [1, 1, 1]])
+    ];
+    
+    for (const game of games) {
+        const { hash } = canonicalize(game);
+        for (const symmetry of getSymmetries(game.dimensions)) {
+            assert.equal(canonicalize(transform(game, symmetry)).hash, hash);
+        }
+    }
+});
+
+test('positions no symmetry relates get different canonical hashes', () => {
+    const corner = play(new TicTacToe(3, 3, 4, 3), [[1, 1, 1]]);
+    const otherEnd = play(new TicTacToe(3, 3, 4, 3), [[1, 1, 2]]);
+    const center = play(new TicTacToe(3, 3, 4, 3), [[2, 2, 2]]);
+    assert.notEqual(canonicalize(corner).hash, canonicalize(otherEnd).hash);
+    assert.notEqual(canonicalize(corner).hash, canonicalize(center).hash);
+    
+    // The same marks with the other player to move
+    const moved = play(new TicTacToe(3, 3, 3, 3), [[1, 1, 1], [2, 2, 2]]);
+    const passed = play(new TicTacToe(3, 3, 3, 3), [[2, 2, 2], [1, 1, 1]]);
+    assert.notEqual(canonicalize(moved).hash, canonicalize(passed).hash);
+});
+
+test('the canonical symmetry maps the position onto the canonical one', () => {
+    for (const game of [
+        play(new TicTacToe(3, 3, 3, 3), [[1, 2, 3], [2, 2, 1]]),
+        play(new TicTacToe(4, 2, 4, 3, { gravity: true }), [[1, 1, 4], [1, 2, 4], [3, 1, 2]])
+    ]) {
+        const { hash, symmetry } = canonicalize(game);
+        assert.equal(transform(game, symmetry).getHash(), hash);
+    }
+});
+
+test('moves mapped onto the canonical position map back to the same cell', () => {
+    for (const game of [new TicTacToe(3, 3, 3, 3), new TicTacToe(3, 3, 4, 3), new TicTacToe(2, 3, 2, 2, { extraDimensions: [2] })]) {
+        for (const symmetry of getSymmetries(game.dimensions)) {
+            for (let index = 0; index < game.cells.length; index++) {
+                const coords = game.getCellCoordinates(index);
+                const canonical = toCanonicalMove(game, symmetry, coords);
+                assert.equal(game.getCellIndex(canonical) !== -1, true);
+                assert.deepEqual(fromCanonicalMove(game, symmetry, canonical), coords);
+            }
+        }
+    }
+});
+
+test('a reply found on the canonical position maps back to the same reply in the game', () => {
+    const game = play(new TicTacToe(3, 3, 4, 3), [[1, 1, 1], [2, 2, 2], [3, 1, 1]]);
+    const { symmetry } = canonicalize(game);
+    const canonical = transform(game, symmetry);
+    
+    // The only reply that keeps X from winning on the canonical position is the block of X's row
+    const block = canonical.getLegalMoves().find(move => {
+        const copy = canonical.clone();
+        copy.makeMove(...move);
+        return copy.getLegalMoves().every(reply => {
+            const after = copy.clone();
+            after.makeMove(...reply);
+            return after.winner !== 'X';
+        });
+    });
+    assert.deepEqual(fromCanonicalMove(game, symmetry, block), [2, 1, 1]);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TicTacToe, WIN_RULES } from '../js/game.js';
+
+function play(game, moves) {
+    moves.forEach(move => assert.equal(game.makeMove(...move).accepted, true));
+    return game;
+}
+
+// X completes the bottom row on the fifth move, O never has a line
+const BOTTOM_ROW = [[1, 1, 1], [1, 2, 1], [2, 1, 1], [2, 2, 1], [3, 1, 1]];
+
+test('the standard rule gives the game to the first player to complete a line', () => {
+    const game = play(new TicTacToe(3, 3, 3, 3), BOTTOM_ROW);
+    assert.equal(game.winner, 'X');
+    assert.deepEqual(game.winningLines, [[[1, 1, 1], [2, 1, 1], [3, 1, 1]]]);
+    assert.deepEqual(game.scores, { X: 0, O: 0 });
+});
+
+test('under misère completing a line loses', () => {
+    const game = play(new TicTacToe(3, 3, 3, 3, { winRule: 'misere' }), BOTTOM_ROW);
+    assert.equal(game.winner, 'O');
+    assert.deepEqual(game.eliminated, ['X']);
+    assert.deepEqual(game.winningLines, [[[1, 1, 1], [2, 1, 1], [3, 1, 1]]]);
+    assert.equal(game.makeMove(3, 3, 3).reason, 'game-over');
+});
+
+test('under misère with more players the completing player drops out and the others play on', () => {
+    const game = new TicTacToe(3, 3, 1, 3, { winRule: 'misere', players: ['X', 'O', 'T'] });
+    play(game, [[1, 1, 1], [1, 2, 1], [1, 3, 1], [2, 1, 1], [2, 2, 1], [2, 3, 1], [3, 1, 1]]);
+    assert.equal(game.winner, null);
+    assert.deepEqual(game.eliminated, ['X']);
+    assert.equal(game.currentPlayer, 'O');
+    // X's marks stay on the board, but X's turns are skipped
+    assert.equal(game.getCell(3, 1, 1), 'X');
+    assert.equal(game.nextPlayer('T'), 'O');
+    
+    // O completes the middle row and drops out too, leaving T
+    game.makeMove(3, 2, 1);
+    assert.equal(game.winner, 'T');
+    assert.deepEqual(game.eliminated, ['X', 'O']);
+    assert.equal(game.winningLines.length, 2);
+});
+
+test('under scoring the board is played out and the player with more lines wins', () => {
+    const game = new TicTacToe(3, 3, 1, 3, { winRule: 'scoring' });
+    play(game, [[1, 1, 1], [2, 2, 1], [2, 1, 1], [3, 2, 1], [3, 1, 1]]);
+    assert.equal(game.winner, null);
+    assert.deepEqual(game.scores, { X: 1, O: 0 });
+    
+    play(game, [[2, 3, 1], [1, 2, 1], [3, 3, 1], [1, 3, 1]]);
+    assert.equal(game.winner, 'X');
+    assert.deepEqual(game.scores, { X: 2, O: 0 });
+    assert.equal(game.winningLines.length, 2);
+});
+
+test('under scoring equal scores on a full board are a draw', () => {
+    const game = play(new TicTacToe(3, 3, 1, 3, { winRule: 'scoring' }),
+        [[1, 1, 1], [1, 2, 1], [2, 1, 1], [2, 2, 1], [3, 1, 1], [3, 2, 1], [1, 3, 1], [2, 3, 1], [3, 3, 1]]);
+    assert.equal(game.winner, 'draw');
+    assert.deepEqual(game.scores, { X: 1, O: 1 });
+});
+
+test('under scoring a run longer than the win length counts every line in it', () => {
+    const game = new TicTacToe(4, 2, 1, 3, { winRule: 'scoring' });
+    play(game, [[1, 1, 1], [1, 2, 1], [2, 1, 1], [2, 2, 1], [3, 1, 1], [4, 2, 1]]);
+    assert.deepEqual(game.scores, { X: 1, O: 0 });
+    
+    // 4,1,1 adds the line 2..4 to 1..3
+    game.makeMove(4, 1, 1);
+    assert.deepEqual(game.scores, { X: 2, O: 0 });
+    // 3,2,1 joins two pieces of O's row: both lines of 3 in it are new
+    game.makeMove(3, 2, 1);
+    assert.deepEqual(game.scores, { X: 2, O: 2 });
+    assert.equal(game.winner, 'draw');
+});
+
+test('under scoring a row closed into a ring on a wrapping board counts each of its lines once', () => {
+    const game = new TicTacToe(4, 4, 1, 3, { winRule: 'scoring', wrap: true });
+    play(game, [[1, 1, 1], [1, 3, 1], [2, 1, 1], [3, 3, 1], [3, 1, 1], [2, 4, 1]]);
+    assert.deepEqual(game.scores, { X: 1, O: 0 });
+    
+    // The ring of four holds four lines of three: 1-2-3, 2-3-4, 3-4-1 and 4-1-2
+    game.makeMove(4, 1, 1);
+    assert.deepEqual(game.scores, { X: 4, O: 0 });
+});
+
+test('the win rule is checked and kept with the game', () => {
+    assert.deepEqual(Object.keys(WIN_RULES), ['standard', 'misere', 'scoring']);
+    assert.throws(() => new TicTacToe(3, 3, 3, 3, { winRule: 'chess' }));
+    
+    const game = play(new TicTacToe(3, 3, 3, 3, { winRule: 'misere' }), BOTTOM_ROW.slice(0, 3));
+    const copy = TicTacToe.fromJSON(game.toJSON());
+    assert.equal(copy.getOptions().winRule, 'misere');
+    play(copy, BOTTOM_ROW.slice(3));
+    assert.equal(copy.winner, 'O');
+});